@@ -12,7 +12,27 @@ const rateLimit = require('express-rate-limit');
 
 const pool = require('./db');
 const { getEbayAppToken } = require('./services/ebayAuth');
+const {
+  describeMarketplaces,
+  defaultMarketplaceSelection,
+  listAdapters,
+  getAdapter,
+  adapterStatus,
+} = require('./services/marketplaces');
+const { listBreakers, resetBreaker, breakerConfig } = require('./services/circuitBreaker');
+const { normalizeRegions } = require('./services/marketplaces/craigslist');
+const { parseQuery, hasPositiveTerms } = require('./services/marketplaces/query');
+const { CONDITIONS, normalizeConditionList } = require('./services/marketplaces/conditions');
+const { ensureSchema } = require('./services/schema');
 const { insertResults } = require('./services/resultsStore');
+const { normalizeStatePatch, setResultState } = require('./services/resultStatesStore');
+const { pricingBreakdown } = require('./services/pricingStats');
+const {
+  RESULT_SORTS,
+  encodeResultsCursor,
+  decodeResultsCursor,
+  resultsAfterCursor,
+} = require('./services/resultsCursor');
 const { createNewListingAlert } = require('./services/alerts');
 const {
   sendEmail,
@@ -20,7 +40,7 @@ const {
   buildSignupConfirmationEmail,
   buildNewSignupNoticeEmail,
 } = require('./services/notifications');
-const { enqueueRefreshJobForSearch } = require('./services/jobs');
+const { enqueueRefreshJobForSearch, enqueueRenormalizeJob } = require('./services/jobs');
 const { dispatchPendingAlertsForSearch, requeueStuckSendingAlerts } = require('./services/dispatchAlerts');
 const { setTierAndReschedule } = require('./services/schedule');   // ← add this line
 const { normalizeTier, maxSearchesForTier } = require('./services/tiers');
@@ -29,8 +49,9 @@ const {
   getAlertSettingsForSearchId,
   setAlertSettingsForSearchId,
   markDigestSentForSearchId,
-  hasDigestBeenSentToday,
+  hasDigestBeenSentThisPeriod,
 } = require('./services/alertSettingsStore');
+const { getUserDigestSettings, setUserDigestSettings } = require('./services/userDigestStore');
 
 
 
@@ -337,8 +358,9 @@ async function alertSettingsHandlerWRITE(req, res) {
       ? (req.body.settings && typeof req.body.settings === "object" ? req.body.settings : req.body)
       : {};
 
+    // lastDigestSentAt drives the worker's digest schedule: not client-editable
     const current = await getAlertSettingsForSearchId(pool, id);
-    const next = Object.assign({}, current, incoming);
+    const next = Object.assign({}, current, incoming, { lastDigestSentAt: current.lastDigestSentAt });
 
     const ok = await setAlertSettingsForSearchId(pool, id, next);
     if (!ok) return res.status(400).json({ ok: false, error: "Invalid search id" });
@@ -361,6 +383,57 @@ app.get("/api/searches/:id/alert-settings", alertSettingsHandlerGET);
 app.post("/api/searches/:id/alert-settings", alertSettingsHandlerWRITE);
 app.put("/api/searches/:id/alert-settings", alertSettingsHandlerWRITE);
 
+// Per-user digest settings (one email per day/week for all of the user's searches)
+async function userDigestSettingsGET(req, res) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized', code: 'AUTH_REQUIRED' });
+    }
+
+    const settings = await getUserDigestSettings(pool, req.user.user_id);
+    return res.json({ ok: true, settings, account_email: req.user.email });
+  } catch (e) {
+    console.error('GET digest settings failed:', e);
+    return res.status(500).json({ ok: false, error: "Failed to load digest settings" });
+  }
+}
+
+async function userDigestSettingsWRITE(req, res) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized', code: 'AUTH_REQUIRED' });
+    }
+
+    const incoming = (req.body && typeof req.body === "object")
+      ? (req.body.settings && typeof req.body.settings === "object" ? req.body.settings : req.body)
+      : {};
+
+    const email = incoming.email;
+    if (email !== undefined && email !== null && String(email).trim() && !String(email).includes("@")) {
+      return res.status(400).json({ ok: false, error: "Invalid digest email" });
+    }
+
+    // The send bookkeeping isn't client-editable
+    const current = await getUserDigestSettings(pool, req.user.user_id);
+    const next = Object.assign({}, current, incoming, { lastDigestSentAt: current.lastDigestSentAt });
+
+    await setUserDigestSettings(pool, req.user.user_id, next);
+
+    const settings = await getUserDigestSettings(pool, req.user.user_id);
+    return res.json({ ok: true, settings, account_email: req.user.email });
+  } catch (e) {
+    console.error('POST digest settings failed:', e);
+    return res.status(500).json({ ok: false, error: "Failed to save digest settings" });
+  }
+}
+
+app.get("/me/digest-settings", userDigestSettingsGET);
+app.post("/me/digest-settings", userDigestSettingsWRITE);
+app.get("/api/me/digest-settings", userDigestSettingsGET);
+app.post("/api/me/digest-settings", userDigestSettingsWRITE);
+app.all("/me/digest-settings", methodNotAllowed(["GET", "POST"]));
+app.all("/api/me/digest-settings", methodNotAllowed(["GET", "POST"]));
+
 
 // ---- Alert settings API ----
 
@@ -402,14 +475,9 @@ app.use(['/api', '/searches', '/results', '/alerts'], writeLimiter);
 // Client config (marketplaces availability)
 // --------------------
 app.get('/api/config', (req, res) => {
-  const etsyEnabled = process.env.MARKETPLACE_ETSY === 'true';
-
   res.json({
     ok: true,
-    marketplaces: {
-      ebay: { available: true },
-      etsy: { available: etsyEnabled }
-    }
+    marketplaces: describeMarketplaces()
   });
 });
 
@@ -434,6 +502,28 @@ function parseMoneyToNumber(v) {
   const n = Number(s);
   return Number.isFinite(n) ? n : null;
 }
+// min_price / max_price input: undefined/null/"" → null, otherwise a non-negative number.
+// Returns { ok, value } so callers can tell "cleared" apart from "invalid".
+function parsePriceBound(v) {
+  if (v === undefined || v === null || String(v).trim() === '') return { ok: true, value: null };
+  const n = parseMoneyToNumber(v);
+  if (n === null || n < 0) return { ok: false, value: null };
+  return { ok: true, value: n };
+}
+
+// conditions input: array or comma list of new | like_new | used | for_parts | unknown.
+// Empty/null clears the requirement (any condition). Unrecognized values are rejected, not dropped.
+function parseConditionsInput(v) {
+  if (v === undefined || v === null || v === '') return { ok: true, value: null };
+  const raw = (Array.isArray(v) ? v : String(v).split(',')).map((c) => String(c || '').trim()).filter(Boolean);
+  const list = normalizeConditionList(raw);
+  if (list.length !== new Set(raw.map((c) => c.toLowerCase().replace(/[\s-]+/g, '_'))).size) {
+    return { ok: false, value: null };
+  }
+  // Every condition selected is the same as no requirement
+  return { ok: true, value: list.length && list.length < CONDITIONS.length ? list : null };
+}
+
 function normalizeEmail(value) {
   if (value === undefined || value === null) return null;
   const s = String(value).trim();
@@ -451,7 +541,7 @@ function normalizeEmail(value) {
 
 
 function normalizeMarketplaces(input) {
-  const def = { ebay: true, etsy: false, facebook: false, craigslist: false };
+  const def = defaultMarketplaceSelection();
   if (!input || typeof input !== 'object') return def;
 
   const out = { ...def };
@@ -739,8 +829,9 @@ if (process.env.NODE_ENV !== 'production') {
 // --------------------
 async function createSearch(req, res) {
   try {
-    const { search_item, location, category, max_price, status, plan_tier, tier } = req.body || {};
+    const { search_item, location, category, min_price, max_price, status, plan_tier, tier, craigslist_regions, conditions } = req.body || {};
     const maxPriceNum = parseMoneyToNumber(max_price);
+    const regions = normalizeRegions(craigslist_regions);
 
     // Auth / free-search gating:
     // - Logged-in users can create searches (owned by user)
@@ -765,6 +856,20 @@ async function createSearch(req, res) {
     if (!search_item || String(search_item).trim() === '') {
       return res.status(400).json({ error: 'search_item is required' });
     }
+    if (!hasPositiveTerms(parseQuery(search_item))) {
+      return res.status(400).json({ error: 'search_item needs at least one term to search for (not only -exclusions)' });
+    }
+
+    const minPrice = parsePriceBound(min_price);
+    if (!minPrice.ok) return res.status(400).json({ error: 'min_price must be a non-negative number' });
+    if (minPrice.value != null && maxPriceNum != null && minPrice.value > maxPriceNum) {
+      return res.status(400).json({ error: 'min_price cannot be greater than max_price' });
+    }
+
+    const requiredConditions = parseConditionsInput(conditions);
+    if (!requiredConditions.ok) {
+      return res.status(400).json({ error: `conditions must be a list of: ${CONDITIONS.join(', ')}` });
+    }
 
     const finalStatus = status ?? 'active';
     const finalTier = normalizeTier(plan_tier ?? tier ?? 'free');
@@ -775,8 +880,8 @@ async function createSearch(req, res) {
 
     const result = await pool.query(
       `
-  INSERT INTO searches (search_item, location, category, max_price, status, plan_tier, marketplaces, user_id)
-  VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  INSERT INTO searches (search_item, location, category, max_price, status, plan_tier, marketplaces, user_id, craigslist_regions, min_price, conditions)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
   RETURNING *
   `,
       [
@@ -787,7 +892,10 @@ async function createSearch(req, res) {
         finalStatus,
         finalTier,
         marketplaces,
-        userId
+        userId,
+        regions.length ? regions : null,
+        minPrice.value,
+        requiredConditions.value,
       ]
 
     );
@@ -846,6 +954,9 @@ async function patchSearch(req, res) {
     if (has('search_item')) {
       const v = String(body.search_item ?? '').trim();
       if (!v) return res.status(400).json({ error: 'search_item is required' });
+      if (!hasPositiveTerms(parseQuery(v))) {
+        return res.status(400).json({ error: 'search_item needs at least one term to search for (not only -exclusions)' });
+      }
       sets.push(`search_item = $${idx++}`);
       values.push(v);
     }
@@ -878,6 +989,26 @@ async function patchSearch(req, res) {
       }
     }
 
+    if (has('min_price')) {
+      // Allow clearing min_price by sending null/"".
+      const minPrice = parsePriceBound(body.min_price);
+      if (!minPrice.ok) return res.status(400).json({ error: 'min_price must be a non-negative number' });
+      sets.push(`min_price = $${idx++}`);
+      values.push(minPrice.value);
+    }
+
+    // Price range sanity: compare against the stored bound when only one side is changing
+    if (has('min_price') || has('max_price')) {
+      const { rows: cur } = await pool.query(`SELECT min_price, max_price FROM searches WHERE id = $1`, [id]);
+      if (cur.length) {
+        const nextMin = has('min_price') ? parsePriceBound(body.min_price).value : parseMoneyToNumber(cur[0].min_price);
+        const nextMax = has('max_price') ? parseMoneyToNumber(body.max_price) : parseMoneyToNumber(cur[0].max_price);
+        if (nextMin != null && nextMax != null && nextMin > nextMax) {
+          return res.status(400).json({ error: 'min_price cannot be greater than max_price' });
+        }
+      }
+    }
+
     if (has('status')) {
       const status = body.status;
       const allowedStatuses = ['active', 'paused', 'completed', 'cancelled', 'deleted'];
@@ -896,6 +1027,22 @@ async function patchSearch(req, res) {
       values.push(marketplaces);
     }
 
+    if (has('craigslist_regions')) {
+      // Accepts an array or a comma-separated string; empty clears (falls back to CRAIGSLIST_REGIONS)
+      const regions = normalizeRegions(body.craigslist_regions);
+      sets.push(`craigslist_regions = $${idx++}`);
+      values.push(regions.length ? regions : null);
+    }
+
+    if (has('conditions')) {
+      const requiredConditions = parseConditionsInput(body.conditions);
+      if (!requiredConditions.ok) {
+        return res.status(400).json({ error: `conditions must be a list of: ${CONDITIONS.join(', ')}` });
+      }
+      sets.push(`conditions = $${idx++}`);
+      values.push(requiredConditions.value);
+    }
+
     if (sets.length === 0) {
       return res.status(400).json({ error: 'No fields provided to update' });
     }
@@ -1043,6 +1190,86 @@ app.get('/api/admin/searches', requireAdmin, async (req, res) => {
 });
 app.all('/api/admin/searches', methodNotAllowed(['GET']));
 
+// Marketplace health: registry status + shared circuit breaker state
+app.get('/api/admin/marketplaces', requireAdmin, async (req, res) => {
+  try {
+    const breakers = await listBreakers();
+    const byKey = new Map(breakers.map((b) => [b.marketplace, b]));
+
+    const marketplaces = listAdapters().map((a) => {
+      const b = byKey.get(a.key) || null;
+      return {
+        key: a.key,
+        label: a.label,
+        ...adapterStatus(a),
+        circuit: b
+          ? {
+            state: b.state,
+            consecutive_failures: b.consecutive_failures,
+            open_count: b.open_count,
+            opened_at: b.opened_at,
+            open_until: b.open_until,
+            last_error: b.last_error,
+            last_status: b.last_status,
+            last_failure_at: b.last_failure_at,
+            last_success_at: b.last_success_at,
+            updated_at: b.updated_at,
+          }
+          : { state: 'closed', consecutive_failures: 0 },
+      };
+    });
+
+    res.json({ ok: true, config: breakerConfig(), marketplaces });
+  } catch (e) {
+    console.error('GET /api/admin/marketplaces failed:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch marketplace status' });
+  }
+});
+app.all('/api/admin/marketplaces', methodNotAllowed(['GET']));
+
+app.post('/api/admin/marketplaces/:key/circuit/reset', requireAdmin, async (req, res) => {
+  try {
+    const adapter = getAdapter(req.params.key);
+    if (!adapter) return res.status(404).json({ ok: false, error: 'Unknown marketplace' });
+
+    const row = await resetBreaker(adapter.key);
+    res.json({ ok: true, marketplace: adapter.key, circuit: row || { state: 'closed' } });
+  } catch (e) {
+    console.error('POST /api/admin/marketplaces/:key/circuit/reset failed:', e);
+    res.status(500).json({ ok: false, error: 'Failed to reset circuit breaker' });
+  }
+});
+app.all('/api/admin/marketplaces/:key/circuit/reset', methodNotAllowed(['POST']));
+
+// Rebuild result columns from stored raw payloads (worker job; no marketplace calls).
+// Body: { search_id } for one search, or {} for every search with stored payloads.
+app.post('/api/admin/renormalize', requireAdmin, async (req, res) => {
+  try {
+    const rawId = req.body?.search_id ?? req.query.search_id;
+    let searchId = null;
+    if (rawId !== undefined && rawId !== null && rawId !== '') {
+      searchId = toInt(rawId);
+      if (searchId === null) return res.status(400).json({ ok: false, error: 'Invalid search_id' });
+
+      const { rowCount } = await pool.query('SELECT 1 FROM searches WHERE id = $1', [searchId]);
+      if (!rowCount) return res.status(404).json({ ok: false, error: 'Search not found' });
+    }
+
+    const jobId = await enqueueRenormalizeJob(searchId);
+    res.status(202).json({
+      ok: true,
+      search_id: searchId,
+      queued: jobId !== null,
+      job_id: jobId,
+      ...(jobId === null ? { note: 'A re-normalization job for this scope is already queued or running' } : {}),
+    });
+  } catch (e) {
+    console.error('POST /api/admin/renormalize failed:', e);
+    res.status(500).json({ ok: false, error: 'Failed to queue re-normalization' });
+  }
+});
+app.all('/api/admin/renormalize', methodNotAllowed(['POST']));
+
 app.get('/searches/deleted', async (req, res) => {
   try {
     const result = await pool.query(
@@ -1371,8 +1598,8 @@ async function duplicateSearch(req, res) {
 
     const result = await pool.query(
       `
-  INSERT INTO searches (search_item, location, category, max_price, status, plan_tier, marketplaces)
-  SELECT search_item, location, category, max_price, status, plan_tier, marketplaces
+  INSERT INTO searches (search_item, location, category, min_price, max_price, status, plan_tier, marketplaces, craigslist_regions, conditions)
+  SELECT search_item, location, category, min_price, max_price, status, plan_tier, marketplaces, craigslist_regions, conditions
   FROM searches
   WHERE id = $1
   RETURNING *;
@@ -1396,6 +1623,103 @@ app.post('/api/searches/:id/duplicate', duplicateSearch);
 // --------------------
 // Results
 // --------------------
+// "ebay,craigslist" / ["ebay"] → lowercase list (empty = all)
+function parseListParam(v) {
+  const list = Array.isArray(v) ? v : String(v || '').split(',');
+  return [...new Set(list.map((x) => String(x || '').trim().toLowerCase()).filter(Boolean))];
+}
+
+// Free-text title match: every word must appear (ILIKE patterns with wildcards escaped)
+function titleMatchPatterns(q) {
+  return String(q || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 10)
+    .map((w) => `%${w.replace(/[\\%_]/g, (m) => `\\${m}`)}%`);
+}
+
+// Filters shared by the results listing and the export (query params documented on getSearchResults).
+// Returns { error } for bad input, else the WHERE clauses + values ($1 = search id, $2 = viewer user id),
+// with `param(v)` to append more values and `afterCursor(cursor)` for the keyset condition.
+function buildResultsFilter(req, searchId, { defaultListingStatus = 'active' } = {}) {
+  const sort = String(req.query.sort || 'newest').trim().toLowerCase();
+  const sortSpec = RESULT_SORTS[sort];
+  if (!sortSpec) {
+    return { error: `sort must be one of: ${Object.keys(RESULT_SORTS).join(', ')}` };
+  }
+
+  const minPrice = parsePriceBound(req.query.min_price);
+  const maxPrice = parsePriceBound(req.query.max_price);
+  if (!minPrice.ok || !maxPrice.ok) {
+    return { error: 'min_price / max_price must be non-negative numbers' };
+  }
+
+  const marketplaceFilter = parseListParam(req.query.marketplace);
+  const conditionFilter = normalizeConditionList(parseListParam(req.query.condition));
+  const titlePatterns = titleMatchPatterns(req.query.q);
+
+  // buying=auction | fixed_price (omit for all)
+  const buyingRaw = String(req.query.buying || '').trim().toLowerCase();
+  const buying = buyingRaw === 'auction' ? 'AUCTION' : buyingRaw === 'fixed_price' ? 'FIXED_PRICE' : null;
+
+  // ending_within_hours=N: only listings ending in the next N hours
+  const endingWithinHours = req.query.ending_within_hours === undefined
+    ? null
+    : clampInt(req.query.ending_within_hours, { min: 1, max: 24 * 30, fallback: null });
+
+  // listing_status=active (default) | ended (ended + sold) | all
+  const lsRaw = String(req.query.listing_status || defaultListingStatus).trim().toLowerCase();
+  const listingStatus = ['active', 'ended', 'all'].includes(lsRaw) ? lsRaw : defaultListingStatus;
+
+  // Per-user states (guests have none, so nothing is hidden for them)
+  const hiddenRaw = String(req.query.hidden || 'exclude').trim().toLowerCase();
+  const hiddenMode = ['exclude', 'include', 'only'].includes(hiddenRaw) ? hiddenRaw : 'exclude';
+  const stateRaw = String(req.query.state || '').trim().toLowerCase();
+  const stateFilter = ['favorite', 'purchased'].includes(stateRaw) ? stateRaw : null;
+
+  const values = [searchId, req.user ? Number(req.user.user_id) : null];
+  const param = (v) => {
+    values.push(v);
+    return `$${values.length}`;
+  };
+
+  const where = ['search_id = $1'];
+  if (hiddenMode === 'exclude') where.push('rs.hidden IS NOT TRUE');
+  else if (hiddenMode === 'only') where.push('rs.hidden IS TRUE');
+  if (stateFilter) where.push(`rs.${stateFilter} IS TRUE`);
+  if (listingStatus === 'active') where.push(`listing_status = 'active'`);
+  else if (listingStatus === 'ended') where.push(`listing_status IN ('ended', 'sold')`);
+
+  if (buying) where.push(`${param(buying)} = ANY(COALESCE(buying_options, '{}'::text[]))`);
+  if (endingWithinHours != null) {
+    where.push(`ends_at > NOW() AND ends_at <= NOW() + (${param(endingWithinHours)}::int * INTERVAL '1 hour')`);
+  }
+  if (sort === 'ending_soon') where.push('ends_at > NOW()');
+  if (minPrice.value != null) where.push(`COALESCE(total_price, price_num) >= ${param(minPrice.value)}`);
+  if (maxPrice.value != null) where.push(`COALESCE(total_price, price_num) <= ${param(maxPrice.value)}`);
+  if (marketplaceFilter.length) where.push(`marketplace = ANY(${param(marketplaceFilter)}::text[])`);
+  if (conditionFilter.length) where.push(`COALESCE(condition_norm, 'unknown') = ANY(${param(conditionFilter)}::text[])`);
+  if (titlePatterns.length) where.push(`title ILIKE ALL(${param(titlePatterns)}::text[])`);
+
+  const afterCursor = (cursor) => resultsAfterCursor(sortSpec, cursor, param);
+
+  return { sort, sortSpec, where, values, param, afterCursor };
+}
+
+// GET /api/searches/:id/results
+// Query:
+// - sort=newest (default) | oldest | price_low | price_high (item price)
+//        | total_low | total_high (item + shipping) | ending_soon (live listings with an end time)
+//        | best_deal (highest deal_score first; unscored last)
+// - min_price / max_price: bounds on total price (item + shipping)
+// - marketplace=ebay,craigslist   condition=new,like_new   q=words in title
+// - buying=auction | fixed_price   ending_within_hours=N
+// - listing_status=active (default) | ended (ended + sold) | all
+// - hidden=exclude (default) | include | only   state=favorite | purchased   (the caller's own result states)
+// - limit (1..200, default 50) + cursor (next_cursor from the previous page); offset is still honoured without a cursor
+// Response: { ok, results, next_cursor, total } — total counts every row matching the filters and is only
+// returned on the first page (no cursor); follow-up pages keep the total from the first one.
 async function getSearchResults(req, res) {
   try {
     const searchId = toInt(req.params.id);
@@ -1408,11 +1732,28 @@ async function getSearchResults(req, res) {
     }
 
     const limitNum = clampInt(req.query.limit, { min: 1, max: 200, fallback: 50 });
-    const offsetNum = clampInt(req.query.offset, { min: 0, max: 1_000_000, fallback: 0 });
+
+    const filter = buildResultsFilter(req, searchId);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+    const { sort, sortSpec, where, values, param } = filter;
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeResultsCursor(req.query.cursor, sort);
+      if (!cursor) return res.status(400).json({ error: 'Invalid cursor (it must come from a request with the same sort)' });
+    }
+    const offsetNum = cursor ? 0 : clampInt(req.query.offset, { min: 0, max: 1_000_000, fallback: 0 });
+
+    // Total before the cursor condition: it describes the filtered set, not the remaining pages
+    const filterSql = where.join('\n        AND ');
+    const filterValues = values.slice();
+
+    const { expr, dir } = sortSpec;
+    if (cursor) where.push(filter.afterCursor(cursor));
 
     const sql = `
 SELECT
-  id,
+  results.id,
   search_id,
   marketplace,
   external_id,
@@ -1426,17 +1767,55 @@ SELECT
   image_url,
   location,
   condition,
+  condition_norm,
+  deal_score,
   seller_username,
-  found_at
+  buying_options,
+  bid_count,
+  current_bid_num,
+  ends_at,
+  ('AUCTION' = ANY(COALESCE(buying_options, '{}'::text[]))) AS is_auction,
+  listing_status,
+  last_seen_at,
+  ended_at,
+  found_at,
+  COALESCE(rs.hidden, FALSE) AS hidden,
+  COALESCE(rs.favorite, FALSE) AS favorite,
+  COALESCE(rs.purchased, FALSE) AS purchased,
+  (${expr})::text AS cursor_key
 
       FROM results
-      WHERE search_id = $1
-      ORDER BY found_at DESC, id DESC
-      LIMIT $2 OFFSET $3
+      LEFT JOIN result_states rs ON rs.result_id = results.id AND rs.user_id = $2::int
+      WHERE ${where.join('\n        AND ')}
+      ORDER BY ${expr} ${dir} NULLS LAST, results.id ${dir}
+      LIMIT ${param(limitNum + 1)} OFFSET ${param(offsetNum)}
     `;
 
-    const { rows } = await pool.query(sql, [searchId, limitNum, offsetNum]);
-    res.json(rows);
+    // Counting is a full scan of the filtered set, so only the first page pays for it
+    const [{ rows }, countRows] = await Promise.all([
+      pool.query(sql, values),
+      cursor
+        ? null
+        : pool.query(
+          `SELECT COUNT(*)::int AS total
+           FROM results
+           LEFT JOIN result_states rs ON rs.result_id = results.id AND rs.user_id = $2::int
+           WHERE ${filterSql}`,
+          filterValues
+        ).then((r) => r.rows),
+    ]);
+
+    // One extra row tells us whether another page exists
+    const hasMore = rows.length > limitNum;
+    const page = hasMore ? rows.slice(0, limitNum) : rows;
+    const nextCursor = hasMore ? encodeResultsCursor(sort, page[page.length - 1]) : null;
+
+    res.json({
+      ok: true,
+      results: page.map(({ cursor_key, ...r }) => r),
+      next_cursor: nextCursor,
+      ...(countRows ? { total: countRows[0]?.total ?? 0 } : {}),
+    });
   } catch (err) {
     console.error('GET /searches/:id/results failed:', err);
     res.status(500).json({ error: 'Failed to fetch results' });
@@ -1468,6 +1847,15 @@ async function postSearchResults(req, res) {
   }
 }
 
+// GET /api/searches/:id/pricing-summary
+// Price distribution on total price (item + shipping), computed per currency — never mixed.
+// Query:
+// - the results filters (marketplace, condition, q, min_price / max_price, buying, hidden, ...);
+//   listing_status defaults to all here, since ended and sold listings are good price evidence
+// - trim=0 to keep outliers (default: Tukey-fence trimming per group)
+// - weeks=N for the weekly median series (1..104, default 26)
+// Response: the most common currency's headline stats at the top level (same fields as before, plus
+// percentiles and mean), and `currencies: [{ currency, overall, by_marketplace, by_condition, weekly }]`.
 async function getSearchPricingSummary(req, res) {
   try {
     const searchId = toInt(req.params.id);
@@ -1480,26 +1868,47 @@ async function getSearchPricingSummary(req, res) {
       return res.status(403).json({ ok: false, error: 'Forbidden' });
     }
 
+    const filter = buildResultsFilter(req, searchId, { defaultListingStatus: 'all' });
+    if (filter.error) return res.status(400).json({ error: filter.error });
+
+    const trim = !['0', 'false', 'no'].includes(String(req.query.trim ?? '').trim().toLowerCase());
+    const weeks = clampInt(req.query.weeks, { min: 1, max: 104, fallback: 26 });
+
+    // Rows from before shipping was tracked fall back to price_num
     const sql = `
       SELECT
-        COUNT(*) FILTER (WHERE price_num IS NOT NULL) AS priced_count,
-        MIN(price_num) AS min_price,
-        MAX(price_num) AS max_price,
-        percentile_cont(0.5) WITHIN GROUP (ORDER BY price_num) AS median_price
+        COALESCE(total_price, price_num) AS price,
+        currency,
+        marketplace,
+        COALESCE(condition_norm, 'unknown') AS condition,
+        found_at
       FROM results
-      WHERE search_id = $1
+      LEFT JOIN result_states rs ON rs.result_id = results.id AND rs.user_id = $2::int
+      WHERE ${filter.where.join('\n        AND ')}
+        AND COALESCE(total_price, price_num) > 0
     `;
 
-    const { rows } = await pool.query(sql, [searchId]);
-    const r = rows[0] || {};
+    const { rows } = await pool.query(sql, filter.values);
+    const currencies = pricingBreakdown(rows, { trim, weeks });
+    const primary = currencies[0] || null;
+    const o = primary ? primary.overall : null;
 
     res.json({
+      ok: true,
       search_id: searchId,
-      priced_count: Number(r.priced_count || 0),
-      min_price: r.min_price,
-      max_price: r.max_price,
-      median_price: r.median_price,
-      currency: 'USD'
+      price_basis: 'total',
+      trimmed: trim,
+      currency: primary ? primary.currency : null,
+      priced_count: o ? o.count + o.outliers_excluded : 0,
+      min_price: o ? o.min : null,
+      max_price: o ? o.max : null,
+      median_price: o ? o.median : null,
+      mean_price: o ? o.mean : null,
+      p10: o ? o.p10 : null,
+      p25: o ? o.p25 : null,
+      p75: o ? o.p75 : null,
+      p90: o ? o.p90 : null,
+      currencies,
     });
   } catch (err) {
     console.error('GET pricing summary failed:', err);
@@ -1507,7 +1916,6 @@ async function getSearchPricingSummary(req, res) {
   }
 }
 
-
 app.get('/searches/:id/results', getSearchResults);
 app.get('/api/searches/:id/results', getSearchResults);
 
@@ -1520,6 +1928,487 @@ app.all('/api/searches/:id/results', methodNotAllowed(['GET', 'POST']));
 app.get('/searches/:id/pricing-summary', getSearchPricingSummary);
 app.get('/api/searches/:id/pricing-summary', getSearchPricingSummary);
 
+app.all('/searches/:id/pricing-summary', methodNotAllowed(['GET']));
+app.all('/api/searches/:id/pricing-summary', methodNotAllowed(['GET']));
+
+// --------------------
+// Results export
+// --------------------
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+  'id', 'search_id', 'marketplace', 'external_id', 'title', 'condition', 'condition_norm',
+  'price_num', 'shipping_num', 'total_price', 'currency', 'deal_score',
+  'buying_options', 'bid_count', 'current_bid_num', 'ends_at',
+  'listing_status', 'found_at', 'last_seen_at', 'ended_at',
+  'location', 'seller_username', 'listing_url', 'image_url',
+  'favorite', 'purchased', 'hidden',
+  'history_points', 'first_total_price', 'lowest_total_price', 'highest_total_price', 'last_price_change_at',
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', ext: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+};
+
+function exportValue(v) {
+  if (v === null || v === undefined) return null;
+  if (v instanceof Date) return v.toISOString();
+  return v;
+}
+
+// RFC 4180 quoting; text that a spreadsheet would run as a formula (=, +, -, @) gets a leading '
+function csvCell(v) {
+  v = exportValue(v);
+  if (v === null) return '';
+  let s = Array.isArray(v) ? v.join(';') : String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportRow(row, withHistory) {
+  const out = {};
+  for (const c of EXPORT_COLUMNS) out[c] = exportValue(row[c]);
+  if (withHistory) out.price_history = row.price_history || [];
+  return out;
+}
+
+// Streams every matching result in keyset batches, so large searches never sit in memory at once.
+// Example: GET /api/searches/2/results/export?format=csv&sort=total_low&condition=new
+// Filters/sort: same query params as GET /api/searches/:id/results (limit/cursor/offset are ignored).
+// csv carries price-history summary columns; json/ndjson also include the full `price_history` list.
+async function exportSearchResults(req, res) {
+  const searchId = toInt(req.params.id);
+  if (searchId === null) return res.status(400).json({ error: 'Invalid search id' });
+
+  const format = String(req.query.format || 'csv').trim().toLowerCase();
+  const fmt = EXPORT_FORMATS[format];
+  if (!fmt) return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+
+  let aborted = false;
+  req.on('close', () => { aborted = true; });
+
+  try {
+    if (!(await canAccessSearch(req, Number(searchId)))) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized', code: 'AUTH_REQUIRED' });
+    }
+
+    const filter = buildResultsFilter(req, searchId);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+
+    const { sortSpec, where, values } = filter;
+    const { expr, dir } = sortSpec;
+    const withHistory = format !== 'csv';
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', fmt.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="gosnaggit-search-${searchId}-results-${stamp}.${fmt.ext}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Honour backpressure; a client that disconnects mid-download also releases the wait
+    const write = async (chunk) => {
+      if (res.write(chunk) || aborted) return;
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    };
+
+    // BOM so Excel opens the CSV as UTF-8
+    if (format === 'csv') await write(`\uFEFF${EXPORT_COLUMNS.join(',')}\r\n`);
+    if (format === 'json') await write('[');
+
+    let cursor = null;
+    let written = 0;
+
+    while (!aborted) {
+      const batchWhere = where.slice();
+      const batchValues = values.slice();
+      const batchParam = (v) => {
+        batchValues.push(v);
+        return `$${batchValues.length}`;
+      };
+      if (cursor) batchWhere.push(resultsAfterCursor(sortSpec, cursor, batchParam));
+
+      const { rows } = await pool.query(
+        `
+        SELECT
+          results.*,
+          COALESCE(rs.favorite, FALSE) AS favorite,
+          COALESCE(rs.purchased, FALSE) AS purchased,
+          COALESCE(rs.hidden, FALSE) AS hidden,
+          h.history_points,
+          h.first_total_price,
+          h.lowest_total_price,
+          h.highest_total_price,
+          h.last_price_change_at,
+          ${withHistory ? 'h.price_history,' : ''}
+          (${expr})::text AS cursor_key
+        FROM results
+        LEFT JOIN result_states rs ON rs.result_id = results.id AND rs.user_id = $2::int
+        LEFT JOIN LATERAL (
+          SELECT
+            COUNT(*)::int AS history_points,
+            (array_agg(ph.total_price ORDER BY ph.recorded_at ASC, ph.id ASC))[1] AS first_total_price,
+            MIN(ph.total_price) AS lowest_total_price,
+            MAX(ph.total_price) AS highest_total_price,
+            MAX(ph.recorded_at) AS last_price_change_at
+            ${withHistory ? `,
+            COALESCE(
+              json_agg(
+                json_build_object(
+                  'recorded_at', ph.recorded_at,
+                  'price_num', ph.price_num,
+                  'shipping_num', ph.shipping_num,
+                  'total_price', ph.total_price,
+                  'currency', ph.currency
+                )
+                ORDER BY ph.recorded_at ASC, ph.id ASC
+              ),
+              '[]'::json
+            ) AS price_history` : ''}
+          FROM result_price_history ph
+          WHERE ph.result_id = results.id
+        ) h ON TRUE
+        WHERE ${batchWhere.join('\n          AND ')}
+        ORDER BY ${expr} ${dir} NULLS LAST, results.id ${dir}
+        LIMIT ${batchParam(EXPORT_BATCH_SIZE)}
+        `,
+        batchValues
+      );
+
+      for (const row of rows) {
+        if (format === 'csv') {
+          await write(`${EXPORT_COLUMNS.map((c) => csvCell(row[c])).join(',')}\r\n`);
+        } else {
+          const line = JSON.stringify(exportRow(row, withHistory));
+          await write(format === 'json' ? `${written ? ',' : ''}\n${line}` : `${line}\n`);
+        }
+        written += 1;
+      }
+
+      if (rows.length < EXPORT_BATCH_SIZE) break;
+      const last = rows[rows.length - 1];
+      cursor = { key: last.cursor_key ?? null, id: Number(last.id) };
+    }
+
+    if (format === 'json') await write(written ? '\n]\n' : ']\n');
+    res.end();
+  } catch (err) {
+    console.error('GET /searches/:id/results/export failed:', err);
+    // Headers (and maybe rows) already went out: cut the stream so the file isn't mistaken for complete
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Failed to export results' });
+  }
+}
+
+app.get('/searches/:id/results/export', exportSearchResults);
+app.get('/api/searches/:id/results/export', exportSearchResults);
+app.all('/searches/:id/results/export', methodNotAllowed(['GET']));
+app.all('/api/searches/:id/results/export', methodNotAllowed(['GET']));
+
+// Price history for one result (oldest first)
+// Example: GET /api/searches/2/results/123/history?limit=200
+async function getResultPriceHistory(req, res) {
+  try {
+    const searchId = toInt(req.params.id);
+    const resultId = toInt(req.params.resultId);
+    if (searchId === null) return res.status(400).json({ error: 'Invalid search id' });
+    if (resultId === null) return res.status(400).json({ error: 'Invalid result id' });
+
+    // Same access as the results listing: signed-in owners and guest owners (guest_id)
+    if (!(await canAccessSearch(req, Number(searchId)))) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized', code: 'AUTH_REQUIRED' });
+    }
+
+    const limitNum = clampInt(req.query.limit, { min: 1, max: 1000, fallback: 200 });
+
+    const { rows: resultRows } = await pool.query(
+      `
+      SELECT id, search_id, title, price_num, shipping_num, total_price, currency, found_at
+      FROM results
+      WHERE id = $1 AND search_id = $2
+      `,
+      [resultId, searchId]
+    );
+    if (resultRows.length === 0) return res.status(404).json({ ok: false, error: 'Result not found' });
+
+    // Latest N points, returned oldest → newest for charting
+    const { rows: history } = await pool.query(
+      `
+      SELECT recorded_at, price_num, shipping_num, total_price, currency
+      FROM (
+        SELECT id, recorded_at, price_num, shipping_num, total_price, currency
+        FROM result_price_history
+        WHERE result_id = $1
+        ORDER BY recorded_at DESC, id DESC
+        LIMIT $2
+      ) h
+      ORDER BY recorded_at ASC, id ASC
+      `,
+      [resultId, limitNum]
+    );
+
+    res.json({
+      ok: true,
+      search_id: searchId,
+      result_id: resultId,
+      result: resultRows[0],
+      history,
+    });
+  } catch (err) {
+    console.error('GET result price history failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to fetch price history' });
+  }
+}
+
+app.get('/searches/:id/results/:resultId/history', getResultPriceHistory);
+app.get('/api/searches/:id/results/:resultId/history', getResultPriceHistory);
+app.all('/searches/:id/results/:resultId/history', methodNotAllowed(['GET']));
+app.all('/api/searches/:id/results/:resultId/history', methodNotAllowed(['GET']));
+
+// Per-user result state: hidden / favorite / purchased (partial update)
+// Example: PUT /api/searches/2/results/123/state  { "favorite": true }
+async function putResultState(req, res) {
+  try {
+    const searchId = toInt(req.params.id);
+    const resultId = toInt(req.params.resultId);
+    if (searchId === null) return res.status(400).json({ error: 'Invalid search id' });
+    if (resultId === null) return res.status(400).json({ error: 'Invalid result id' });
+
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized', code: 'AUTH_REQUIRED' });
+    }
+    if (!(await canAccessSearch(req, Number(searchId)))) {
+      return res.status(403).json({ ok: false, error: 'Forbidden' });
+    }
+
+    const parsed = normalizeStatePatch(req.body);
+    if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+
+    const { rows } = await pool.query(`SELECT id FROM results WHERE id = $1 AND search_id = $2`, [resultId, searchId]);
+    if (rows.length === 0) return res.status(404).json({ ok: false, error: 'Result not found' });
+
+    const { state, dismissedAlerts } = await setResultState(pool, {
+      userId: Number(req.user.user_id),
+      resultId,
+      patch: parsed.patch,
+    });
+
+    res.json({ ok: true, search_id: searchId, state, dismissed_alerts: dismissedAlerts });
+  } catch (err) {
+    console.error('PUT result state failed:', err);
+    res.status(500).json({ error: 'Failed to update result state' });
+  }
+}
+
+app.put('/searches/:id/results/:resultId/state', putResultState);
+app.put('/api/searches/:id/results/:resultId/state', putResultState);
+app.all('/searches/:id/results/:resultId/state', methodNotAllowed(['PUT']));
+app.all('/api/searches/:id/results/:resultId/state', methodNotAllowed(['PUT']));
+
+// Favorites across all of the user's searches, most recently updated first
+// Example: GET /api/favorites?limit=50&offset=0
+async function getFavorites(req, res) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized', code: 'AUTH_REQUIRED' });
+    }
+
+    const limitNum = clampInt(req.query.limit, { min: 1, max: 200, fallback: 50 });
+    const offsetNum = clampInt(req.query.offset, { min: 0, max: 1_000_000, fallback: 0 });
+    const userId = Number(req.user.user_id);
+
+    // Only searches the user still owns (a favorite survives, but stays invisible, if ownership moves)
+    const { rows } = await pool.query(
+      `
+      SELECT
+        r.id,
+        r.search_id,
+        s.search_item,
+        r.marketplace,
+        r.external_id,
+        r.title,
+        r.price,
+        r.currency,
+        r.price_num,
+        r.shipping_num,
+        r.total_price,
+        r.listing_url,
+        r.image_url,
+        r.location,
+        r.condition,
+        r.condition_norm,
+        r.ends_at,
+        r.listing_status,
+        r.found_at,
+        rs.hidden,
+        rs.favorite,
+        rs.purchased,
+        rs.updated_at AS state_updated_at,
+        COUNT(*) OVER() AS total
+      FROM result_states rs
+      JOIN results r ON r.id = rs.result_id
+      JOIN searches s ON s.id = r.search_id
+      JOIN search_ownership so ON so.search_id = r.search_id
+      WHERE rs.user_id = $1
+        AND rs.favorite
+        AND so.owner_user_id = $1
+        AND COALESCE(s.status, 'active') <> 'deleted'
+      ORDER BY rs.updated_at DESC, r.id DESC
+      LIMIT $2 OFFSET $3
+      `,
+      [userId, limitNum, offsetNum]
+    );
+
+    res.json({
+      ok: true,
+      results: rows.map(({ total, ...r }) => r),
+      total: rows.length ? Number(rows[0].total) : 0,
+    });
+  } catch (err) {
+    console.error('GET /favorites failed:', err);
+    res.status(500).json({ error: 'Failed to fetch favorites' });
+  }
+}
+
+app.get('/favorites', getFavorites);
+app.get('/api/favorites', getFavorites);
+app.all('/favorites', methodNotAllowed(['GET']));
+app.all('/api/favorites', methodNotAllowed(['GET']));
+
+// ts_headline markers: private-use characters never found in listing text, so the output can be
+// split into plain segments instead of shipping HTML built from marketplace-controlled strings
+const HL_START = '\uE000';
+const HL_STOP = '\uE001';
+const HL_OPTIONS = `StartSel=${HL_START}, StopSel=${HL_STOP}, HighlightAll=TRUE`;
+
+// "a blue lamp" -> [{ text: 'a ', match: false }, { text: 'blue', match: true }, { text: ' lamp', match: false }]
+function highlightSegments(s) {
+  if (s === null || s === undefined) return null;
+  const out = [];
+  for (const part of String(s).split(HL_START)) {
+    const stop = part.indexOf(HL_STOP);
+    if (stop === -1) {
+      if (part) out.push({ text: part, match: false });
+      continue;
+    }
+    if (stop > 0) out.push({ text: part.slice(0, stop), match: true });
+    const rest = part.slice(stop + HL_STOP.length);
+    if (rest) out.push({ text: rest, match: false });
+  }
+  return out;
+}
+
+// Full-text search across every result in the user's own searches
+// Example: GET /api/results/search?q=blue+-cracked&search_id=2&limit=25
+// q uses web-search syntax: words, "quoted phrases", OR, -exclusions.
+async function searchAllResults(req, res) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized', code: 'AUTH_REQUIRED' });
+    }
+
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'q is required' });
+    if (q.length > 200) return res.status(400).json({ error: 'q is too long (max 200 characters)' });
+
+    const searchIdFilter = req.query.search_id === undefined ? null : toInt(req.query.search_id);
+    if (req.query.search_id !== undefined && searchIdFilter === null) {
+      return res.status(400).json({ error: 'Invalid search id' });
+    }
+
+    const limitNum = clampInt(req.query.limit, { min: 1, max: 100, fallback: 25 });
+    const offsetNum = clampInt(req.query.offset, { min: 0, max: 10_000, fallback: 0 });
+    const userId = Number(req.user.user_id);
+
+    const { rows } = await pool.query(
+      `
+      WITH query AS (
+        -- Same config as results.search_tsv, so exclusions match the stems stored there
+        SELECT websearch_to_tsquery('english', $2) AS tsq
+      ),
+      matches AS (
+        SELECT
+          r.*,
+          s.search_item,
+          ts_rank_cd(r.search_tsv, q.tsq) AS rank,
+          COUNT(*) OVER() AS total
+        FROM results r
+        JOIN search_ownership so ON so.search_id = r.search_id
+        JOIN searches s ON s.id = r.search_id
+        CROSS JOIN query q
+        LEFT JOIN result_states rs ON rs.result_id = r.id AND rs.user_id = $1
+        WHERE so.owner_user_id = $1
+          AND COALESCE(s.status, 'active') <> 'deleted'
+          AND ($3::int IS NULL OR r.search_id = $3)
+          AND rs.hidden IS NOT TRUE
+          AND r.search_tsv @@ q.tsq
+        ORDER BY rank DESC, r.found_at DESC NULLS LAST, r.id DESC
+        LIMIT $4 OFFSET $5
+      )
+      SELECT
+        m.id,
+        m.search_id,
+        m.search_item,
+        m.marketplace,
+        m.title,
+        m.price,
+        m.currency,
+        m.price_num,
+        m.total_price,
+        m.listing_url,
+        m.image_url,
+        m.location,
+        m.seller_username,
+        m.condition_norm,
+        m.listing_status,
+        m.found_at,
+        m.rank,
+        m.total,
+        ts_headline('english', COALESCE(m.title, ''), q.tsq, $6) AS title_hl,
+        ts_headline('english', COALESCE(m.seller_username, '') || ' · ' || COALESCE(m.location, ''), q.tsq, $6) AS context_hl
+      FROM matches m
+      CROSS JOIN query q
+      ORDER BY m.rank DESC, m.found_at DESC NULLS LAST, m.id DESC
+      `,
+      [userId, q, searchIdFilter, limitNum, offsetNum, HL_OPTIONS]
+    );
+
+    res.json({
+      ok: true,
+      q,
+      total: rows.length ? Number(rows[0].total) : 0,
+      results: rows.map(({ title_hl, context_hl, total, rank, ...r }) => {
+        const context = highlightSegments(context_hl) || [];
+        return {
+          ...r,
+          rank: Number(rank),
+          highlights: {
+            title: highlightSegments(title_hl),
+            // Only worth showing when the seller/location is what matched
+            context: context.some((seg) => seg.match) ? context : null,
+          },
+        };
+      }),
+    });
+  } catch (err) {
+    console.error('GET /results/search failed:', err);
+    res.status(500).json({ error: 'Failed to search results' });
+  }
+}
+
+app.get('/results/search', searchAllResults);
+app.get('/api/results/search', searchAllResults);
+app.all('/results/search', methodNotAllowed(['GET']));
+app.all('/api/results/search', methodNotAllowed(['GET']));
+
 
 // --------------------
 // Refresh (enqueue only)
@@ -1563,12 +2452,12 @@ if (process.env.NODE_ENV !== 'production') {
       // Respect per-search alert settings (server-backed)
       const force = String(req.query.force || '').toLowerCase();
       const settings = await getAlertSettingsForSearchId(pool, searchId);
-      // Daily digest guard: only allow ONE send per local day (unless force)
-      if (settings.mode === 'daily' && hasDigestBeenSentToday(settings) && force !== '1' && force !== 'true' && force !== 'yes') {
+      // Digest guard: only allow ONE send per daily/weekly digest period (unless force)
+      if (hasDigestBeenSentThisPeriod(settings) && force !== '1' && force !== 'true' && force !== 'yes') {
         return res.json({
           ok: true,
           skipped: true,
-          reason: 'daily_already_sent',
+          reason: `${settings.mode}_already_sent`,
           search_id: searchId,
           settings,
         });
@@ -1630,9 +2519,9 @@ if (process.env.NODE_ENV !== 'production') {
         limit,
       });
 
-      // If this search is in daily digest mode and we actually sent an email,
-      // record that we sent the digest today so we don't send again until tomorrow.
-      if (settings && settings.mode === 'daily' && result && Number(result.sent || 0) > 0) {
+      // If this search is in digest mode and we actually sent an email,
+      // record it so the worker doesn't send another digest this period.
+      if (settings && settings.mode !== 'immediate' && result && Number(result.sent || 0) > 0) {
         await markDigestSentForSearchId(pool, searchId, new Date().toISOString());
       }
 
@@ -1662,17 +2551,17 @@ if (process.env.NODE_ENV !== 'production') {
       const forceRaw = String(req.query.force || '').toLowerCase();
       const isForce = (forceRaw === '1' || forceRaw === 'true' || forceRaw === 'yes');
 
-      // NOTE: getAlertSettingsForSearchId is used ONLY for schedule/mode (daily vs immediate),
+      // NOTE: getAlertSettingsForSearchId is used here ONLY for schedule/mode (immediate vs daily/weekly),
       // NOT for enabled/disabled (that comes from notification_settings DB table).
-      const settings = getAlertSettingsForSearchId(searchId) || {};
-      const mode = String(settings.mode || 'immediate');
+      const settings = await getAlertSettingsForSearchId(pool, searchId);
+      const mode = settings.mode;
 
-      // Daily digest guard: only allow ONE send per local day (unless force)
-      if (mode === 'daily' && hasDigestBeenSentToday(settings) && !isForce) {
+      // Digest guard: only allow ONE send per daily/weekly digest period (unless force)
+      if (hasDigestBeenSentThisPeriod(settings) && !isForce) {
         return res.json({
           ok: true,
           skipped: true,
-          reason: 'daily_already_sent',
+          reason: `${mode}_already_sent`,
           search_id: searchId,
           settings,
         });
@@ -1735,10 +2624,10 @@ if (process.env.NODE_ENV !== 'production') {
         ignoreCooldown: true,
       });
 
-      // If this search is in daily digest mode and we actually sent an email,
-      // record that we sent the digest today so we don't send again until tomorrow.
-      if (mode === 'daily' && result && Number(result.sent || 0) > 0) {
-        markDigestSentForSearchId(searchId, new Date().toISOString());
+      // If this search is in digest mode and we actually sent an email,
+      // record it so the worker doesn't send another digest this period.
+      if (mode !== 'immediate' && result && Number(result.sent || 0) > 0) {
+        await markDigestSentForSearchId(pool, searchId, new Date().toISOString());
       }
 
       return res.json({ ok: true, ...result });
@@ -1852,13 +2741,17 @@ async function getSearchAlerts(req, res) {
         ae.search_id,
         ae.result_id AS result_id,
         ae.status,
+        ae.kind,
+        ae.prev_total_price,
+        ae.new_total_price,
         ae.created_at AS alert_created_at,
         r.title,
         r.price,
         r.currency,
         r.listing_url,
         r.marketplace,
-        r.external_id
+        r.external_id,
+        r.ends_at
       FROM alert_events ae
       LEFT JOIN results r ON r.id = ae.result_id
       WHERE ae.search_id = $1
@@ -1900,17 +2793,17 @@ async function sendNowHandler(req, res) {
     const forceRaw = String(req.query.force || '').toLowerCase();
     const isForce = (forceRaw === '1' || forceRaw === 'true' || forceRaw === 'yes');
 
-    // NOTE: getAlertSettingsForSearchId is used ONLY for schedule/mode (daily vs immediate),
+    // NOTE: getAlertSettingsForSearchId is used here ONLY for schedule/mode (immediate vs daily/weekly),
     // NOT for enabled/disabled (that comes from notification_settings DB table).
-    const settings = getAlertSettingsForSearchId(searchId) || {};
-    const mode = String(settings.mode || 'immediate');
+    const settings = await getAlertSettingsForSearchId(pool, searchId);
+    const mode = settings.mode;
 
-    // Daily digest guard: only allow ONE send per local day (unless force)
-    if (mode === 'daily' && hasDigestBeenSentToday(settings) && !isForce) {
+    // Digest guard: only allow ONE send per daily/weekly digest period (unless force)
+    if (hasDigestBeenSentThisPeriod(settings) && !isForce) {
       return res.json({
         ok: true,
         skipped: true,
-        reason: 'daily_already_sent',
+        reason: `${mode}_already_sent`,
         search_id: searchId,
         settings,
       });
@@ -1972,10 +2865,10 @@ async function sendNowHandler(req, res) {
       limit,
     });
 
-    // If this search is in daily digest mode and we actually sent an email,
-    // record that we sent the digest today so we don't send again until tomorrow.
-    if (mode === 'daily' && result && Number(result.sent || 0) > 0) {
-      markDigestSentForSearchId(searchId, new Date().toISOString());
+    // If this search is in digest mode and we actually sent an email,
+    // record it so the worker doesn't send another digest this period.
+    if (mode !== 'immediate' && result && Number(result.sent || 0) > 0) {
+      await markDigestSentForSearchId(pool, searchId, new Date().toISOString());
     }
 
     return res.json({ ok: true, ...result });
@@ -2266,6 +3159,12 @@ app.use((err, req, res, next) => {
     console.error("[auth] ensureAuthTables failed:", e);
   }
 
+  try {
+    await ensureSchema();
+  } catch (e) {
+    console.error("[schema] ensureSchema failed:", e);
+  }
+
   app.listen(PORT, () => {
     console.log(`GoSnaggit server is running on http://localhost:${PORT}`);
   });
@@ -4,14 +4,38 @@ const DEFAULTS = {
     enabled: true,
     mode: "immediate",
     maxPerEmail: 25,
+    endingSoonMinutes: 0, // 0 = no ending-soon auction reminders
+    priceDropEnabled: false,
+    priceDropPercent: 10, // alert when total price falls by >= this % ...
+    priceDropAmount: 0,   // ... or by >= this absolute amount (0 = off)
+    minDealScore: 0,      // only alert new listings scoring >= this (0 = off; unscored listings always alert)
+    digestHour: 8,        // daily/weekly digests go out at this local hour (0-23) ...
+    digestWeekday: 1,     // ... on this weekday for weekly (0 = Sunday)
+    timezone: "UTC",      // IANA zone the digest hour is in
     lastDigestSentAt: null,
 };
 
+const MODES = ["immediate", "daily", "weekly"];
+
+function isValidTimeZone(tz) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function intIn(v, min, max, fallback) {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= min && n <= max ? n : fallback;
+}
+
 function normalizeAlertSettings(input) {
     const s = Object.assign({}, DEFAULTS, (input || {}));
 
     s.enabled = !!s.enabled;
-    s.mode = (s.mode === "daily") ? "daily" : "immediate";
+    s.mode = MODES.includes(s.mode) ? s.mode : "immediate";
 
     const mpe = Number(s.maxPerEmail);
     s.maxPerEmail =
@@ -19,34 +43,70 @@ function normalizeAlertSettings(input) {
             ? Math.min(200, Math.max(1, Math.floor(mpe)))
             : DEFAULTS.maxPerEmail;
 
+    const esm = Number(s.endingSoonMinutes);
+    s.endingSoonMinutes =
+        Number.isFinite(esm) && esm > 0
+            ? Math.min(1440, Math.max(5, Math.floor(esm)))
+            : 0;
+
+    s.priceDropEnabled = !!s.priceDropEnabled;
+
+    const pdp = Number(s.priceDropPercent);
+    s.priceDropPercent = Number.isFinite(pdp) && pdp >= 0 ? Math.min(95, pdp) : DEFAULTS.priceDropPercent;
+
+    const pda = Number(s.priceDropAmount);
+    s.priceDropAmount = Number.isFinite(pda) && pda > 0 ? pda : 0;
+
+    const mds = Number(s.minDealScore);
+    s.minDealScore = Number.isFinite(mds) && mds > 0 ? Math.min(100, Math.floor(mds)) : 0;
+
+    s.digestHour = intIn(s.digestHour, 0, 23, DEFAULTS.digestHour);
+    s.digestWeekday = intIn(s.digestWeekday, 0, 6, DEFAULTS.digestWeekday);
+
+    const tz = typeof s.timezone === "string" ? s.timezone.trim() : "";
+    s.timezone = tz && isValidTimeZone(tz) ? tz : DEFAULTS.timezone;
+
     const lds = s.lastDigestSentAt;
     s.lastDigestSentAt = (typeof lds === "string" && lds.trim()) ? lds.trim() : null;
 
     return s;
 }
 
+// alert_settings row (snake_case columns) → normalized settings; null row = defaults
+function alertSettingsFromRow(r) {
+    if (!r) return normalizeAlertSettings(null);
+    return normalizeAlertSettings({
+        enabled: r.enabled,
+        mode: r.mode,
+        maxPerEmail: r.max_per_email,
+        endingSoonMinutes: r.ending_soon_minutes,
+        priceDropEnabled: r.price_drop_enabled,
+        priceDropPercent: r.price_drop_percent ?? DEFAULTS.priceDropPercent,
+        priceDropAmount: r.price_drop_amount,
+        minDealScore: r.min_deal_score,
+        digestHour: r.digest_hour,
+        digestWeekday: r.digest_weekday,
+        timezone: r.timezone,
+        lastDigestSentAt: r.last_digest_sent_at ? new Date(r.last_digest_sent_at).toISOString() : null,
+    });
+}
+
 async function getAlertSettingsForSearchId(pool, searchId) {
     const id = Number(searchId);
     if (!Number.isFinite(id) || id <= 0) return normalizeAlertSettings(null);
 
     const { rows } = await pool.query(
         `
-    SELECT enabled, mode, max_per_email, last_digest_sent_at
+    SELECT enabled, mode, max_per_email, ending_soon_minutes,
+           price_drop_enabled, price_drop_percent, price_drop_amount, min_deal_score,
+           digest_hour, digest_weekday, timezone, last_digest_sent_at
     FROM alert_settings
     WHERE search_id = $1
     `,
         [id]
     );
 
-    if (!rows || rows.length === 0) return normalizeAlertSettings(null);
-
-    const r = rows[0];
-    return normalizeAlertSettings({
-        enabled: r.enabled,
-        mode: r.mode,
-        maxPerEmail: r.max_per_email,
-        lastDigestSentAt: r.last_digest_sent_at ? new Date(r.last_digest_sent_at).toISOString() : null,
-    });
+    return alertSettingsFromRow(rows && rows[0]);
 }
 
 async function setAlertSettingsForSearchId(pool, searchId, nextSettings) {
@@ -57,17 +117,42 @@ async function setAlertSettingsForSearchId(pool, searchId, nextSettings) {
 
     await pool.query(
         `
-    INSERT INTO alert_settings (search_id, enabled, mode, max_per_email, last_digest_sent_at, updated_at)
-    VALUES ($1, $2, $3, $4, $5, NOW())
+    INSERT INTO alert_settings
+      (search_id, enabled, mode, max_per_email, ending_soon_minutes,
+       price_drop_enabled, price_drop_percent, price_drop_amount, min_deal_score,
+       digest_hour, digest_weekday, timezone, last_digest_sent_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
     ON CONFLICT (search_id)
     DO UPDATE SET
       enabled = EXCLUDED.enabled,
       mode = EXCLUDED.mode,
       max_per_email = EXCLUDED.max_per_email,
+      ending_soon_minutes = EXCLUDED.ending_soon_minutes,
+      price_drop_enabled = EXCLUDED.price_drop_enabled,
+      price_drop_percent = EXCLUDED.price_drop_percent,
+      price_drop_amount = EXCLUDED.price_drop_amount,
+      min_deal_score = EXCLUDED.min_deal_score,
+      digest_hour = EXCLUDED.digest_hour,
+      digest_weekday = EXCLUDED.digest_weekday,
+      timezone = EXCLUDED.timezone,
       last_digest_sent_at = EXCLUDED.last_digest_sent_at,
       updated_at = NOW()
     `,
-        [id, next.enabled, next.mode, next.maxPerEmail, next.lastDigestSentAt]
+        [
+            id,
+            next.enabled,
+            next.mode,
+            next.maxPerEmail,
+            next.endingSoonMinutes,
+            next.priceDropEnabled,
+            next.priceDropPercent,
+            next.priceDropAmount,
+            next.minDealScore,
+            next.digestHour,
+            next.digestWeekday,
+            next.timezone,
+            next.lastDigestSentAt,
+        ]
     );
 
     return true;
@@ -95,23 +180,76 @@ async function markDigestSentForSearchId(pool, searchId, whenIso) {
     return true;
 }
 
-function hasDigestBeenSentToday(settings) {
-    try {
-        const iso = settings && settings.lastDigestSentAt ? String(settings.lastDigestSentAt) : "";
-        if (!iso) return false;
-        const d = new Date(iso);
-        if (isNaN(d.getTime())) return false;
-        const now = new Date();
-        return d.getFullYear() === now.getFullYear() && d.getMonth() === now.getMonth() && d.getDate() === now.getDate();
-    } catch {
-        return false;
+// Wall-clock date (YYYY-MM-DD), hour and weekday (0 = Sunday) of `date` in `timeZone`
+function localParts(date, timeZone) {
+    const parts = {};
+    for (const p of new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        weekday: "short",
+    }).formatToParts(date)) {
+        parts[p.type] = p.value;
     }
+    return {
+        ymd: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: Number(parts.hour),
+        weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+    };
+}
+
+function addDays(ymd, days) {
+    const d = new Date(`${ymd}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+// Local date the digest period containing `date` started on. A period starts at digestHour,
+// every day (daily) or on digestWeekday (weekly), in the search's timezone.
+function digestPeriodStart(settings, date) {
+    const { ymd, hour, weekday } = localParts(date, settings.timezone);
+    let back = settings.mode === "weekly" ? (weekday - settings.digestWeekday + 7) % 7 : 0;
+    if (back === 0 && hour < settings.digestHour) back = settings.mode === "weekly" ? 7 : 1;
+    return addDays(ymd, -back);
+}
+
+/**
+ * True once the current digest period's digest has been sent (lastDigestSentAt falls inside it).
+ * Always false for immediate mode.
+ */
+function hasDigestBeenSentThisPeriod(settings, now = new Date()) {
+    const s = normalizeAlertSettings(settings);
+    if (s.mode === "immediate" || !s.lastDigestSentAt) return false;
+    const last = new Date(s.lastDigestSentAt);
+    if (isNaN(last.getTime())) return false;
+    return digestPeriodStart(s, last) === digestPeriodStart(s, now);
+}
+
+/**
+ * Whether the worker should send this search's alerts now: always for immediate mode;
+ * for daily/weekly once the local digest hour (and weekday) has been reached and this period's
+ * digest hasn't gone out. A missed slot (worker down) is caught up later in the same period,
+ * but a search that never sent a digest waits for its first slot.
+ */
+function isDigestDue(settings, now = new Date()) {
+    const s = normalizeAlertSettings(settings);
+    if (s.mode === "immediate") return true;
+    if (hasDigestBeenSentThisPeriod(s, now)) return false;
+
+    const start = digestPeriodStart(s, now);
+    return !!s.lastDigestSentAt || start === localParts(now, s.timezone).ymd;
 }
 
 module.exports = {
     normalizeAlertSettings,
     getAlertSettingsForSearchId,
     setAlertSettingsForSearchId,
+    alertSettingsFromRow,
     markDigestSentForSearchId,
-    hasDigestBeenSentToday,
+    digestPeriodStart,
+    hasDigestBeenSentThisPeriod,
+    isDigestDue,
 };
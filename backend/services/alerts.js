@@ -39,6 +39,136 @@ async function createNewListingAlert({ pool, searchId, resultId, marketplace, ex
   };
 }
 
+/**
+ * Queue "auction ending soon" reminders for every tracked auction result whose
+ * end time falls inside its search's alert_settings.ending_soon_minutes window.
+ *
+ * - Uses its own dedupe key namespace (ending_soon:...) so it never collides with new_listing keys
+ * - ends_at is part of the key: if the seller extends/relists, the new end time gets a fresh reminder
+ * - Goes through the normal alert_events → dispatch pipeline (kind = 'ending_soon')
+ *
+ * Returns number inserted.
+ */
+async function createEndingSoonAlerts({ pool, searchId = null, limit = 1000 }) {
+  if (!pool) throw new Error('createEndingSoonAlerts requires { pool }');
+
+  const sql = `
+    INSERT INTO alert_events (search_id, result_id, status, kind, dedupe_key, created_at)
+    SELECT r.search_id, r.id, 'pending', 'ending_soon',
+       ('ending_soon:' || r.marketplace || ':v1|search=' || r.search_id::text ||
+        '|item=' || r.external_id || '|result=' || r.id::text ||
+        '|ends=' || EXTRACT(EPOCH FROM r.ends_at)::bigint::text),
+       NOW()
+    FROM results r
+    JOIN alert_settings s ON s.search_id = r.search_id
+    JOIN searches se ON se.id = r.search_id
+    WHERE s.enabled = TRUE
+      AND s.ending_soon_minutes > 0
+      AND COALESCE(se.status, 'active') = 'active'
+      AND ($1::int IS NULL OR r.search_id = $1)
+      AND 'AUCTION' = ANY(COALESCE(r.buying_options, '{}'::text[]))
+      AND r.ends_at > NOW()
+      AND r.ends_at <= NOW() + (s.ending_soon_minutes * INTERVAL '1 minute')
+    ORDER BY r.ends_at ASC
+    LIMIT $2
+    ON CONFLICT (dedupe_key) DO NOTHING
+    RETURNING id
+  `;
+
+  const r = await pool.query(sql, [searchId, limit]);
+  return r.rowCount || 0;
+}
+
+/**
+ * Queue "price drop" alerts for already-tracked results in one refresh batch.
+ *
+ * Compares each result's newest result_price_history point (recorded during this refresh,
+ * i.e. at/after `since`) with the point before it, and fires when the total price:
+ *  - fell by >= alert_settings.price_drop_percent % of the previous total, or
+ *  - fell by >= alert_settings.price_drop_amount, or
+ *  - dropped to/below the search's max_price for the first time
+ *
+ * Dedupe key is per price point (history row), so each drop alerts once even across retries.
+ *
+ * Returns number inserted.
+ */
+async function createPriceDropAlerts({ pool, searchId, marketplace, externals, since }) {
+  if (!pool) throw new Error('createPriceDropAlerts requires { pool }');
+  if (!searchId) throw new Error('createPriceDropAlerts requires { searchId }');
+  if (!Array.isArray(externals) || externals.length === 0) return 0;
+
+  const sql = `
+    WITH cfg AS (
+      SELECT
+        COALESCE(s.price_drop_percent, 0) AS pct,
+        COALESCE(s.price_drop_amount, 0) AS amount,
+        se.max_price
+      FROM alert_settings s
+      JOIN searches se ON se.id = s.search_id
+      WHERE s.search_id = $1
+        AND s.enabled = TRUE
+        AND s.price_drop_enabled = TRUE
+    ),
+    pts AS (
+      SELECT
+        r.id AS result_id,
+        r.marketplace,
+        r.external_id,
+        h.id AS history_id,
+        h.total_price,
+        h.recorded_at,
+        ROW_NUMBER() OVER (PARTITION BY r.id ORDER BY h.recorded_at DESC, h.id DESC) AS rn
+      FROM results r
+      JOIN result_price_history h ON h.result_id = r.id
+      WHERE r.search_id = $1
+        AND r.marketplace = $2
+        AND r.external_id = ANY($3::text[])
+    ),
+    drops AS (
+      SELECT c.result_id, c.marketplace, c.external_id, c.history_id,
+             c.total_price AS new_total, p.total_price AS prev_total
+      FROM pts c
+      JOIN pts p ON p.result_id = c.result_id AND p.rn = 2
+      CROSS JOIN cfg
+      WHERE c.rn = 1
+        AND c.recorded_at >= $4
+        AND c.total_price IS NOT NULL
+        AND p.total_price IS NOT NULL
+        AND c.total_price < p.total_price
+        AND (
+          (cfg.pct > 0 AND (p.total_price - c.total_price) >= p.total_price * cfg.pct / 100)
+          OR (cfg.amount > 0 AND (p.total_price - c.total_price) >= cfg.amount)
+          OR (
+            cfg.max_price IS NOT NULL
+            AND c.total_price <= cfg.max_price
+            AND NOT EXISTS (
+              SELECT 1
+              FROM result_price_history h2
+              WHERE h2.result_id = c.result_id
+                AND h2.id <> c.history_id
+                AND h2.total_price <= cfg.max_price
+            )
+          )
+        )
+    )
+    INSERT INTO alert_events
+      (search_id, result_id, status, kind, dedupe_key, prev_total_price, new_total_price, created_at)
+    SELECT $1, d.result_id, 'pending', 'price_drop',
+       ('price_drop:' || d.marketplace || ':v1|search=' || $1::text ||
+        '|item=' || d.external_id || '|result=' || d.result_id::text ||
+        '|point=' || d.history_id::text || '|total=' || d.new_total::text),
+       d.prev_total, d.new_total, NOW()
+    FROM drops d
+    ON CONFLICT (dedupe_key) DO NOTHING
+    RETURNING id
+  `;
+
+  const r = await pool.query(sql, [searchId, marketplace, externals, since || new Date(0)]);
+  return r.rowCount || 0;
+}
+
 module.exports = {
   createNewListingAlert,
+  createEndingSoonAlerts,
+  createPriceDropAlerts,
 };
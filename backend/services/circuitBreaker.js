@@ -0,0 +1,208 @@
+// services/circuitBreaker.js
+//
+// Per-marketplace circuit breaker stored in Postgres (marketplace_circuit_breakers),
+// so the API server and the worker see the same state.
+//
+// States:
+// - closed:    requests flow; consecutive failures are counted
+// - open:      provider is skipped until open_until
+// - half_open: one process holds the probe; success closes, failure re-opens with longer backoff
+//
+// Opens after MARKETPLACE_BREAKER_FAILURE_THRESHOLD consecutive failures, or immediately on HTTP 429.
+// Breaker errors never block a marketplace: if the table can't be read we fail open.
+//
+// Env knobs (optional):
+// - MARKETPLACE_BREAKER_FAILURE_THRESHOLD (default 5)
+// - MARKETPLACE_BREAKER_BASE_SECONDS      (default 300)  first open window
+// - MARKETPLACE_BREAKER_MAX_SECONDS       (default 3600) cap for exponential backoff
+// - MARKETPLACE_BREAKER_PROBE_STALE_SECONDS (default 300) re-claim a probe that never reported back
+
+const pool = require('../db');
+
+function envNum(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function breakerConfig() {
+  return {
+    failureThreshold: Math.floor(envNum('MARKETPLACE_BREAKER_FAILURE_THRESHOLD', 5)),
+    baseSeconds: envNum('MARKETPLACE_BREAKER_BASE_SECONDS', 300),
+    maxSeconds: envNum('MARKETPLACE_BREAKER_MAX_SECONDS', 3600),
+    probeStaleSeconds: envNum('MARKETPLACE_BREAKER_PROBE_STALE_SECONDS', 300),
+  };
+}
+
+function backoffSeconds(openCount, cfg) {
+  // openCount = how many times it has opened in a row (0 for the first open)
+  return Math.min(cfg.maxSeconds, cfg.baseSeconds * Math.pow(2, Math.max(0, openCount)));
+}
+
+async function getBreaker(marketplace) {
+  const { rows } = await pool.query(
+    `SELECT * FROM marketplace_circuit_breakers WHERE marketplace = $1`,
+    [marketplace]
+  );
+  return rows[0] || null;
+}
+
+async function listBreakers() {
+  const { rows } = await pool.query(
+    `SELECT * FROM marketplace_circuit_breakers ORDER BY marketplace ASC`
+  );
+  return rows;
+}
+
+/**
+ * Decide whether a marketplace may be called right now.
+ * Returns { allowed, state, probe, open_until }.
+ */
+async function allowRequest(marketplace) {
+  try {
+    const row = await getBreaker(marketplace);
+    if (!row || row.state === 'closed') {
+      return { allowed: true, state: 'closed', probe: false, open_until: null };
+    }
+
+    const cfg = breakerConfig();
+
+    // Open window elapsed (or a probe went silent): exactly one process claims the probe.
+    const { rows: claimed } = await pool.query(
+      `
+      UPDATE marketplace_circuit_breakers
+      SET state = 'half_open',
+          probe_started_at = NOW(),
+          updated_at = NOW()
+      WHERE marketplace = $1
+        AND (
+          (state = 'open' AND open_until <= NOW())
+          OR (state = 'half_open' AND probe_started_at < NOW() - ($2 * INTERVAL '1 second'))
+        )
+      RETURNING state, open_until
+      `,
+      [marketplace, cfg.probeStaleSeconds]
+    );
+
+    if (claimed.length) {
+      return { allowed: true, state: 'half_open', probe: true, open_until: claimed[0].open_until };
+    }
+
+    return { allowed: false, state: row.state, probe: false, open_until: row.open_until };
+  } catch (err) {
+    console.warn(`[breaker] ${marketplace} state unavailable (fail-open): ${err?.message || err}`);
+    return { allowed: true, state: 'unknown', probe: false, open_until: null };
+  }
+}
+
+async function recordSuccess(marketplace) {
+  try {
+    await pool.query(
+      `
+      INSERT INTO marketplace_circuit_breakers
+        (marketplace, state, consecutive_failures, open_count, last_success_at, updated_at)
+      VALUES ($1, 'closed', 0, 0, NOW(), NOW())
+      ON CONFLICT (marketplace)
+      DO UPDATE SET
+        state = 'closed',
+        consecutive_failures = 0,
+        open_count = 0,
+        open_until = NULL,
+        probe_started_at = NULL,
+        last_success_at = NOW(),
+        updated_at = NOW()
+      `,
+      [marketplace]
+    );
+  } catch (err) {
+    console.warn(`[breaker] ${marketplace} recordSuccess failed: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Count a failure and open the breaker when warranted.
+ * `status` is the provider HTTP status when known (429 opens immediately).
+ */
+async function recordFailure(marketplace, { error = null, status = null } = {}) {
+  try {
+    const msg = error ? String(error).slice(0, 500) : null;
+    const st = Number.isFinite(Number(status)) ? Number(status) : null;
+
+    const { rows } = await pool.query(
+      `
+      INSERT INTO marketplace_circuit_breakers AS cb
+        (marketplace, state, consecutive_failures, last_error, last_status, last_failure_at, updated_at)
+      VALUES ($1, 'closed', 1, $2, $3, NOW(), NOW())
+      ON CONFLICT (marketplace)
+      DO UPDATE SET
+        consecutive_failures = cb.consecutive_failures + 1,
+        last_error = EXCLUDED.last_error,
+        last_status = EXCLUDED.last_status,
+        last_failure_at = NOW(),
+        updated_at = NOW()
+      RETURNING state, consecutive_failures, open_count
+      `,
+      [marketplace, msg, st]
+    );
+
+    const row = rows[0];
+    const cfg = breakerConfig();
+
+    const shouldOpen =
+      st === 429 ||
+      row.state === 'half_open' ||
+      row.consecutive_failures >= cfg.failureThreshold;
+
+    if (!shouldOpen || row.state === 'open') return { opened: false, state: row.state };
+
+    const seconds = backoffSeconds(row.open_count || 0, cfg);
+
+    await pool.query(
+      `
+      UPDATE marketplace_circuit_breakers
+      SET state = 'open',
+          opened_at = NOW(),
+          open_until = NOW() + ($2 * INTERVAL '1 second'),
+          open_count = open_count + 1,
+          probe_started_at = NULL,
+          updated_at = NOW()
+      WHERE marketplace = $1
+      `,
+      [marketplace, seconds]
+    );
+
+    console.warn(`[breaker] ${marketplace} OPEN for ${seconds}s (failures=${row.consecutive_failures}, status=${st ?? 'n/a'})`);
+    return { opened: true, state: 'open', seconds };
+  } catch (err) {
+    console.warn(`[breaker] ${marketplace} recordFailure failed: ${err?.message || err}`);
+    return { opened: false, state: 'unknown' };
+  }
+}
+
+// Admin: force a breaker closed
+async function resetBreaker(marketplace) {
+  const { rows } = await pool.query(
+    `
+    UPDATE marketplace_circuit_breakers
+    SET state = 'closed',
+        consecutive_failures = 0,
+        open_count = 0,
+        open_until = NULL,
+        probe_started_at = NULL,
+        updated_at = NOW()
+    WHERE marketplace = $1
+    RETURNING *
+    `,
+    [marketplace]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  breakerConfig,
+  getBreaker,
+  listBreakers,
+  allowRequest,
+  recordSuccess,
+  recordFailure,
+  resetBreaker,
+};
@@ -0,0 +1,162 @@
+// services/dealScore.js
+//
+// Deal score (0-100) for a search's results: how cheap a listing's total price (item + shipping) is
+// compared with the rest of that search. 100 = cheaper than every comparable listing, 50 = middle of the pack.
+//
+// - Comparables share the listing's currency, and its normalized condition when that group has enough data
+// - Sold comps (listing_status = 'sold') are what people actually paid; when there are enough of them
+//   they count for SOLD_WEIGHT of the score, asking prices for the rest
+// - Rank-based, so a $1 "box only" listing or a $9,999 placeholder moves a score by one place at most
+// - Too few comparables → NULL (unscored); the alert threshold never blocks unscored listings
+
+const MIN_ASKING_SAMPLE = 5;
+const MIN_SOLD_SAMPLE = 3;
+const SOLD_WEIGHT = 0.5;
+// Most recent listings used as the reference distribution
+const REFERENCE_LIMIT = 5000;
+
+// Share of `sorted` priced above `price` (ties count half); `self` drops the listing's own entry
+function cheaperThanShare(sorted, price, self) {
+  let above = 0;
+  let equal = 0;
+  for (const p of sorted) {
+    if (p > price) above += 1;
+    else if (p === price) equal += 1;
+  }
+  let n = sorted.length;
+  if (self) {
+    equal -= 1;
+    n -= 1;
+  }
+  return n > 0 ? (above + equal / 2) / n : null;
+}
+
+function addTo(map, key, price) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(price);
+}
+
+/**
+ * Reference prices from a search's results ({ id, price, currency, condition, listing_status }).
+ * Keys are `${currency}|${condition}` plus `${currency}|*` for the currency as a whole.
+ */
+function buildReference(rows) {
+  const asking = new Map();
+  const sold = new Map();
+  const ids = new Set();
+  for (const r of rows) {
+    const price = Number(r.price);
+    if (!Number.isFinite(price) || price <= 0) continue;
+    ids.add(String(r.id));
+    const cur = String(r.currency || 'USD').toUpperCase();
+    const target = r.listing_status === 'sold' ? sold : asking;
+    addTo(target, `${cur}|${r.condition || 'unknown'}`, price);
+    addTo(target, `${cur}|*`, price);
+  }
+  return { asking, sold, ids };
+}
+
+// Narrowest group with at least `min` prices (not counting the listing itself)
+function pickGroup(map, cur, condition, min, selfIn) {
+  for (const key of [`${cur}|${condition}`, `${cur}|*`]) {
+    const list = map.get(key);
+    if (list && list.length - (selfIn ? 1 : 0) >= min) return list;
+  }
+  return null;
+}
+
+/**
+ * Score one listing against a reference from buildReference().
+ * Returns an integer 0..100, or null when there isn't enough data.
+ */
+function scoreListing(ref, r) {
+  const price = Number(r.price);
+  if (!Number.isFinite(price) || price <= 0) return null;
+
+  const cur = String(r.currency || 'USD').toUpperCase();
+  const condition = r.condition || 'unknown';
+  // A listing is never its own comparable
+  const inRef = r.id != null && ref.ids.has(String(r.id));
+  const isSold = r.listing_status === 'sold';
+
+  const asking = pickGroup(ref.asking, cur, condition, MIN_ASKING_SAMPLE, inRef && !isSold);
+  const sold = pickGroup(ref.sold, cur, condition, MIN_SOLD_SAMPLE, inRef && isSold);
+
+  const askShare = asking ? cheaperThanShare(asking, price, inRef && !isSold) : null;
+  const soldShare = sold ? cheaperThanShare(sold, price, inRef && isSold) : null;
+
+  let share;
+  if (askShare !== null && soldShare !== null) share = askShare * (1 - SOLD_WEIGHT) + soldShare * SOLD_WEIGHT;
+  else share = askShare !== null ? askShare : soldShare;
+
+  return share === null ? null : Math.round(share * 100);
+}
+
+/**
+ * (Re)score the results of one refresh batch (search + marketplace + external ids) and store
+ * results.deal_score. Run before the batch's alert_events are queued so dispatch sees the score.
+ *
+ * Returns number of results whose score changed.
+ */
+async function scoreResults({ pool, searchId, marketplace, externals }) {
+  if (!pool) throw new Error('scoreResults requires { pool }');
+  if (!searchId) throw new Error('scoreResults requires { searchId }');
+  if (!Array.isArray(externals) || externals.length === 0) return 0;
+
+  const { rows: reference } = await pool.query(
+    `
+    SELECT
+      id,
+      COALESCE(total_price, price_num) AS price,
+      currency,
+      COALESCE(condition_norm, 'unknown') AS condition,
+      listing_status
+    FROM results
+    WHERE search_id = $1
+      AND COALESCE(total_price, price_num) > 0
+    ORDER BY found_at DESC NULLS LAST
+    LIMIT $2
+    `,
+    [searchId, REFERENCE_LIMIT]
+  );
+
+  const { rows: targets } = await pool.query(
+    `
+    SELECT
+      id,
+      COALESCE(total_price, price_num) AS price,
+      currency,
+      COALESCE(condition_norm, 'unknown') AS condition,
+      listing_status
+    FROM results
+    WHERE search_id = $1
+      AND marketplace = $2
+      AND external_id = ANY($3::text[])
+    `,
+    [searchId, marketplace, externals]
+  );
+  if (!targets.length) return 0;
+
+  const ref = buildReference(reference);
+  const ids = targets.map((r) => r.id);
+  const scores = targets.map((r) => scoreListing(ref, r));
+
+  const r = await pool.query(
+    `
+    UPDATE results
+    SET deal_score = v.score,
+        deal_scored_at = NOW()
+    FROM UNNEST($1::bigint[], $2::int[]) AS v(id, score)
+    WHERE results.id = v.id
+      AND results.deal_score IS DISTINCT FROM v.score
+    `,
+    [ids, scores]
+  );
+  return r.rowCount || 0;
+}
+
+module.exports = {
+  buildReference,
+  scoreListing,
+  scoreResults,
+};
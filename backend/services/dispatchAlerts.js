@@ -1,6 +1,13 @@
 // services/dispatchAlerts.js
 
-const { sendEmail, buildAlertEmail } = require('./notifications');
+const { sendEmail, buildAlertEmail, buildUserDigestEmail } = require('./notifications');
+const {
+    normalizeAlertSettings,
+    alertSettingsFromRow,
+    isDigestDue,
+    markDigestSentForSearchId,
+} = require('./alertSettingsStore');
+const { userDigestFromRow, markUserDigestSent } = require('./userDigestStore');
 console.log("### dispatchAlerts.js LOADED from:", __filename);
 
 function addEbayCampid(url) {
@@ -27,6 +34,204 @@ function addEbayCampid(url) {
 
 
 
+// --------------------
+// alert_events state transitions shared by per-search and per-user (digest) dispatch:
+// pending → sending (claimed under FOR UPDATE SKIP LOCKED), then sending → sent, or back to pending/error with backoff
+// --------------------
+
+// Crash-safety: requeue stuck "sending" rows back to pending
+// (e.g. if a worker crashed after claiming but before marking sent/error)
+async function requeueStuckForSearch(client, searchId) {
+    const stuckMin = Number(process.env.DISPATCH_SENDING_STUCK_MINUTES || 15);
+    if (stuckMin > 0) {
+        await client.query(
+            `
+        UPDATE alert_events
+        SET status = 'pending'
+        WHERE search_id = $1
+          AND status = 'sending'
+          AND created_at < NOW() - ($2 * INTERVAL '1 minute')
+        `,
+            [searchId, stuckMin]
+        );
+    }
+}
+
+// Dismiss pending alerts the owner shouldn't be emailed about
+async function dismissUnwantedPending(client, searchId) {
+    // Results the search owner hid (result_states.hidden) are never emailed: dismiss their pending alerts.
+    // Hiding through the API already does this; this catches alerts created after the hide.
+    await client.query(
+        `
+      UPDATE alert_events ae
+      SET status = 'dismissed',
+          error_message = 'result hidden'
+      FROM result_states rs, search_ownership so
+      WHERE ae.search_id = $1
+        AND ae.status = 'pending'
+        AND rs.result_id = ae.result_id
+        AND rs.hidden
+        AND so.search_id = ae.search_id
+        AND rs.user_id = so.owner_user_id
+      `,
+        [searchId]
+    );
+
+    // New listings below the search's deal-score threshold (alert_settings.min_deal_score) don't alert.
+    // Unscored listings (not enough comparables yet) still go out.
+    await client.query(
+        `
+      UPDATE alert_events ae
+      SET status = 'dismissed',
+          error_message = 'below deal score threshold'
+      FROM results r, alert_settings s
+      WHERE ae.search_id = $1
+        AND ae.status = 'pending'
+        AND ae.kind = 'new_listing'
+        AND r.id = ae.result_id
+        AND s.search_id = ae.search_id
+        AND s.min_deal_score > 0
+        AND r.deal_score < s.min_deal_score
+      `,
+        [searchId]
+    );
+}
+
+async function countPendingForSearch(client, searchId) {
+    const { rows } = await client.query(
+        `
+        SELECT COUNT(*)::int AS pending
+        FROM alert_events
+        WHERE search_id = $1
+          AND status = 'pending'
+        `,
+        [searchId]
+    );
+    return rows[0]?.pending ?? 0;
+}
+
+// Pick + lock up to `limit` pending rows (multi-worker safe). Only rows with result_id to avoid blank listings.
+// kinds / excludeKinds (alert_events.kind lists) narrow the pick, e.g. auction reminders vs. digest content.
+async function pickPendingForSearch(client, searchId, limit, { kinds = null, excludeKinds = null } = {}) {
+    const { rows: picked } = await client.query(
+        `
+      SELECT ae.id
+      FROM alert_events ae
+      WHERE ae.search_id = $1
+        AND ae.status = 'pending'
+        AND ae.result_id IS NOT NULL
+         AND (ae.next_attempt_at IS NULL OR ae.next_attempt_at <= NOW())
+        AND ($3::text[] IS NULL OR ae.kind = ANY($3::text[]))
+        AND ($4::text[] IS NULL OR ae.kind <> ALL($4::text[]))
+      ORDER BY ae.created_at ASC, ae.id ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT $2
+      `,
+        [searchId, limit, kinds, excludeKinds]
+    );
+    return (picked || []).map((r) => r.id);
+}
+
+// Mark claimed rows as "sending" (guarded) so other workers won't touch them
+async function markClaimedSending(client, alertIds) {
+    await client.query(
+        `
+  UPDATE alert_events
+  SET status = 'sending',
+      error_message = NULL,
+      last_attempt_at = NOW()
+  WHERE id = ANY($1::int[])
+    AND status = 'pending'
+  `,
+        [alertIds]
+    );
+}
+
+// Alert + listing details for the email, eBay links tagged
+async function loadClaimedAlerts(client, alertIds) {
+    const { rows: pending } = await client.query(
+        `
+      SELECT
+        ae.id AS alert_id,
+            ae.search_id,
+            ae.result_id AS result_id,
+            ae.status,
+            ae.kind,
+            ae.prev_total_price,
+            ae.new_total_price,
+            ae.created_at AS alert_created_at,
+            r.title,
+            r.price,
+            r.currency,
+            r.listing_url,
+            r.marketplace,
+            r.external_id,
+            r.ends_at,
+            r.bid_count,
+            r.current_bid_num,
+            r.condition,
+            r.condition_norm,
+            r.deal_score
+      FROM alert_events ae
+      LEFT JOIN results r ON r.id = ae.result_id
+      WHERE ae.id = ANY($1:: int[])
+      ORDER BY ae.created_at ASC, ae.id ASC
+            `,
+        [alertIds]
+    );
+
+    return (pending || []).map((a) => ({
+        ...a,
+        listing_url: addEbayCampid(a.listing_url),
+    }));
+}
+
+// Mark all selected as sent (guarded: only rows we claimed)
+async function markClaimedSent(client, alertIds) {
+    await client.query(
+        `
+  UPDATE alert_events
+  SET status = 'sent',
+      sent_at = NOW(),
+      error_message = NULL,
+      attempt_count = 0,
+      next_attempt_at = NULL
+  WHERE id = ANY($1::int[])
+    AND status = 'sending'
+  `,
+        [alertIds]
+    );
+}
+
+// If email sending fails, mark the batch error (guarded: only rows we claimed)
+async function markClaimedFailed(client, alertIds, err) {
+    const msg = (err?.message ? String(err.message) : String(err)).slice(0, 500);
+
+    const baseSec = Number(process.env.DISPATCH_RETRY_BASE_SECONDS || 60);     // 1 min
+    const maxSec = Number(process.env.DISPATCH_RETRY_MAX_SECONDS || 3600);  // 1 hour
+    const maxAttempts = Number(process.env.DISPATCH_RETRY_MAX_ATTEMPTS || 8); // after this -> terminal error
+
+    await client.query(
+        `
+  UPDATE alert_events
+  SET
+    attempt_count = attempt_count + 1,
+    error_message = $2,
+    status = CASE
+      WHEN (attempt_count + 1) >= $3 THEN 'error'
+      ELSE 'pending'
+    END,
+    next_attempt_at = CASE
+      WHEN (attempt_count + 1) >= $3 THEN NULL
+      ELSE NOW() + (LEAST($4, $5 * POWER(2, attempt_count)) * INTERVAL '1 second')
+    END
+  WHERE id = ANY($1::int[])
+    AND status = 'sending'
+  `,
+        [alertIds, msg, maxAttempts, maxSec, baseSec]
+    );
+}
+
 /**
  * Dispatch up to `limit` pending alerts for a single search, in ONE email.
  *
@@ -39,8 +244,18 @@ function addEbayCampid(url) {
  * Env knobs (optional):
  * - DISPATCH_COOLDOWN_SECONDS (default 300)
  * - DISPATCH_SENDING_STUCK_MINUTES (default 15)
+ *
+ * kinds / excludeKinds: only send (or skip) these alert_events kinds
  */
-async function dispatchPendingAlertsForSearch({ pool, searchId, toEmail, limit, ignoreCooldown = false }) {
+async function dispatchPendingAlertsForSearch({
+    pool,
+    searchId,
+    toEmail,
+    limit,
+    ignoreCooldown = false,
+    kinds = null,
+    excludeKinds = null,
+}) {
     ignoreCooldown = !!ignoreCooldown;
     if (!pool) throw new Error('dispatchPendingAlertsForSearch requires { pool }');
     if (!searchId) throw new Error('dispatchPendingAlertsForSearch requires { searchId }');
@@ -59,24 +274,8 @@ async function dispatchPendingAlertsForSearch({ pool, searchId, toEmail, limit,
         await client.query('BEGIN');
         inTxn = true;
 
-        // --------------------
-        // Crash-safety: requeue stuck "sending" rows back to pending
-        // (e.g. if a worker crashed after claiming but before marking sent/error)
         // Runs even if cooldown skips sending.
-        // --------------------
-        const stuckMin = Number(process.env.DISPATCH_SENDING_STUCK_MINUTES || 15);
-        if (stuckMin > 0) {
-            await client.query(
-                `
-        UPDATE alert_events
-        SET status = 'pending'
-        WHERE search_id = $1
-          AND status = 'sending'
-          AND created_at < NOW() - ($2 * INTERVAL '1 minute')
-        `,
-                [searchId, stuckMin]
-            );
-        }
+        await requeueStuckForSearch(client, searchId);
 
         // --------------------
         // Per-search cooldown guard (prevents email spam)
@@ -115,42 +314,12 @@ async function dispatchPendingAlertsForSearch({ pool, searchId, toEmail, limit,
             }
         }
 
-
+        await dismissUnwantedPending(client, searchId);
 
         // Snapshot pending count (useful telemetry/debug)
-        {
-            const { rows: beforeRows } = await client.query(
-                `
-        SELECT COUNT(*)::int AS pending_before
-        FROM alert_events
-        WHERE search_id = $1
-          AND status = 'pending'
-        `,
-                [searchId]
-            );
-            pending_before = beforeRows[0]?.pending_before ?? 0;
-        }
+        pending_before = await countPendingForSearch(client, searchId);
 
-        // --------------------
-        // Pick + lock pending rows (multi-worker safe)
-        // Only rows with result_id to avoid blank listings
-        // --------------------
-        const { rows: picked } = await client.query(
-            `
-      SELECT ae.id
-      FROM alert_events ae
-      WHERE ae.search_id = $1
-        AND ae.status = 'pending'
-        AND ae.result_id IS NOT NULL
-         AND (ae.next_attempt_at IS NULL OR ae.next_attempt_at <= NOW())
-      ORDER BY ae.created_at ASC, ae.id ASC
-      FOR UPDATE SKIP LOCKED
-      LIMIT $2
-      `,
-            [searchId, limit]
-        );
-
-        alertIds = (picked || []).map((r) => r.id);
+        alertIds = await pickPendingForSearch(client, searchId, limit, { kinds, excludeKinds });
 
         if (alertIds.length === 0) {
             await client.query('ROLLBACK');
@@ -168,87 +337,24 @@ async function dispatchPendingAlertsForSearch({ pool, searchId, toEmail, limit,
             };
         }
 
-        // Mark claimed rows as "sending" (guarded) so other workers won't touch them
-        await client.query(
-            `
-  UPDATE alert_events
-  SET status = 'sending',
-      error_message = NULL,
-      last_attempt_at = NOW()
-  WHERE id = ANY($1::int[])
-    AND status = 'pending'
-  `,
-            [alertIds]
-        );
+        await markClaimedSending(client, alertIds);
         await client.query('COMMIT');
         inTxn = false;
 
-
-
-
         // --------------------
         // OUTSIDE transaction: fetch details, send ONE email, mark sent/error
         // --------------------
-        const { rows: pending } = await client.query(
-            `
-      SELECT
-        ae.id AS alert_id,
-            ae.search_id,
-            ae.result_id AS result_id,
-            ae.status,
-            ae.created_at AS alert_created_at,
-            r.title,
-            r.price,
-            r.currency,
-            r.listing_url,
-            r.marketplace,
-            r.external_id
-      FROM alert_events ae
-      LEFT JOIN results r ON r.id = ae.result_id
-      WHERE ae.id = ANY($1:: int[])
-      ORDER BY ae.created_at ASC, ae.id ASC
-            `,
-            [alertIds]
-        );
+        const pending = await loadClaimedAlerts(client, alertIds);
 
         // Build ONE email and send it
-        const pendingTagged = (pending || []).map((a) => ({
-            ...a,
-            listing_url: addEbayCampid(a.listing_url),
-        }));
-
-        const email = buildAlertEmail({ searchId, alerts: pendingTagged });
+        const email = buildAlertEmail({ searchId, alerts: pending });
 
         try {
             await sendEmail({ to: toEmail, subject: email.subject, text: email.text, kind: "alerts" });
 
-            // Mark all selected as sent (guarded: only rows we claimed)
-            await client.query(
-                `
-  UPDATE alert_events
-  SET status = 'sent',
-      sent_at = NOW(),
-      error_message = NULL,
-      attempt_count = 0,
-      next_attempt_at = NULL
-  WHERE id = ANY($1::int[])
-    AND status = 'sending'
-  `,
-                [alertIds]
-            );
-
+            await markClaimedSent(client, alertIds);
 
-
-            const { rows: afterRows } = await client.query(
-                `
-        SELECT COUNT(*):: int AS pending_after
-        FROM alert_events
-        WHERE search_id = $1
-          AND status = 'pending'
-            `,
-                [searchId]
-            );
-            const pending_after = afterRows[0]?.pending_after ?? 0;
+            const pending_after = await countPendingForSearch(client, searchId);
 
             return {
                 ok: true,
@@ -262,45 +368,9 @@ async function dispatchPendingAlertsForSearch({ pool, searchId, toEmail, limit,
                 error: 0,
             };
         } catch (err) {
-            const msg = (err?.message ? String(err.message) : String(err)).slice(0, 500);
+            await markClaimedFailed(client, alertIds, err);
 
-
-            // If email sending fails, mark the batch error (guarded: only rows we claimed)
-            const baseSec = Number(process.env.DISPATCH_RETRY_BASE_SECONDS || 60);     // 1 min
-            const maxSec = Number(process.env.DISPATCH_RETRY_MAX_SECONDS || 3600);  // 1 hour
-            const maxAttempts = Number(process.env.DISPATCH_RETRY_MAX_ATTEMPTS || 8); // after this -> terminal error
-
-            await client.query(
-                `
-  UPDATE alert_events
-  SET
-    attempt_count = attempt_count + 1,
-    error_message = $2,
-    status = CASE
-      WHEN (attempt_count + 1) >= $3 THEN 'error'
-      ELSE 'pending'
-    END,
-    next_attempt_at = CASE
-      WHEN (attempt_count + 1) >= $3 THEN NULL
-      ELSE NOW() + (LEAST($4, $5 * POWER(2, attempt_count)) * INTERVAL '1 second')
-    END
-  WHERE id = ANY($1::int[])
-    AND status = 'sending'
-  `,
-                [alertIds, msg, maxAttempts, maxSec, baseSec]
-            );
-
-
-            const { rows: afterRows } = await client.query(
-                `
-        SELECT COUNT(*):: int AS pending_after
-        FROM alert_events
-        WHERE search_id = $1
-          AND status = 'pending'
-            `,
-                [searchId]
-            );
-            const pending_after = afterRows[0]?.pending_after ?? 0;
+            const pending_after = await countPendingForSearch(client, searchId);
 
             console.error('Auto-dispatch failed for search', searchId, err);
 
@@ -330,19 +400,66 @@ async function dispatchPendingAlertsForSearch({ pool, searchId, toEmail, limit,
     }
 }
 
+// Alert kinds that always go out right away, whatever the search's or user's digest mode
+const IMMEDIATE_KINDS = ['ending_soon'];
+
+function addDispatchResult(totals, searchId, r) {
+    if (!r) return;
+
+    // Log when a search is skipped (cooldown, etc)
+    if (r.skipped) {
+        console.log('[dispatch] skipped', {
+            search_id: searchId,
+            reason: r.reason,
+            seconds_since_last_sent: r.seconds_since_last_sent,
+            cooldown_seconds: r.cooldown_seconds,
+        });
+    }
+
+    totals.selected += r.selected || 0;
+    totals.emailed += r.emailed || 0;
+    totals.sent += r.sent || 0;
+    totals.error += r.error || 0;
+
+    // Track skipped (cooldown) searches
+    if (r.skipped) {
+        totals.skipped += 1;
+        if (r.reason === 'cooldown') totals.cooldown_skipped += 1;
+    }
+}
+
 /**
  * Dispatch pending alerts for every search that has an enabled email destination.
+ * Each search follows its alert_settings: disabled searches are skipped, at most maxPerEmail alerts
+ * go into one email, and daily/weekly searches only send when their digest is due (isDigestDue),
+ * ignoring the cooldown. Searches without an alert_settings row use the defaults (immediate).
+ * Searches whose owner has the per-user digest on are left to dispatchAllUserDigests.
+ * Auction reminders (IMMEDIATE_KINDS) are never held for a digest.
  * Returns totals; each search is isolated so one failure doesn't stop the batch.
  */
-async function dispatchAllEnabledEmailAlerts({ pool, limitPerSearch = 25 }) {
+async function dispatchAllEnabledEmailAlerts({ pool, now = new Date() }) {
     const { rows: settings } = await pool.query(
         `
-    SELECT search_id, destination
-    FROM notification_settings
-    WHERE channel = 'email'
-      AND is_enabled = TRUE
-      AND destination IS NOT NULL
-    ORDER BY search_id ASC
+    SELECT
+      ns.search_id,
+      ns.destination,
+      (a.search_id IS NOT NULL) AS has_alert_settings,
+      a.enabled,
+      a.mode,
+      a.max_per_email,
+      a.digest_hour,
+      a.digest_weekday,
+      a.timezone,
+      a.last_digest_sent_at,
+      (ud.user_id IS NOT NULL) AS in_user_digest
+    FROM notification_settings ns
+    LEFT JOIN alert_settings a ON a.search_id = ns.search_id
+    LEFT JOIN search_ownership so ON so.search_id = ns.search_id
+    LEFT JOIN user_digest_settings ud ON ud.user_id = so.owner_user_id AND ud.enabled
+    WHERE ns.channel = 'email'
+      AND ns.is_enabled = TRUE
+      AND ns.destination IS NOT NULL
+    ORDER BY ns.search_id ASC
             `
     );
 
@@ -354,47 +471,234 @@ async function dispatchAllEnabledEmailAlerts({ pool, limitPerSearch = 25 }) {
         error: 0,
         skipped: 0,
         cooldown_skipped: 0,
+        disabled_skipped: 0,
+        digest_not_due: 0,
+        digests_sent: 0,
+        user_digest_skipped: 0,
     };
 
     for (const s of settings) {
         totals.searches += 1;
 
+        const alertSettings = alertSettingsFromRow(s.has_alert_settings ? s : null);
+        if (!alertSettings.enabled) {
+            totals.disabled_skipped += 1;
+            continue;
+        }
 
+        const isDigest = alertSettings.mode !== 'immediate';
 
-        let r;
         try {
-            r = await dispatchPendingAlertsForSearch({
+            // Auction reminders can't wait for a digest: searches on a digest send them on every tick
+            if (isDigest || s.in_user_digest) {
+                const reminders = await dispatchPendingAlertsForSearch({
+                    pool,
+                    searchId: s.search_id,
+                    toEmail: s.destination,
+                    limit: alertSettings.maxPerEmail,
+                    ignoreCooldown: true,
+                    kinds: IMMEDIATE_KINDS,
+                });
+                addDispatchResult(totals, s.search_id, reminders);
+            }
+
+            if (s.in_user_digest) {
+                totals.user_digest_skipped += 1;
+                continue;
+            }
+
+            if (isDigest && !isDigestDue(alertSettings, now)) {
+                totals.digest_not_due += 1;
+                continue;
+            }
+
+            const r = await dispatchPendingAlertsForSearch({
                 pool,
                 searchId: s.search_id,
                 toEmail: s.destination,
-                limit: limitPerSearch,
+                limit: alertSettings.maxPerEmail,
+                ignoreCooldown: isDigest,
+                excludeKinds: isDigest ? IMMEDIATE_KINDS : null,
             });
+
+            // The period's digest is done once dispatch went through, even with nothing pending:
+            // alerts queued later in the period wait for the next digest instead of going out one by one.
+            if (isDigest && r && r.ok) {
+                await markDigestSentForSearchId(pool, s.search_id, now.toISOString());
+                totals.digests_sent += 1;
+            }
+
+            addDispatchResult(totals, s.search_id, r);
         } catch (err) {
             const msg = err?.message ? String(err.message) : String(err);
             console.error('[dispatch] search failed', { search_id: s.search_id, error: msg });
             totals.error += 1;
+        }
+    }
+
+    return totals;
+}
+
+/**
+ * Send ONE email covering several of a user's searches (the per-user digest).
+ * searches = [{ searchId, name, limit }]: each search gets at most `limit` alerts (its maxPerEmail).
+ *
+ * Same claim → sending → sent/error transitions as dispatchPendingAlertsForSearch, applied to every
+ * claimed row at once: one email, so the whole batch is sent or retried together. No cooldown (digests are scheduled).
+ * Auction reminders (IMMEDIATE_KINDS) are left out: dispatchAllEnabledEmailAlerts sends them right away.
+ */
+async function dispatchUserDigest({ pool, userId, toEmail, searches }) {
+    if (!pool) throw new Error('dispatchUserDigest requires { pool }');
+    if (!userId) throw new Error('dispatchUserDigest requires { userId }');
+    if (!toEmail) throw new Error('dispatchUserDigest requires { toEmail }');
+
+    const client = await pool.connect();
+    let alertIds = [];
+    let inTxn = false;
+
+    try {
+        await client.query('BEGIN');
+        inTxn = true;
+
+        for (const s of searches || []) {
+            await requeueStuckForSearch(client, s.searchId);
+            await dismissUnwantedPending(client, s.searchId);
+            alertIds.push(...(await pickPendingForSearch(client, s.searchId, s.limit, { excludeKinds: IMMEDIATE_KINDS })));
+        }
+
+        if (alertIds.length === 0) {
+            await client.query('ROLLBACK');
+            inTxn = false;
+            return { ok: true, user_id: userId, to: toEmail, searches: 0, selected: 0, emailed: 0, sent: 0, error: 0 };
+        }
+
+        await markClaimedSending(client, alertIds);
+        await client.query('COMMIT');
+        inTxn = false;
+
+        // OUTSIDE transaction: fetch details, send ONE email, mark sent/error
+        const pending = await loadClaimedAlerts(client, alertIds);
+        const sections = searches
+            .map((s) => ({
+                searchId: s.searchId,
+                name: s.name,
+                alerts: pending.filter((a) => Number(a.search_id) === Number(s.searchId)),
+            }))
+            .filter((sec) => sec.alerts.length);
+
+        const email = buildUserDigestEmail({ sections });
+
+        try {
+            await sendEmail({ to: toEmail, subject: email.subject, text: email.text, kind: "alerts" });
+            await markClaimedSent(client, alertIds);
+
+            return {
+                ok: true,
+                user_id: userId,
+                to: toEmail,
+                searches: sections.length,
+                selected: pending.length,
+                emailed: 1,
+                sent: pending.length,
+                error: 0,
+            };
+        } catch (err) {
+            await markClaimedFailed(client, alertIds, err);
+            console.error('Digest dispatch failed for user', userId, err);
+
+            return {
+                ok: false,
+                user_id: userId,
+                to: toEmail,
+                searches: sections.length,
+                selected: pending.length,
+                emailed: 0,
+                sent: 0,
+                error: pending.length,
+            };
+        }
+    } catch (err) {
+        if (inTxn) {
+            try {
+                await client.query('ROLLBACK');
+            } catch (_) {
+                // ignore rollback errors
+            }
+        }
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Send the per-user digest for every user who turned it on and whose digest is due (isDigestDue).
+ * Covers the user's non-deleted searches with email notifications enabled and alert_settings.enabled,
+ * each capped at its maxPerEmail. Goes to the digest destination, or the account email.
+ * Returns totals; each user is isolated so one failure doesn't stop the batch.
+ */
+async function dispatchAllUserDigests({ pool, now = new Date() }) {
+    const { rows: users } = await pool.query(
+        `
+    SELECT ud.*, u.email AS account_email
+    FROM user_digest_settings ud
+    JOIN users u ON u.id = ud.user_id
+    WHERE ud.enabled = TRUE
+    ORDER BY ud.user_id ASC
+    `
+    );
+
+    const totals = { users: 0, not_due: 0, emailed: 0, sent: 0, error: 0 };
+
+    for (const u of users) {
+        totals.users += 1;
+
+        const digest = userDigestFromRow(u);
+        if (!isDigestDue(digest, now)) {
+            totals.not_due += 1;
             continue;
         }
 
-        // Log when a search is skipped (cooldown, etc)
-        if (r && r.skipped) {
-            console.log('[dispatch] skipped', {
-                search_id: s.search_id,
-                reason: r.reason,
-                seconds_since_last_sent: r.seconds_since_last_sent,
-                cooldown_seconds: r.cooldown_seconds,
+        try {
+            const { rows: searchRows } = await pool.query(
+                `
+        SELECT s.id AS search_id, s.search_item, a.max_per_email
+        FROM search_ownership so
+        JOIN searches s ON s.id = so.search_id
+        JOIN notification_settings ns
+          ON ns.search_id = s.id
+         AND ns.channel = 'email'
+         AND ns.is_enabled = TRUE
+        LEFT JOIN alert_settings a ON a.search_id = s.id
+        WHERE so.owner_user_id = $1
+          AND (s.status IS NULL OR s.status <> 'deleted')
+          AND COALESCE(a.enabled, TRUE)
+        ORDER BY s.id ASC
+        `,
+                [u.user_id]
+            );
+
+            const r = await dispatchUserDigest({
+                pool,
+                userId: u.user_id,
+                toEmail: digest.email || u.account_email,
+                searches: searchRows.map((row) => ({
+                    searchId: row.search_id,
+                    name: row.search_item,
+                    limit: normalizeAlertSettings({ maxPerEmail: row.max_per_email }).maxPerEmail,
+                })),
             });
-        }
 
-        totals.selected += r.selected || 0;
-        totals.emailed += r.emailed || 0;
-        totals.sent += r.sent || 0;
-        totals.error += r.error || 0;
+            // Same rule as per-search digests: the period is done once dispatch went through
+            if (r.ok) await markUserDigestSent(pool, u.user_id, now.toISOString());
 
-        // Track skipped (cooldown) searches
-        if (r && r.skipped) {
-            totals.skipped += 1;
-            if (r.reason === 'cooldown') totals.cooldown_skipped += 1;
+            totals.emailed += r.emailed || 0;
+            totals.sent += r.sent || 0;
+            totals.error += r.error || 0;
+        } catch (err) {
+            const msg = err?.message ? String(err.message) : String(err);
+            console.error('[dispatch] user digest failed', { user_id: u.user_id, error: msg });
+            totals.error += 1;
         }
     }
 
@@ -404,6 +708,8 @@ async function dispatchAllEnabledEmailAlerts({ pool, limitPerSearch = 25 }) {
 module.exports = {
     dispatchPendingAlertsForSearch,
     dispatchAllEnabledEmailAlerts,
+    dispatchUserDigest,
+    dispatchAllUserDigests,
     requeueStuckSendingAlerts,
 };
 
@@ -100,6 +100,23 @@ async function enqueueRefreshJobForSearch(searchId) {
   `, [searchId]);
 }
 
+// Re-normalize stored raw payloads for one search (or all searches when searchId is null)
+async function enqueueRenormalizeJob(searchId = null) {
+  const { rows } = await pool.query(`
+    INSERT INTO jobs (job_type, search_id, status, run_at)
+    SELECT 'renormalize', $1::int, 'queued', NOW()
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM jobs
+      WHERE job_type='renormalize'
+        AND search_id IS NOT DISTINCT FROM $1::int
+        AND status IN ('queued','running')
+    )
+    RETURNING id
+  `, [searchId]);
+  return rows[0] ? rows[0].id : null;
+}
+
 async function enqueueDispatchJobForSearch(searchId) {
   await pool.query(`
     INSERT INTO jobs (job_type, search_id, status, run_at)
@@ -308,6 +325,7 @@ module.exports = {
 
   enqueueRefreshJobForSearch,
   enqueueDispatchJobForSearch,
+  enqueueRenormalizeJob,
 
   claimJobs,
   heartbeatJob,
@@ -0,0 +1,233 @@
+// services/listingStatus.js
+//
+// Listing lifecycle on `results`: active → ended / sold.
+//
+// - Every refresh stamps last_seen_at (and resets missed_refreshes) for listings present in the feed.
+// - A stored listing absent from a marketplace run counts as one miss, but ONLY when that run saw the
+//   provider's full result set (marketplaces[key].complete); partial/early-stopped pages prove nothing.
+// - After RESULTS_ENDED_AFTER_MISSES consecutive misses the listing ends. Adapters with
+//   checkListingStatus (eBay getItem) confirm first, up to RESULTS_STATUS_CHECK_LIMIT per refresh;
+//   if confirmation keeps failing, twice the miss threshold ends it anyway.
+// - Most runs are partial (tier page depth, early stop on known listings), so misses alone rarely end
+//   anything. After a partial run, adapters with checkListingStatus also confirm the few active listings
+//   this run didn't return that have gone longest unseen/unchecked (RESULTS_STATUS_SWEEP_LIMIT per refresh).
+// - Listings the provider returned but our filters dropped (query, condition, price) still count as seen.
+// - Auctions whose ends_at has passed end without waiting for misses.
+//
+// Env knobs (optional):
+// - RESULTS_ENDED_AFTER_MISSES  (default 3)
+// - RESULTS_STATUS_CHECK_LIMIT  (default 10)
+// - RESULTS_STATUS_SWEEP_LIMIT  (default 5)
+// - RESULTS_STATUS_CHECK_TIMEOUT_MS (default 8000)
+
+const { getAdapter } = require('./marketplaces');
+
+function envInt(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+async function markResultsSeen({ pool, searchId, marketplace, externals }) {
+  if (!Array.isArray(externals) || externals.length === 0) return 0;
+
+  const r = await pool.query(
+    `
+    UPDATE results
+    SET last_seen_at = NOW(),
+        missed_refreshes = 0,
+        listing_status = 'active',
+        ended_at = NULL
+    WHERE search_id = $1
+      AND marketplace = $2
+      AND external_id = ANY($3::text[])
+    `,
+    [searchId, marketplace, externals]
+  );
+  return r.rowCount || 0;
+}
+
+async function markEnded({ pool, ids, status }) {
+  if (!ids.length) return 0;
+  const r = await pool.query(
+    `
+    UPDATE results
+    SET listing_status = $2,
+        ended_at = COALESCE(ended_at, NOW())
+    WHERE id = ANY($1::bigint[])
+      AND listing_status = 'active'
+    `,
+    [ids, status]
+  );
+  return r.rowCount || 0;
+}
+
+async function endExpiredAuctions({ pool, searchId }) {
+  const r = await pool.query(
+    `
+    UPDATE results
+    SET listing_status = 'ended',
+        ended_at = ends_at
+    WHERE search_id = $1
+      AND listing_status = 'active'
+      AND ends_at IS NOT NULL
+      AND ends_at <= NOW()
+    `,
+    [searchId]
+  );
+  return r.rowCount || 0;
+}
+
+/**
+ * Count misses for one fully-read marketplace and end listings over the threshold.
+ * `since` = DB time the refresh started (anything seen after it was in this run's feed).
+ * Returns { missed, ended, sold, confirmed_active, check_errors }.
+ */
+async function reconcileMarketplace({ pool, searchId, marketplace, since }) {
+  const threshold = envInt('RESULTS_ENDED_AFTER_MISSES', 3);
+  const checkLimit = envInt('RESULTS_STATUS_CHECK_LIMIT', 10);
+  const checkTimeoutMs = envInt('RESULTS_STATUS_CHECK_TIMEOUT_MS', 8000);
+
+  const { rows: missed } = await pool.query(
+    `
+    UPDATE results
+    SET missed_refreshes = missed_refreshes + 1
+    WHERE search_id = $1
+      AND marketplace = $2
+      AND listing_status = 'active'
+      AND (last_seen_at IS NULL OR last_seen_at < $3)
+    RETURNING id, external_id, missed_refreshes
+    `,
+    [searchId, marketplace, since]
+  );
+
+  const out = { missed: missed.length, ended: 0, sold: 0, confirmed_active: 0, check_errors: 0 };
+
+  const candidates = missed
+    .filter((r) => r.missed_refreshes >= threshold)
+    .sort((a, b) => b.missed_refreshes - a.missed_refreshes);
+  if (!candidates.length) return out;
+
+  const adapter = getAdapter(marketplace);
+  const canCheck = adapter && typeof adapter.checkListingStatus === 'function';
+
+  const toEnd = [];
+  const toSell = [];
+  const stillActive = [];
+
+  let checks = 0;
+  for (const c of candidates) {
+    if (!canCheck) {
+      toEnd.push(c.id);
+      continue;
+    }
+
+    if (checks >= checkLimit) {
+      // Out of budget this refresh: confirm next time unless it's been missing far too long
+      if (c.missed_refreshes >= threshold * 2) toEnd.push(c.id);
+      continue;
+    }
+
+    checks += 1;
+    try {
+      const st = await adapter.checkListingStatus(c.external_id, { signal: AbortSignal.timeout(checkTimeoutMs) });
+      if (st === 'sold') toSell.push(c.id);
+      else if (st === 'ended') toEnd.push(c.id);
+      else if (st === 'active') stillActive.push(c.id);
+      else if (c.missed_refreshes >= threshold * 2) toEnd.push(c.id);
+    } catch (err) {
+      out.check_errors += 1;
+      console.warn(`[listingStatus] ${marketplace} ${c.external_id} check failed: ${err?.message || err}`);
+      if (c.missed_refreshes >= threshold * 2) toEnd.push(c.id);
+    }
+  }
+
+  // Live per the provider, just outside our search results (e.g. re-ranked): start counting again
+  if (stillActive.length) {
+    await pool.query(`UPDATE results SET missed_refreshes = 0 WHERE id = ANY($1::bigint[])`, [stillActive]);
+    out.confirmed_active = stillActive.length;
+  }
+
+  out.ended = await markEnded({ pool, ids: toEnd, status: 'ended' });
+  out.sold = await markEnded({ pool, ids: toSell, status: 'sold' });
+  return out;
+}
+
+/**
+ * Partial run: a missing listing may just be past the pages we read, so ask the provider directly
+ * about the ones unseen/unchecked the longest. Auctions are left to their ends_at.
+ * Returns { checked, ended, sold, confirmed_active, check_errors }.
+ */
+async function sweepUnseen({ pool, searchId, marketplace, since }) {
+  const out = { checked: 0, ended: 0, sold: 0, confirmed_active: 0, check_errors: 0 };
+
+  const adapter = getAdapter(marketplace);
+  if (!adapter || typeof adapter.checkListingStatus !== 'function') return out;
+
+  const sweepLimit = envInt('RESULTS_STATUS_SWEEP_LIMIT', 5);
+  const checkTimeoutMs = envInt('RESULTS_STATUS_CHECK_TIMEOUT_MS', 8000);
+
+  const { rows } = await pool.query(
+    `
+    SELECT id, external_id
+    FROM results
+    WHERE search_id = $1
+      AND marketplace = $2
+      AND listing_status = 'active'
+      AND (last_seen_at IS NULL OR last_seen_at < $3)
+      AND NOT ('AUCTION' = ANY(COALESCE(buying_options, '{}'::text[])))
+    ORDER BY GREATEST(last_seen_at, status_checked_at) ASC NULLS FIRST, id ASC
+    LIMIT $4
+    `,
+    [searchId, marketplace, since, sweepLimit]
+  );
+  if (!rows.length) return out;
+
+  const toEnd = [];
+  const toSell = [];
+  for (const c of rows) {
+    try {
+      const st = await adapter.checkListingStatus(c.external_id, { signal: AbortSignal.timeout(checkTimeoutMs) });
+      if (st === 'sold') toSell.push(c.id);
+      else if (st === 'ended') toEnd.push(c.id);
+      else if (st === 'active') out.confirmed_active += 1;
+    } catch (err) {
+      out.check_errors += 1;
+      console.warn(`[listingStatus] ${marketplace} ${c.external_id} check failed: ${err?.message || err}`);
+    }
+  }
+  out.checked = rows.length;
+
+  // Checked (whatever the answer): rotate to the back of the queue
+  await pool.query(
+    `UPDATE results SET status_checked_at = NOW() WHERE id = ANY($1::bigint[])`,
+    [rows.map((r) => r.id)]
+  );
+
+  out.ended = await markEnded({ pool, ids: toEnd, status: 'ended' });
+  out.sold = await markEnded({ pool, ids: toSell, status: 'sold' });
+  return out;
+}
+
+/**
+ * Run after all marketplaces for a refresh have been stored.
+ * `marketplaces` is the per-key run summary from runMarketplaceSearches.
+ */
+async function reconcileListingStatus({ pool, searchId, marketplaces, since }) {
+  const summary = { auctions_ended: 0, marketplaces: {} };
+
+  summary.auctions_ended = await endExpiredAuctions({ pool, searchId });
+
+  for (const [key, m] of Object.entries(marketplaces || {})) {
+    if (!m || !m.ran || !m.ok) continue;
+    summary.marketplaces[key] = m.complete
+      ? await reconcileMarketplace({ pool, searchId, marketplace: key, since })
+      : { partial: true, ...(await sweepUnseen({ pool, searchId, marketplace: key, since })) };
+  }
+
+  return summary;
+}
+
+module.exports = {
+  markResultsSeen,
+  reconcileListingStatus,
+};
@@ -0,0 +1,143 @@
+// services/marketplaces/conditions.js
+//
+// Cross-marketplace item condition, stored as results.condition_norm next to the raw `condition`:
+//   new | like_new | used | for_parts | unknown
+//
+// - eBay: conditionId (stable numeric ids) with the condition name as fallback
+// - Etsy: no condition field; handmade / made-to-order / recent `when_made` → new, vintage → used
+// - Craigslist (and anything else): phrase heuristics on the title / description
+//
+// Free text only counts known condition phrases ("brand new", "new in box", "condition: new"):
+// a bare "new" is too often about something else ("new battery", "new listing").
+
+const CONDITIONS = ['new', 'like_new', 'used', 'for_parts', 'unknown'];
+
+const CONDITION_LABELS = {
+    new: 'New',
+    like_new: 'Like new',
+    used: 'Used',
+    for_parts: 'For parts',
+    unknown: 'Unknown',
+};
+
+// https://developer.ebay.com/api-docs/sell/static/metadata/condition-id-values.html
+const EBAY_CONDITION_IDS = {
+    new: ['1000', '1500', '1750'],
+    like_new: ['2000', '2010', '2020', '2030', '2500', '2750'],
+    used: ['3000', '4000', '5000', '6000'],
+    for_parts: ['7000'],
+};
+
+function fromEbayConditionId(id) {
+    const s = String(id ?? '').trim();
+    if (!s) return null;
+    for (const [norm, ids] of Object.entries(EBAY_CONDITION_IDS)) {
+        if (ids.includes(s)) return norm;
+    }
+    return null;
+}
+
+// Whole condition names as marketplaces spell them: eBay's condition display names and
+// Craigslist's condition attribute (new, like new, excellent, good, fair, salvage)
+const CONDITION_NAMES = [
+    ['for_parts', /^(for parts( or not working)?|salvage)$/],
+    ['like_new', /^(like new|open box|excellent|(certified|excellent|very good|good|seller) - refurbished|(seller |manufacturer )?refurbished)$/],
+    ['new', /^(brand )?new( (with|without) (tags|box|packaging)| with defects| other)?$/],
+    ['used', /^(used|pre-?owned|very good|good|acceptable|fair)$/],
+];
+
+function fromConditionName(text) {
+    const s = String(text || '')
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!s) return null;
+    for (const [norm, re] of CONDITION_NAMES) {
+        if (re.test(s)) return norm;
+    }
+    return null;
+}
+
+// Order matters: "not working" must win over "working", "like new" over "new", "never used" over "used"
+const TEXT_RULES = [
+    ['for_parts', /\b(for parts|parts only|not working|doesn'?t work|does not work|broken|as[- ]is|for repair|needs repair|condition:? salvage)\b/i],
+    ['like_new', /\b(like new|mint|open box|refurbished|renewed|excellent condition|condition:? excellent|barely used|lightly used)\b/i],
+    ['new', /\b(brand new|new in (the )?box|new with(out)? tags|new condition|condition:? new|nib|nwt|bnib|sealed|unopened|unused|never used)\b/i],
+    ['used', /\b(used|pre-?owned|pre-?loved|vintage|antique|good condition|fair condition|condition:? (good|fair)|worn)\b/i],
+];
+
+function fromText(text) {
+    const s = String(text || '').trim();
+    if (!s) return null;
+    for (const [norm, re] of TEXT_RULES) {
+        if (re.test(s)) return norm;
+    }
+    return null;
+}
+
+function normalizeEbayCondition(item) {
+    return fromEbayConditionId(item?.conditionId)
+        || fromConditionName(item?.condition)
+        || fromText(item?.condition)
+        || 'unknown';
+}
+
+// Etsy `when_made`: "made_to_order", "2020_2025", "2010_2019", ..., "before_2006", "1990s", "1700s"
+function normalizeEtsyCondition(listing) {
+    const text = fromText(listing?.title);
+    if (text === 'for_parts') return text;
+
+    const whenMade = String(listing?.when_made || '').toLowerCase();
+    if (whenMade === 'made_to_order') return 'new';
+
+    const recent = whenMade.match(/^(\d{4})_(\d{4})$/);
+    if (recent) return Number(recent[2]) >= new Date().getFullYear() - 20 ? 'new' : 'used';
+    if (whenMade.startsWith('before_') || /^\d{3,4}s$/.test(whenMade)) return 'used';
+
+    return text || 'unknown';
+}
+
+function normalizeConditionText(...texts) {
+    for (const t of texts) {
+        const norm = fromText(t);
+        if (norm) return norm;
+    }
+    return 'unknown';
+}
+
+// searches.conditions input → deduped list of known values (empty = any condition)
+function normalizeConditionList(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(',');
+    const out = [];
+    for (const raw of list) {
+        const c = String(raw || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+        if (CONDITIONS.includes(c) && !out.includes(c)) out.push(c);
+    }
+    return out;
+}
+
+// eBay Browse filter value, or null when the selection can't be expressed (includes "unknown")
+function toEbayConditionFilter(conditions) {
+    const list = normalizeConditionList(conditions);
+    if (!list.length || list.includes('unknown')) return null;
+    const ids = list.flatMap((c) => EBAY_CONDITION_IDS[c] || []);
+    return ids.length ? `conditionIds:{${ids.join('|')}}` : null;
+}
+
+function matchesConditions(listing, conditions) {
+    const list = normalizeConditionList(conditions);
+    if (!list.length) return true;
+    return list.includes(listing?.condition_norm || 'unknown');
+}
+
+module.exports = {
+    CONDITIONS,
+    CONDITION_LABELS,
+    normalizeEbayCondition,
+    normalizeEtsyCondition,
+    normalizeConditionText,
+    normalizeConditionList,
+    toEbayConditionFilter,
+    matchesConditions,
+};
@@ -0,0 +1,240 @@
+// services/marketplaces/craigslist.js
+//
+// Craigslist search via per-region RSS feeds.
+// Notes:
+// - Feed URL: https://<region>.craigslist.org/search/sss?format=rss&query=...
+// - Feeds are RDF/RSS 1.0: <item rdf:about="..."> with <title>, <link>, <description>,
+//   <dc:date> and an optional <enc:enclosure resource="..."> thumbnail.
+// - Price (and usually the neighborhood) only appear inside the title, e.g.
+//   "Oak rolltop desk (oakland) &#x0024;120", so we parse them back out.
+// - Regions come from searches.craigslist_regions, falling back to CRAIGSLIST_REGIONS (comma list).
+
+const { searchConstraints } = require('./filters');
+const { parseQuery, toCraigslistQuery } = require('./query');
+const { normalizeConditionText } = require('./conditions');
+
+const CRAIGSLIST_CATEGORY = 'sss'; // "for sale" (all)
+const MAX_REGIONS = 10;
+const FEED_ITEM_CAP = 25; // Craigslist RSS returns at most this many items per feed
+
+function normalizeRegions(input) {
+    const list = Array.isArray(input)
+        ? input
+        : String(input || '').split(',');
+
+    const out = [];
+    for (const raw of list) {
+        const r = String(raw || '').trim().toLowerCase();
+        // Craigslist regions are subdomains: "sfbay", "newyork", "losangeles", ...
+        if (!/^[a-z0-9]{2,40}$/.test(r)) continue;
+        if (!out.includes(r)) out.push(r);
+        if (out.length >= MAX_REGIONS) break;
+    }
+    return out;
+}
+
+function regionsForSearch(search) {
+    const own = normalizeRegions(search?.craigslist_regions);
+    if (own.length) return own;
+    return normalizeRegions(process.env.CRAIGSLIST_REGIONS);
+}
+
+function decodeEntities(s) {
+    return String(s || '')
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function tagText(block, tag) {
+    const re = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i');
+    const m = block.match(re);
+    if (!m) return null;
+
+    let v = m[1].trim();
+    const cdata = v.match(/^<!\[CDATA\[([\s\S]*)\]\]>$/);
+    if (cdata) v = cdata[1];
+    return decodeEntities(v).trim();
+}
+
+function attrValue(block, tag, attr) {
+    const re = new RegExp(`<${tag}\\b[^>]*\\s${attr}="([^"]*)"`, 'i');
+    const m = block.match(re);
+    return m ? decodeEntities(m[1]).trim() : null;
+}
+
+// "Oak rolltop desk (oakland) $120" -> { title, price: 120, location: "oakland" }
+function splitTitle(rawTitle) {
+    let title = String(rawTitle || '').trim();
+    let price = null;
+    let location = null;
+
+    const priceMatch = title.match(/\$\s?([\d,]+(?:\.\d{1,2})?)\s*$/);
+    if (priceMatch) {
+        const n = Number(priceMatch[1].replace(/,/g, ''));
+        price = Number.isFinite(n) ? n : null;
+        title = title.slice(0, priceMatch.index).trim();
+    }
+
+    const locMatch = title.match(/\(([^()]+)\)\s*$/);
+    if (locMatch) {
+        location = locMatch[1].trim() || null;
+        title = title.slice(0, locMatch.index).trim();
+    }
+
+    return { title: title || 'Untitled', price, location };
+}
+
+// Post ids are the trailing digits of the listing URL: .../d/oak-desk/7712345678.html
+function postIdFromUrl(url) {
+    const m = String(url || '').match(/\/(\d{6,})\.html?(?:[?#].*)?$/);
+    return m ? m[1] : null;
+}
+
+/**
+ * Normalized listing from the fields we keep for one feed item (the listing's `raw`).
+ * Also used to rebuild stored results without refetching the feed.
+ */
+function fromFeedItem(raw) {
+    const { title, price, location } = splitTitle(raw?.title);
+    const link = raw?.link || null;
+
+    return {
+        marketplace: 'craigslist',
+        external_id: postIdFromUrl(link) || link || null,
+        title,
+        price,
+        currency: 'USD',
+        listing_url: link,
+
+        image_url: raw?.enclosure || null,
+        location: location || raw?.region || null,
+        condition: null,
+        // No structured condition in the feed; infer from the ad's own wording
+        condition_norm: normalizeConditionText(title, raw?.description),
+        seller_username: null,
+
+        raw,
+    };
+}
+
+/**
+ * Parse one Craigslist RSS feed into normalized listings.
+ * Pure (no network) so it can be exercised against recorded feeds.
+ */
+function parseCraigslistFeed(xml, { region = null } = {}) {
+    const blocks = String(xml || '').match(/<item\b[\s\S]*?<\/item>/gi) || [];
+
+    return blocks
+        .map((block) => fromFeedItem({
+            region,
+            title: tagText(block, 'title'),
+            link: tagText(block, 'link') || attrValue(block, 'item', 'rdf:about'),
+            description: tagText(block, 'description'),
+            posted_at: tagText(block, 'dc:date'),
+            enclosure: attrValue(block, 'enc:enclosure', 'resource'),
+        }))
+        .filter((r) => r.external_id && r.listing_url);
+}
+
+async function fetchCraigslistFeed({ region, query, minPrice, maxPrice, signal }) {
+    const url = new URL(`https://${region}.craigslist.org/search/${CRAIGSLIST_CATEGORY}`);
+    url.searchParams.set('format', 'rss');
+    url.searchParams.set('query', query);
+    // No shipping on Craigslist: the asking price is the total, so both bounds are safe to push down
+    if (minPrice != null) url.searchParams.set('min_price', String(Math.ceil(minPrice)));
+    if (maxPrice != null) url.searchParams.set('max_price', String(Math.floor(maxPrice)));
+
+    const resp = await fetch(url.toString(), {
+        method: 'GET',
+        headers: {
+            accept: 'application/rss+xml, application/xml;q=0.9, */*;q=0.5',
+            'user-agent': process.env.CRAIGSLIST_USER_AGENT || 'GoSnaggit/1.0 (+https://gosnaggit.com)',
+        },
+        signal,
+    });
+
+    const text = await resp.text().catch(() => '');
+    if (!resp.ok) {
+        const err = new Error(`Craigslist HTTP ${resp.status} for ${region}: ${text.slice(0, 200)}`);
+        err.status = resp.status;
+        throw err;
+    }
+    return text;
+}
+
+async function searchCraigslist(search, ctx = {}) {
+    const query = toCraigslistQuery(parseQuery(search?.search_item));
+    if (!query) return [];
+
+    // The registry skips region-less searches (missingSearchConfig); guard direct callers too
+    const regions = regionsForSearch(search);
+    if (!regions.length) {
+        throw new Error('No Craigslist regions configured (set craigslist_regions or CRAIGSLIST_REGIONS)');
+    }
+
+    const { minPrice, maxPrice } = searchConstraints(search);
+
+    const rows = [];
+    const seen = new Set();
+    const errors = [];
+    let lastStatus = null;
+    let truncated = false;
+
+    // Regions are independent; one bad region shouldn't drop the others.
+    for (const region of regions) {
+        // Runner timeout hit: stop fetching further regions
+        if (ctx.signal && ctx.signal.aborted) break;
+
+        try {
+            const xml = await fetchCraigslistFeed({ region, query, minPrice, maxPrice, signal: ctx.signal });
+            const parsed = parseCraigslistFeed(xml, { region });
+            if (parsed.length >= FEED_ITEM_CAP) truncated = true;
+
+            for (const r of parsed) {
+                // Cross-posted ads show up in neighbouring region feeds too
+                if (seen.has(r.external_id)) continue;
+                seen.add(r.external_id);
+                rows.push(r);
+            }
+        } catch (err) {
+            errors.push(err && err.message ? err.message : String(err));
+            if (err && err.status) lastStatus = err.status;
+        }
+    }
+
+    if (errors.length && !rows.length) {
+        const err = new Error(errors.join(' | '));
+        err.status = lastStatus;
+        throw err;
+    }
+    if (errors.length) {
+        console.warn(`[marketplaces] craigslist partial failure: ${errors.join(' | ')}`);
+    }
+
+    // Every region answered with a short (un-capped) feed: we saw everything that matches
+    const allRegionsRead = !errors.length && !(ctx.signal && ctx.signal.aborted);
+    if (ctx.coverage && allRegionsRead && !truncated) ctx.coverage.complete = true;
+
+    return rows;
+}
+
+const adapter = {
+    key: 'craigslist',
+    label: 'Craigslist',
+    enabledByDefault: true,
+    capabilities: { priceFilter: true, pagination: false, auctions: false, location: true, booleanQuery: true },
+    requiredEnv: [],
+    missingSearchConfig: (search) => (regionsForSearch(search).length ? [] : ['craigslist_regions']),
+    timeoutMs: 20000,
+    search: searchCraigslist,
+    // raw is the per-item subset kept by parseCraigslistFeed
+    normalizeRaw: fromFeedItem,
+};
+
+module.exports = { searchCraigslist, parseCraigslistFeed, normalizeRegions, adapter };
@@ -1,56 +1,191 @@
 // services/marketplaces/ebay.js
 
 const { getEbayAppToken } = require('../ebayAuth');
+const { searchConstraints } = require('./filters');
+const { fetchPages } = require('./paging');
+const { parseQuery, toEbayQuery } = require('./query');
+const { normalizeEbayCondition, toEbayConditionFilter } = require('./conditions');
 
-async function searchEbay(search) {
-    const q = String(search?.search_item || '').trim();
-    if (!q) return [];
+// Browse API query params from the saved search:
+// - filter=price:[..MAX],priceCurrency:USD — item price only, so min_price (a bound on the total)
+//   is left to the post-fetch filter
+// - category_ids=<ids> (only when category is numeric eBay ids)
+// - deliveryPostalCode / deliveryCountry for ZIPs, itemLocationCountry for country codes
+// - conditionIds:{...} when the search requires specific normalized conditions
+function buildBrowseParams(search) {
+    const c = searchConstraints(search);
+    const currency = process.env.EBAY_CURRENCY || 'USD';
 
-    const token = await getEbayAppToken();
+    const filters = [];
+    const headers = {};
+
+    if (c.maxPrice != null) {
+        filters.push(`price:[..${c.maxPrice}]`);
+        filters.push(`priceCurrency:${currency}`);
+    }
+
+    if (c.postalCode) {
+        filters.push('deliveryCountry:US');
+        filters.push(`deliveryPostalCode:${c.postalCode}`);
+        // Lets eBay compute shipping/availability for the buyer's ZIP
+        headers['X-EBAY-C-ENDUSERCTX'] = `contextualLocation=${encodeURIComponent(`country=US,zip=${c.postalCode}`)}`;
+    } else if (c.countryCode) {
+        filters.push(`itemLocationCountry:${c.countryCode}`);
+    }
+
+    const conditionFilter = toEbayConditionFilter(search?.conditions);
+    if (conditionFilter) filters.push(conditionFilter);
+
+    return {
+        filter: filters.length ? filters.join(',') : null,
+        categoryIds: c.categoryIds.length ? c.categoryIds.join(',') : null,
+        headers,
+    };
+}
+
+const PAGE_SIZE = 50;
+
+// Cheapest quoted shipping option; null when eBay only says "calculated" without a cost
+function cheapestShipping(it) {
+    const opts = Array.isArray(it?.shippingOptions) ? it.shippingOptions : [];
+    let best = null;
+    for (const o of opts) {
+        const v = Number(o?.shippingCost?.value);
+        if (o?.shippingCost?.value == null || !Number.isFinite(v)) continue;
+        if (best === null || v < best) best = v;
+    }
+    return best;
+}
 
+function toNormalizedListing(it) {
+    const priceVal = it?.price?.value ?? null;
+    const currency = it?.price?.currency ?? 'USD';
+    const externalId = it?.itemId || it?.legacyItemId || it?.itemWebUrl || null;
+
+    return {
+        marketplace: 'ebay',
+        external_id: externalId,
+        title: it?.title || 'Untitled',
+        price: priceVal,
+        currency,
+        shipping_cost: cheapestShipping(it),
+        listing_url: it?.itemWebUrl || null,
+
+        // optional extras (refresh.js will tolerate missing)
+        image_url: it?.image?.imageUrl || null,
+        location: it?.itemLocation?.city || it?.itemLocation?.country || null,
+        condition: it?.condition || null,
+        condition_norm: normalizeEbayCondition(it),
+        seller_username: it?.seller?.username || null,
+
+        // auction metadata (FIXED_PRICE listings usually have no bids / current bid)
+        buying_options: Array.isArray(it?.buyingOptions) ? it.buyingOptions : null,
+        bid_count: Number.isFinite(Number(it?.bidCount)) ? Number(it.bidCount) : null,
+        current_bid: it?.currentBidPrice?.value ?? null,
+        ends_at: it?.itemEndDate || null,
+
+        raw: it,
+    };
+}
+
+async function fetchEbayPage({ token, q, params, offset, signal }) {
     const url = new URL('https://api.ebay.com/buy/browse/v1/item_summary/search');
     url.searchParams.set('q', q);
-    url.searchParams.set('limit', '50');
+    url.searchParams.set('limit', String(PAGE_SIZE));
+    if (offset > 0) url.searchParams.set('offset', String(offset));
+
+    if (params.filter) url.searchParams.set('filter', params.filter);
+    if (params.categoryIds) url.searchParams.set('category_ids', params.categoryIds);
 
     const resp = await fetch(url.toString(), {
         method: 'GET',
         headers: {
             Authorization: `Bearer ${token}`,
             'X-EBAY-C-MARKETPLACE-ID': process.env.EBAY_MARKETPLACE_ID || 'EBAY_US',
+            ...params.headers,
         },
+        signal,
     });
 
     const data = await resp.json().catch(() => ({}));
     if (!resp.ok) {
-        throw new Error(`eBay error ${resp.status}: ${JSON.stringify(data).slice(0, 500)}`);
+        const err = new Error(`eBay error ${resp.status}: ${JSON.stringify(data).slice(0, 500)}`);
+        err.status = resp.status;
+        throw err;
     }
 
-    const summaries = Array.isArray(data.itemSummaries) ? data.itemSummaries : [];
-
-    return summaries
-        .map((it) => {
-            const priceVal = it?.price?.value ?? null;
-            const currency = it?.price?.currency ?? 'USD';
-            const externalId = it?.itemId || it?.legacyItemId || it?.itemWebUrl || null;
-
-            return {
-                marketplace: 'ebay',
-                external_id: externalId,
-                title: it?.title || 'Untitled',
-                price: priceVal,
-                currency,
-                listing_url: it?.itemWebUrl || null,
-
-                // optional extras (refresh.js will tolerate missing)
-                image_url: it?.image?.imageUrl || null,
-                location: it?.itemLocation?.city || it?.itemLocation?.country || null,
-                condition: it?.condition || null,
-                seller_username: it?.seller?.username || null,
-
-                raw: it,
-            };
-        })
-        .filter((r) => r.external_id && r.listing_url);
+    return data;
 }
 
-module.exports = { searchEbay };
+async function searchEbay(search, ctx = {}) {
+    const q = toEbayQuery(parseQuery(search?.search_item));
+    if (!q) return [];
+
+    const token = await getEbayAppToken();
+    const params = buildBrowseParams(search);
+
+    return fetchPages({
+        marketplace: 'ebay',
+        ctx,
+        fetchPage: async (page) => {
+            const data = await fetchEbayPage({ token, q, params, offset: page * PAGE_SIZE, signal: ctx.signal });
+            const summaries = Array.isArray(data.itemSummaries) ? data.itemSummaries : [];
+
+            const rows = summaries
+                .map(toNormalizedListing)
+                .filter((r) => r.external_id && r.listing_url);
+
+            // `next` is only present when eBay has another page for this query
+            return { rows, rawCount: summaries.length, hasMore: !!data.next && summaries.length === PAGE_SIZE };
+        },
+    });
+}
+
+// Browse getItem: 404 / "item not available" means the listing is gone;
+// a past itemEndDate means ended, no remaining quantity means sold out.
+async function checkEbayListingStatus(itemId, { signal } = {}) {
+    const token = await getEbayAppToken();
+    const url = `https://api.ebay.com/buy/browse/v1/item/${encodeURIComponent(itemId)}`;
+
+    const resp = await fetch(url, {
+        method: 'GET',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'X-EBAY-C-MARKETPLACE-ID': process.env.EBAY_MARKETPLACE_ID || 'EBAY_US',
+        },
+        signal,
+    });
+
+    if (resp.status === 404 || resp.status === 410) return 'ended';
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+        const err = new Error(`eBay getItem error ${resp.status}: ${JSON.stringify(data).slice(0, 300)}`);
+        err.status = resp.status;
+        throw err;
+    }
+
+    const avail = Array.isArray(data.estimatedAvailabilities) ? data.estimatedAvailabilities[0] : null;
+    if (avail && avail.estimatedAvailabilityStatus === 'OUT_OF_STOCK') return 'sold';
+
+    const endMs = data.itemEndDate ? Date.parse(data.itemEndDate) : NaN;
+    if (Number.isFinite(endMs) && endMs <= Date.now()) return 'ended';
+
+    return 'active';
+}
+
+const adapter = {
+    key: 'ebay',
+    label: 'eBay',
+    enabledByDefault: true,
+    selectedByDefault: true,
+    capabilities: { priceFilter: true, pagination: true, auctions: true, location: true, booleanQuery: true },
+    requiredEnv: ['EBAY_CLIENT_ID', 'EBAY_CLIENT_SECRET'],
+    timeoutMs: 20000,
+    search: searchEbay,
+    checkListingStatus: checkEbayListingStatus,
+    // raw is the Browse item summary
+    normalizeRaw: toNormalizedListing,
+};
+
+module.exports = { searchEbay, buildBrowseParams, checkEbayListingStatus, toNormalizedListing, adapter };
@@ -11,9 +11,25 @@
 // - Request Standards (headers): https://developers.etsy.com/documentation/essentials/requests
 // - URL Syntax (limit/offset): https://developers.etsy.com/documentation/essentials/urlsyntax
 
-function normalizeEtsyItem(item) {
-  const title = item.title || item.listing_title || item.name || '(Etsy listing)';
-  const url = item.url || item.listing_url || item.listing_url_full || item.url_full || null;
+const { searchConstraints } = require('./filters');
+const { fetchPages } = require('./paging');
+const { parseQuery, toKeywordQueries } = require('./query');
+const { normalizeEtsyCondition } = require('./conditions');
+
+const ETSY_BASE_URL = 'https://openapi.etsy.com/v3/application';
+// Keyword searches per refresh when the query has OR groups (one per combination of alternatives)
+const MAX_KEYWORD_QUERIES = 4;
+
+function getEtsyApiKeyHeader() {
+    const key = String(process.env.ETSY_API_KEY || '').trim();
+    if (!key) throw new Error('Missing ETSY_API_KEY');
+
+    const secret = String(process.env.ETSY_SHARED_SECRET || '').trim();
+    return secret ? `${key}:${secret}` : key;
+}
+
+function normalizeMoney(m) {
+    if (m === null || m === undefined) return { price: null, currency: null };
 
     // { amount: 1234, divisor: 100, currency_code: "USD" }
     if (typeof m.amount === 'number') {
@@ -43,12 +59,32 @@ function normalizeEtsyItem(item) {
 function buildKeywords(search) {
     // Match your existing search object shape as best as possible
     // (search.search_item is what you’ve used elsewhere)
-    return String(search?.search_item || search?.query || search?.keywords || '').trim();
+    // Etsy has no boolean syntax and ANDs every keyword, so "a OR b" becomes one search per alternative;
+    // exclusions and phrases are enforced on titles in refresh.js
+    return toKeywordQueries(
+        parseQuery(search?.search_item || search?.query || search?.keywords || ''),
+        { max: MAX_KEYWORD_QUERIES }
+    );
 }
 
 // Try a couple endpoint shapes; Etsy docs show /application/listings?state=active :contentReference[oaicite:3]{index=3}
 // Some setups also accept /application/listings/active
-async function fetchEtsyListings({ keywords, limit = 50, offset = 0 }) {
+// findAllListingsActive filters: max_price (in shop currency units; min_price would bound the item price,
+// not the total, so it's left to the post-fetch filter), taxonomy_id (numeric) and shop_location (free text).
+function buildEtsyFilters(search) {
+    const c = searchConstraints(search);
+    const out = {};
+
+    if (c.maxPrice != null) out.max_price = String(c.maxPrice);
+    if (c.categoryIds.length) out.taxonomy_id = c.categoryIds[0];
+
+    const loc = c.locationText || c.countryCode;
+    if (loc) out.shop_location = loc;
+
+    return out;
+}
+
+async function fetchEtsyListings({ keywords, limit = 50, offset = 0, filters = {}, signal }) {
     const headers = {
         'x-api-key': getEtsyApiKeyHeader(),
         'accept': 'application/json'
@@ -58,6 +94,7 @@ async function fetchEtsyListings({ keywords, limit = 50, offset = 0 }) {
     if (keywords) qs.set('keywords', keywords);
     qs.set('limit', String(limit));
     qs.set('offset', String(offset));
+    for (const [k, v] of Object.entries(filters)) qs.set(k, v);
 
     const candidates = [
         `${ETSY_BASE_URL}/listings/active?${qs.toString()}`,
@@ -68,30 +105,75 @@ async function fetchEtsyListings({ keywords, limit = 50, offset = 0 }) {
 
     for (const url of candidates) {
         try {
-            const { controller, done } = withTimeout(15000);
-            const resp = await fetch(url, { method: 'GET', headers, signal: controller.signal });
-            done();
+            // signal comes from the marketplace runner (per-adapter timeout)
+            const resp = await fetch(url, { method: 'GET', headers, signal });
 
             if (!resp.ok) {
                 const text = await resp.text().catch(() => '');
-                throw new Error(`Etsy HTTP ${resp.status} ${resp.statusText} for ${url} :: ${text.slice(0, 200)}`);
+                const err = new Error(`Etsy HTTP ${resp.status} ${resp.statusText} for ${url} :: ${text.slice(0, 200)}`);
+                err.status = resp.status;
+                throw err;
             }
 
             return await resp.json();
         } catch (err) {
             lastErr = err;
+            // Timed out / aborted: don't burn the next candidate URL
+            if (signal && signal.aborted) break;
         }
     }
 
     throw lastErr || new Error('Etsy request failed');
 }
 
+// The active-listings search can't embed shipping profiles; getListingsByListingIds (/listings/batch)
+// can (includes=Shipping). One extra request per page, up to 100 ids each.
+// Fail-soft: on error the page keeps unknown (null) shipping rather than failing the search.
+async function fetchEtsyShippingProfiles({ listingIds, signal }) {
+    const out = new Map();
+    const ids = listingIds.filter((id) => id != null).map(String);
+    if (!ids.length) return out;
+
+    const qs = new URLSearchParams({ listing_ids: ids.slice(0, 100).join(','), includes: 'Shipping' });
+    try {
+        const resp = await fetch(`${ETSY_BASE_URL}/listings/batch?${qs.toString()}`, {
+            method: 'GET',
+            headers: { 'x-api-key': getEtsyApiKeyHeader(), 'accept': 'application/json' },
+            signal,
+        });
+        if (!resp.ok) throw new Error(`Etsy HTTP ${resp.status} ${resp.statusText} for listings/batch`);
+
+        for (const l of extractResults(await resp.json())) {
+            if (l && l.listing_id != null && l.shipping_profile) out.set(String(l.listing_id), l.shipping_profile);
+        }
+    } catch (err) {
+        if (signal && signal.aborted) throw err;
+        console.warn(`[etsy] shipping lookup failed: ${err && err.message ? err.message : err}`);
+    }
+    return out;
+}
+
 function extractResults(json) {
     // Etsy responses commonly look like: { results: [...], count, ... }
     const arr = Array.isArray(json?.results) ? json.results : Array.isArray(json) ? json : [];
     return arr;
 }
 
+// Shipping comes from the listing's shipping profile (merged in from fetchEtsyShippingProfiles);
+// take the cheapest destination's primary_cost. No profile = unknown (null).
+function cheapestShipping(listing) {
+    const dests = listing?.shipping_profile?.shipping_profile_destinations;
+    if (!Array.isArray(dests)) return null;
+
+    let best = null;
+    for (const d of dests) {
+        const { price } = normalizeMoney(d?.primary_cost);
+        if (price === null || !Number.isFinite(price)) continue;
+        if (best === null || price < best) best = price;
+    }
+    return best;
+}
+
 function toNormalizedListing(listing) {
     const id =
         listing?.listing_id ??
@@ -121,24 +203,88 @@ function toNormalizedListing(listing) {
         title,
         price,
         currency,
+        shipping_cost: cheapestShipping(listing),
         listing_url: url,
+        // Etsy has no condition field; raw keeps when_made so the mapping can be revisited
+        condition: listing?.when_made || null,
+        condition_norm: normalizeEtsyCondition(listing),
         raw: listing
     };
 }
 
-async function searchEtsy(search) {
-    const keywords = buildKeywords(search);
-    if (!keywords) return [];
+async function searchEtsy(search, ctx = {}) {
+    const { queries, truncated } = buildKeywords(search);
+    if (!queries.length) return [];
 
     // Match your GoSnaggit conventions: cap per call
     const limit = 50;
 
-    const json = await fetchEtsyListings({ keywords, limit, offset: 0 });
-    const rows = extractResults(json)
-        .map(toNormalizedListing)
-        .filter(r => r.external_id && r.title && r.listing_url);
+    const filters = buildEtsyFilters(search);
+
+    const rows = [];
+    const seen = new Set();
+    let allComplete = true;
+
+    for (const keywords of queries) {
+        if (ctx.signal && ctx.signal.aborted) break;
+
+        // Each keyword search pages on its own; the run is complete only if every one ran out of pages
+        const coverage = { complete: false };
+        const found = await fetchPages({
+            marketplace: 'etsy',
+            ctx: { ...ctx, coverage },
+            fetchPage: async (page) => {
+                const offset = page * limit;
+                const json = await fetchEtsyListings({ keywords, limit, offset, filters, signal: ctx.signal });
+                const raw = extractResults(json);
 
+                const profiles = await fetchEtsyShippingProfiles({
+                    listingIds: raw.map((l) => l?.listing_id),
+                    signal: ctx.signal,
+                });
+                const withShipping = raw.map((l) => {
+                    const profile = l && profiles.get(String(l.listing_id));
+                    return profile && !l.shipping_profile ? { ...l, shipping_profile: profile } : l;
+                });
+
+                const pageRows = withShipping
+                    .map(toNormalizedListing)
+                    .filter(r => r.external_id && r.title && r.listing_url);
+
+                const total = Number(json?.count);
+                const hasMore = raw.length === limit && (!Number.isFinite(total) || offset + limit < total);
+                return { rows: pageRows, rawCount: raw.length, hasMore };
+            },
+        });
+        if (!coverage.complete) allComplete = false;
+
+        // Listings matching several alternatives come back once per search
+        for (const r of found) {
+            if (seen.has(r.external_id)) continue;
+            seen.add(r.external_id);
+            rows.push(r);
+        }
+    }
+
+    if (ctx.coverage && allComplete && !truncated && !(ctx.signal && ctx.signal.aborted)) {
+        ctx.coverage.complete = true;
+    }
     return rows;
 }
 
-module.exports = { searchEtsy };
+const adapter = {
+    key: 'etsy',
+    label: 'Etsy',
+    // Still needs ETSY_API_KEY (requiredEnv) before it runs
+    enabledByDefault: true,
+    // booleanQuery: false — no OR/NOT syntax. OR groups run as separate keyword searches (up to
+    // MAX_KEYWORD_QUERIES combinations; alternatives past that aren't searched), the rest is title-filtered
+    capabilities: { priceFilter: true, pagination: true, auctions: false, location: true, booleanQuery: false },
+    requiredEnv: ['ETSY_API_KEY'],
+    timeoutMs: 15000,
+    search: searchEtsy,
+    // raw is the listing object from findAllListingsActive
+    normalizeRaw: toNormalizedListing,
+};
+
+module.exports = { searchEtsy, toNormalizedListing, adapter };
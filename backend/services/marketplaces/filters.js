@@ -0,0 +1,101 @@
+// services/marketplaces/filters.js
+//
+// Turn saved-search columns (min_price, max_price, category, location) into constraints
+// every adapter can push down to its provider and/or enforce after fetching.
+//
+// min_price / max_price bound the TOTAL price (item + shipping), matching the results filters.
+// Providers only filter on item price, so only the max is safe to push down (item <= total);
+// a provider-side min would drop a $9 item with $3 shipping that clears a $10 floor.
+
+function positiveNumber(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// "12345" / "12345-6789" -> US ZIP
+function parseUsZip(s) {
+    const m = String(s || '').trim().match(/^(\d{5})(?:-\d{4})?$/);
+    return m ? m[1] : null;
+}
+
+// "US", "gb" -> ISO 3166 alpha-2 country code
+function parseCountryCode(s) {
+    const t = String(s || '').trim();
+    return /^[A-Za-z]{2}$/.test(t) ? t.toUpperCase() : null;
+}
+
+// "11700" / "11700, 20081" -> numeric marketplace category ids (free-text categories can't be pushed down)
+function parseCategoryIds(s) {
+    const parts = String(s || '').split(',').map((p) => p.trim()).filter(Boolean);
+    if (!parts.length || !parts.every((p) => /^\d+$/.test(p))) return [];
+    return parts;
+}
+
+/**
+ * Constraints derived from a saved search row.
+ * - minPrice:     number | null
+ * - maxPrice:     number | null
+ * - categoryIds:  numeric ids when `category` is an id list, else []
+ * - categoryText: free-text category when it isn't an id list
+ * - postalCode:   US ZIP when `location` is one
+ * - countryCode:  ISO alpha-2 when `location` is one
+ * - locationText: any other free-text location (city, region)
+ */
+function searchConstraints(search) {
+    const category = String(search?.category || '').trim();
+    const location = String(search?.location || '').trim();
+
+    const categoryIds = parseCategoryIds(category);
+    const postalCode = parseUsZip(location);
+    const countryCode = postalCode ? null : parseCountryCode(location);
+
+    return {
+        minPrice: positiveNumber(search?.min_price),
+        maxPrice: positiveNumber(search?.max_price),
+        categoryIds,
+        categoryText: categoryIds.length ? null : (category || null),
+        postalCode,
+        countryCode,
+        locationText: postalCode || countryCode ? null : (location || null),
+    };
+}
+
+// Item price + shipping (unknown shipping counts as 0); null when the item is unpriced
+function listingTotal(listing) {
+    const p = Number(listing?.price);
+    if (listing?.price === null || listing?.price === undefined || listing?.price === '' || !Number.isFinite(p)) return null;
+    const s = Number(listing?.shipping_cost);
+    return Number.isFinite(s) && s > 0 ? p + s : p;
+}
+
+// Post-fetch guard: drop listings whose total (price + shipping) exceeds max_price.
+// Providers only filter on item price, so cheap-item/expensive-shipping listings slip through without this.
+// Unpriced listings are kept.
+function withinMaxPrice(listing, maxPrice) {
+    if (maxPrice == null) return true;
+    const total = listingTotal(listing);
+    if (total === null) return true;
+    return total <= maxPrice;
+}
+
+// Post-fetch guard for min_price, on the same total as max_price.
+// Unpriced listings can't prove they clear it, so they're dropped.
+function withinMinPrice(listing, minPrice) {
+    if (minPrice == null) return true;
+    const total = listingTotal(listing);
+    if (total === null) return false;
+    return total >= minPrice;
+}
+
+function withinPriceRange(listing, { minPrice = null, maxPrice = null } = {}) {
+    return withinMinPrice(listing, minPrice) && withinMaxPrice(listing, maxPrice);
+}
+
+module.exports = {
+    searchConstraints,
+    listingTotal,
+    withinMaxPrice,
+    withinMinPrice,
+    withinPriceRange,
+};
@@ -1,127 +1,309 @@
 // services/marketplaces/index.js
+//
+// Marketplace adapter registry.
+// Each adapter module exports `adapter`:
+//   {
+//     key,                 // stable id stored in searches.marketplaces
+//     label,               // display name
+//     enabledByDefault,    // MARKETPLACE_<KEY> env fallback
+//     selectedByDefault,   // default per-search selection
+//     capabilities: { priceFilter, pagination, auctions, location, booleanQuery },
+//     requiredEnv: [...],  // config that must be present before the adapter runs
+//     missingSearchConfig(search), // optional -> names of per-search settings the adapter still needs ([] = ready)
+//     timeoutMs,           // default per-run budget (MARKETPLACE_<KEY>_TIMEOUT_MS overrides)
+//     search(search, ctx), // -> Promise<normalized listing[]>; ctx.signal aborts on timeout,
+//                          //    set ctx.coverage.complete when the provider's full result set was read
+//     checkListingStatus(externalId, { signal }), // optional -> 'active' | 'ended' | 'sold' | null
+//     normalizeRaw(raw),   // optional -> normalized listing rebuilt from a stored `raw` payload (no network)
+//   }
+// Adding a source = drop in a module and list it in ADAPTERS below.
 
-const { searchEbay } = require('./ebay');
-const { searchEtsy } = require('./etsy');
+const { allowRequest, recordSuccess, recordFailure } = require('../circuitBreaker');
+const ebay = require('./ebay');
+const etsy = require('./etsy');
+const craigslist = require('./craigslist');
 
-// Optional: only require these if/when you actually create them.
-// If you don't have these files yet, leave these requires commented out.
-// const { searchFacebook } = require('./facebook');
-// const { searchCraigslist } = require('./craigslist');
+const DEFAULT_TIMEOUT_MS = 20000;
+
+// Known keys without an implementation yet (kept so saved selections survive)
+function placeholderAdapter(key, label) {
+    return {
+        key,
+        label,
+        enabledByDefault: true,
+        capabilities: { priceFilter: false, pagination: false, auctions: false, location: false, booleanQuery: false },
+        requiredEnv: [],
+        timeoutMs: DEFAULT_TIMEOUT_MS,
+        search: null,
+    };
+}
+
+const ADAPTERS = [
+    ebay.adapter,
+    etsy.adapter,
+    craigslist.adapter,
+    placeholderAdapter('facebook', 'Facebook'),
+];
 
 // --------------------
-// Fail-soft + cooldown
+// Fail-soft
 // --------------------
 
-const cooldowns = {
-    etsy: { until: 0, lastMsgAt: 0 },
-};
-
 function nowMs() {
     return Date.now();
 }
 
+// true/false, 1/0, yes/no, on/off; anything else (or unset) keeps the fallback
 function boolEnv(name, fallback) {
-    const v = process.env[name];
-    if (v === undefined || v === '') return fallback;
-    return String(v).toLowerCase() === 'true';
+    const v = String(process.env[name] ?? '').trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(v)) return true;
+    if (['false', '0', 'no', 'off'].includes(v)) return false;
+    return fallback;
 }
 
-function isDisabledFalse(name) {
-    // supports old pattern where "false" disables; otherwise enabled
-    return String(process.env[name] || '').toLowerCase() === 'false';
+async function safeRun(name, fn) {
+    try {
+        const out = await fn();
+        const items = Array.isArray(out) ? out : [];
+        return { ok: true, items, error: null };
+    } catch (err) {
+        const msg = err && err.message ? err.message : String(err);
+        console.warn(`[marketplaces] ${name} failed (fail-soft): ${msg}`);
+        // Adapters attach the provider HTTP status (if any) so the breaker can spot 429s
+        const status = err && Number.isFinite(Number(err.status)) ? Number(err.status) : null;
+        return { ok: false, items: [], error: msg, status };
+    }
 }
 
-function setCooldown(name, ms) {
-    if (!cooldowns[name]) cooldowns[name] = { until: 0, lastMsgAt: 0 };
-    cooldowns[name].until = nowMs() + ms;
+function positiveIntEnv(name) {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
 }
 
-function inCooldown(name) {
-    const c = cooldowns[name];
-    return c && nowMs() < c.until;
+function adapterTimeoutMs(adapter) {
+    return positiveIntEnv(`MARKETPLACE_${adapter.key.toUpperCase()}_TIMEOUT_MS`)
+        ?? positiveIntEnv('MARKETPLACE_TIMEOUT_MS')
+        ?? adapter.timeoutMs
+        ?? DEFAULT_TIMEOUT_MS;
 }
 
-function logOnceEvery(name, ms, message) {
-    if (!cooldowns[name]) cooldowns[name] = { until: 0, lastMsgAt: 0 };
-    const c = cooldowns[name];
-    if (nowMs() - c.lastMsgAt > ms) {
-        c.lastMsgAt = nowMs();
-        console.warn(message);
+/**
+ * Run one adapter with its own AbortController.
+ * The adapter gets ctx.signal (pass it to fetch); the race below guarantees we
+ * stop waiting at the deadline even if the adapter ignores the signal.
+ */
+async function runAdapterWithTimeout(adapter, search, ctx) {
+    const timeoutMs = adapterTimeoutMs(adapter);
+    // Adapters flip this when they saw the provider's full result set (see paging.js)
+    const coverage = { complete: false };
+    const controller = new AbortController();
+    const startedAt = nowMs();
+    let timedOut = false;
+    let timer = null;
+
+    const onParentAbort = () => controller.abort(ctx.signal.reason);
+    if (ctx.signal) {
+        if (ctx.signal.aborted) controller.abort(ctx.signal.reason);
+        else ctx.signal.addEventListener('abort', onParentAbort, { once: true });
     }
-}
 
-async function safeRun(name, fn) {
+    const deadline = new Promise((_, reject) => {
+        const fail = () => reject(controller.signal.reason || new Error(`${adapter.key} aborted`));
+        if (controller.signal.aborted) return fail();
+        controller.signal.addEventListener('abort', fail, { once: true });
+
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort(new Error(`${adapter.key} timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+    });
+
     try {
-        const out = await fn();
-        const items = Array.isArray(out) ? out : [];
-        return { ok: true, items, error: null };
-    } catch (err) {
-        const msg = err && err.message ? err.message : String(err);
-        console.warn(`[marketplaces] ${name} failed (fail-soft): ${msg}`);
-        return { ok: false, items: [], error: msg };
+        const r = await safeRun(adapter.key, () => Promise.race([
+            adapter.search(search, { ...ctx, signal: controller.signal, timeoutMs, coverage }),
+            deadline,
+        ]));
+        return {
+            ...r,
+            complete: r.ok && !timedOut && coverage.complete,
+            timed_out: timedOut,
+            // Stopped by the caller (e.g. the refresh was cancelled), not by the provider or our deadline
+            aborted: !timedOut && !!(ctx.signal && ctx.signal.aborted),
+            timeout_ms: timeoutMs,
+            duration_ms: nowMs() - startedAt,
+        };
+    } finally {
+        clearTimeout(timer);
+        if (ctx.signal) ctx.signal.removeEventListener('abort', onParentAbort);
     }
 }
 
+// --------------------
+// Registry helpers
+// --------------------
+
+function listAdapters() {
+    return ADAPTERS.slice();
+}
+
+function getAdapter(key) {
+    const k = String(key || '').toLowerCase().trim();
+    return ADAPTERS.find((a) => a.key === k) || null;
+}
+
+function marketplaceKeys() {
+    return ADAPTERS.map((a) => a.key);
+}
+
+function defaultMarketplaceSelection() {
+    const out = {};
+    for (const a of ADAPTERS) out[a.key] = !!a.selectedByDefault;
+    return out;
+}
+
+function missingConfig(adapter) {
+    return (adapter.requiredEnv || []).filter((name) => !String(process.env[name] || '').trim());
+}
+
+// Global availability: env "hard off" switch + implementation + required config
+function adapterStatus(adapter) {
+    const envEnabled = boolEnv(`MARKETPLACE_${adapter.key.toUpperCase()}`, !!adapter.enabledByDefault);
+    const implemented = typeof adapter.search === 'function';
+    const missing = missingConfig(adapter);
+
+    return {
+        enabled: envEnabled,
+        implemented,
+        missing_config: missing,
+        available: envEnabled && implemented && missing.length === 0,
+    };
+}
+
+// Client-facing description used by /api/config
+function describeMarketplaces() {
+    const out = {};
+    for (const a of ADAPTERS) {
+        const st = adapterStatus(a);
+        out[a.key] = {
+            available: st.available,
+            label: a.label,
+            capabilities: { ...a.capabilities },
+        };
+    }
+    return out;
+}
 
 // --------------------
 // Marketplace runner
 // --------------------
 
-async function runMarketplaceSearches(search) {
-    const results = [];
+async function runMarketplaceSearches(search, ctx = {}) {
     const marketplaces = {};
+    const runs = [];
 
     // Per-search selection (DB column). If missing, treat as default.
     const sel = (search && search.marketplaces && typeof search.marketplaces === 'object')
         ? search.marketplaces
-        : { ebay: true, etsy: false, facebook: false, craigslist: false };
+        : defaultMarketplaceSelection();
 
-    // Global env “hard off” switches still win
-    const envAllows = (key) => process.env[`MARKETPLACE_${key.toUpperCase()}`] !== 'false';
-    const want = (key) => !!sel[key];
+    for (const adapter of ADAPTERS) {
+        const key = adapter.key;
+        const selected = !!sel[key];
+        const st = adapterStatus(adapter);
 
-    // eBay
-    if (want('ebay') && envAllows('ebay')) {
-        const r = await safeRun('ebay', () => searchEbay(search));
-        results.push(...r.items);
-        marketplaces.ebay = { enabled: true, selected: true, ran: true, ok: r.ok, count: r.items.length, error: r.error };
-    } else {
-        marketplaces.ebay = { enabled: envAllows('ebay'), selected: want('ebay'), ran: false, skipped: true };
-    }
+        if (!selected || !st.enabled) {
+            marketplaces[key] = { enabled: st.enabled, selected, ran: false, skipped: true };
+            continue;
+        }
 
-    // Etsy
-    if (want('etsy') && envAllows('etsy')) {
-        const r = await safeRun('etsy', () => searchEtsy(search));
-        results.push(...r.items);
-        marketplaces.etsy = { enabled: true, selected: true, ran: true, ok: r.ok, count: r.items.length, error: r.error };
-    } else {
-        marketplaces.etsy = { enabled: envAllows('etsy'), selected: want('etsy'), ran: false, skipped: true };
-    }
+        if (!st.implemented) {
+            marketplaces[key] = { enabled: true, selected: true, ran: false, skipped: true, note: 'not implemented' };
+            continue;
+        }
 
-    // Future placeholders
-    if (want('facebook') && envAllows('facebook')) {
-        marketplaces.facebook = { enabled: true, selected: true, ran: false, skipped: true, note: "not implemented" };
-        // const r = await safeRun('facebook', () => searchFacebook(search));
-        // results.push(...r.items);
-        // marketplaces.facebook = { enabled: true, selected: true, ran: true, ok: r.ok, count: r.items.length, error: r.error };
-    } else {
-        marketplaces.facebook = { enabled: envAllows('facebook'), selected: want('facebook'), ran: false, skipped: true };
-    }
+        if (st.missing_config.length) {
+            marketplaces[key] = {
+                enabled: true,
+                selected: true,
+                ran: false,
+                skipped: true,
+                note: `missing config: ${st.missing_config.join(', ')}`,
+            };
+            continue;
+        }
+
+        // Per-search settings (e.g. Craigslist regions): a problem with this search, not the provider,
+        // so it must never reach the breaker that every user shares
+        const searchMissing = typeof adapter.missingSearchConfig === 'function'
+            ? adapter.missingSearchConfig(search)
+            : [];
+        if (searchMissing.length) {
+            marketplaces[key] = {
+                enabled: true,
+                selected: true,
+                ran: false,
+                skipped: true,
+                note: `missing config: ${searchMissing.join(', ')}`,
+            };
+            continue;
+        }
+
+        // Shared circuit breaker: skip providers that are failing / rate-limiting us
+        const gate = await allowRequest(key);
+        if (!gate.allowed) {
+            marketplaces[key] = {
+                enabled: true,
+                selected: true,
+                ran: false,
+                skipped: true,
+                note: 'circuit open',
+                circuit: { state: gate.state, open_until: gate.open_until },
+            };
+            continue;
+        }
 
-    if (want('craigslist') && envAllows('craigslist')) {
-        marketplaces.craigslist = { enabled: true, selected: true, ran: false, skipped: true, note: "not implemented" };
-        // const r = await safeRun('craigslist', () => searchCraigslist(search));
-        // results.push(...r.items);
-        // marketplaces.craigslist = { enabled: true, selected: true, ran: true, ok: r.ok, count: r.items.length, error: r.error };
-    } else {
-        marketplaces.craigslist = { enabled: envAllows('craigslist'), selected: want('craigslist'), ran: false, skipped: true };
+        runs.push({ key, probe: gate.probe, promise: runAdapterWithTimeout(adapter, search, ctx) });
     }
 
+    // Fan out: every adapter runs concurrently; results keep registry order.
+    const settled = await Promise.all(runs.map((r) => r.promise));
+
+    await Promise.all(runs.map(({ key }, i) => {
+        const r = settled[i];
+        // A caller abort says nothing about the provider's health either way
+        if (r.aborted) return null;
+        return r.ok ? recordSuccess(key) : recordFailure(key, { error: r.error, status: r.status });
+    }));
+
+    const results = [];
+    runs.forEach(({ key, probe }, i) => {
+        const r = settled[i];
+        results.push(...r.items);
+        marketplaces[key] = {
+            enabled: true,
+            selected: true,
+            ran: true,
+            ok: r.ok,
+            count: r.items.length,
+            complete: r.complete,
+            error: r.error,
+            timed_out: r.timed_out,
+            aborted: r.aborted,
+            timeout_ms: r.timeout_ms,
+            duration_ms: r.duration_ms,
+            ...(probe ? { circuit: { state: 'half_open', probe: true } } : {}),
+        };
+    });
+
     return { results, marketplaces };
 }
 
-
 module.exports = {
-    runMarketplaceSearches
+    runMarketplaceSearches,
+    listAdapters,
+    getAdapter,
+    marketplaceKeys,
+    defaultMarketplaceSelection,
+    adapterStatus,
+    describeMarketplaces,
 };
-
@@ -0,0 +1,41 @@
+// services/marketplaces/paging.js
+//
+// Shared page loop for adapters whose provider supports offset paging.
+// Depth comes from ctx.maxPages (set per plan tier by refresh.js); ctx.allKnown lets
+// us stop as soon as a page only contains listings already stored in `results`.
+// When the provider runs out of pages we set ctx.coverage.complete, telling refresh.js
+// that a stored listing missing from this run really is gone from the feed.
+
+/**
+ * fetchPage(pageIndex) -> Promise<{ rows: listing[], rawCount: number, hasMore: boolean }>
+ * rawCount is the provider's page size before adapter-side filtering (rows without an id or URL): a page
+ * whose items were all dropped is not the end of the feed.
+ * Returns the concatenated rows of every page fetched.
+ */
+async function fetchPages({ marketplace, ctx = {}, fetchPage }) {
+    const maxPages = Math.max(1, Math.floor(Number(ctx.maxPages) || 1));
+    const out = [];
+
+    for (let page = 0; page < maxPages; page++) {
+        if (ctx.signal && ctx.signal.aborted) break;
+
+        const { rows, rawCount, hasMore } = await fetchPage(page);
+        out.push(...rows);
+
+        if (!hasMore || rawCount === 0) {
+            if (ctx.coverage) ctx.coverage.complete = true;
+            break;
+        }
+        if (page + 1 >= maxPages) break;
+
+        // Early stop: nothing new on this page, so deeper pages are very unlikely to help
+        if (typeof ctx.allKnown === 'function') {
+            const ids = rows.map((r) => r.external_id).filter(Boolean);
+            if (ids.length && await ctx.allKnown(marketplace, ids)) break;
+        }
+    }
+
+    return out;
+}
+
+module.exports = { fetchPages };
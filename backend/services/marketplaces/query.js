@@ -0,0 +1,302 @@
+// services/marketplaces/query.js
+//
+// Saved-search query language (searches.search_item):
+//   canon 50mm             plain terms: sent to the provider, not enforced locally (providers stem/fuzz)
+//   +f1.8                  required: title must contain it
+//   "image stabilizer"     quoted phrase: required as an exact phrase
+//   lens OR glass          OR group (also `a | b`): title must contain at least one
+//   (a b)                  grouping: AND, same as `a b`; `(a b) OR c` = both a and b, or c
+//   -replica -"for parts"  excluded: title must not contain it (`-(box OR case)` = neither,
+//                          `-(box only)` = not both)
+//
+// OR binds tighter than AND (`a OR b c` = (a or b) and c). Exclusions always apply on their own:
+// an OR next to one joins the positive terms around it (`a -b OR c` = (a or c), without b).
+//
+// Adapters compile the parsed query into their native syntax where the provider has one;
+// refresh.js always enforces it on titles before results are stored.
+
+function normText(s) {
+    return String(s || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.$%&'#]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function tokenize(input) {
+    const s = String(input || '');
+    const tokens = [];
+    let i = 0;
+
+    while (i < s.length) {
+        const ch = s[i];
+
+        if (/\s/.test(ch)) { i += 1; continue; }
+        if (ch === '(' || ch === ')' || ch === '|') {
+            tokens.push({ type: ch === '|' ? 'or' : ch });
+            i += 1;
+            continue;
+        }
+
+        // +/- modifier only when glued to what follows ("-replica", "-(a OR b)", "+\"x y\"")
+        let mod = '';
+        if ((ch === '-' || ch === '+') && i + 1 < s.length && !/\s/.test(s[i + 1])) {
+            mod = ch;
+            i += 1;
+        }
+
+        if (s[i] === '(') {
+            tokens.push({ type: '(', mod });
+            i += 1;
+            continue;
+        }
+
+        if (s[i] === '"') {
+            const end = s.indexOf('"', i + 1);
+            const text = end === -1 ? s.slice(i + 1) : s.slice(i + 1, end);
+            i = end === -1 ? s.length : end + 1;
+            if (normText(text)) tokens.push({ type: 'term', text: text.trim(), phrase: true, mod });
+            continue;
+        }
+
+        let j = i;
+        while (j < s.length && !/[\s()"|]/.test(s[j])) j += 1;
+        const word = s.slice(i, j);
+        i = j;
+
+        if (!mod && word === 'OR') tokens.push({ type: 'or' });
+        else if (normText(word)) tokens.push({ type: 'term', text: word, phrase: false, mod });
+    }
+
+    return tokens;
+}
+
+// Tokens → units (term | group | or); a group holds the units between its parentheses
+function parseUnits(tokens, pos, inGroup) {
+    const units = [];
+    let i = pos;
+    while (i < tokens.length) {
+        const t = tokens[i];
+        if (t.type === ')') {
+            if (inGroup) return { units, next: i + 1 };
+            i += 1; // stray ')'
+            continue;
+        }
+        if (t.type === '(') {
+            const inner = parseUnits(tokens, i + 1, true);
+            units.push({ type: 'group', units: inner.units, mod: t.mod });
+            i = inner.next;
+            continue;
+        }
+        units.push(t);
+        i += 1;
+    }
+    return { units, next: i };
+}
+
+// Fold `x OR y` between positive operands into { type: 'any', operands }; exclusions pass through
+function foldOr(units) {
+    const out = [];
+    let lastPositive = -1;
+    let pendingOr = false;
+
+    for (const u of units) {
+        if (u.type === 'or') {
+            pendingOr = lastPositive !== -1;
+            continue;
+        }
+        if (u.mod === '-') {
+            out.push(u);
+            continue;
+        }
+        if (pendingOr) {
+            const prev = out[lastPositive];
+            if (prev.type === 'any') prev.operands.push(u);
+            else out[lastPositive] = { type: 'any', operands: [prev, u] };
+            pendingOr = false;
+            continue;
+        }
+        out.push(u);
+        lastPositive = out.length - 1;
+    }
+    return out;
+}
+
+function plainTerm(u) {
+    return { text: u.text, phrase: u.phrase };
+}
+
+// Positive words of a group's contents (nested ORs widen to their words)
+function groupWords(units) {
+    const words = [];
+    for (const u of foldOr(units)) {
+        if (u.mod === '-') continue;
+        if (u.type === 'term') words.push(plainTerm(u));
+        else if (u.type === 'group') words.push(...groupWords(u.units));
+        else if (u.type === 'any') u.operands.forEach((o) => words.push(...(o.type === 'term' ? [plainTerm(o)] : groupWords(o.units))));
+    }
+    return words;
+}
+
+// One OR operand → alternatives: a term, a nested OR (spliced in) or an AND group ({ all: [...] })
+function toAlternatives(u) {
+    if (u.type === 'term') return [plainTerm(u)];
+
+    const inner = foldOr(u.units).filter((x) => x.mod !== '-');
+    if (inner.length === 1) {
+        if (inner[0].type === 'any') return inner[0].operands.flatMap(toAlternatives);
+        return toAlternatives(inner[0]);
+    }
+    const words = groupWords(u.units);
+    if (!words.length) return [];
+    return [words.length === 1 ? words[0] : { all: words }];
+}
+
+function collect(units, out, forceRequired) {
+    for (const u of foldOr(units)) {
+        if (u.type === 'any') {
+            const alternatives = u.operands.flatMap(toAlternatives);
+            if (alternatives.length === 1 && !alternatives[0].all) out.required.push(alternatives[0]);
+            else if (alternatives.length === 1) out.required.push(...alternatives[0].all);
+            else if (alternatives.length) out.anyOf.push(alternatives);
+            continue;
+        }
+
+        if (u.type === 'group') {
+            if (u.mod === '-') {
+                // -(a OR b) excludes each; -(a b) excludes titles with all of them
+                const inner = foldOr(u.units).filter((x) => x.mod !== '-');
+                if (inner.length === 1 && inner[0].type === 'any') {
+                    out.excluded.push(...inner[0].operands.flatMap(toAlternatives));
+                } else {
+                    const words = groupWords(u.units);
+                    if (words.length === 1) out.excluded.push(words[0]);
+                    else if (words.length) out.excluded.push({ all: words });
+                }
+            } else {
+                collect(u.units, out, forceRequired || u.mod === '+');
+            }
+            continue;
+        }
+
+        const term = plainTerm(u);
+        if (u.mod === '-') out.excluded.push(term);
+        else if (u.mod === '+' || u.phrase || forceRequired) out.required.push(term);
+        else out.terms.push(term);
+    }
+}
+
+/**
+ * Parse a saved-search query.
+ * Returns { terms, required, anyOf, excluded } where each entry is { text, phrase }, or
+ * { all: [{ text, phrase }, ...] } for a parenthesised AND group inside anyOf / excluded
+ * (anyOf is a list of alternatives lists).
+ */
+function parseQuery(input) {
+    const out = { terms: [], required: [], anyOf: [], excluded: [] };
+    collect(parseUnits(tokenize(input), 0, false).units, out, false);
+    return out;
+}
+
+function hasPositiveTerms(q) {
+    return q.terms.length + q.required.length + q.anyOf.length > 0;
+}
+
+// Word/phrase containment on normalized text, respecting word boundaries ({ all } = every one of them)
+function containsTerm(normTitle, term) {
+    if (term.all) return term.all.every((t) => containsTerm(normTitle, t));
+    const needle = normText(term.text);
+    if (!needle) return true;
+    return ` ${normTitle} `.includes(` ${needle} `);
+}
+
+/**
+ * Local enforcement of a parsed query against a listing title.
+ * Plain terms are left to the provider (they may match on description / stemming).
+ */
+function matchesQuery(title, q) {
+    const t = normText(title);
+
+    for (const term of q.excluded) {
+        if (containsTerm(t, term)) return false;
+    }
+    for (const term of q.required) {
+        if (!containsTerm(t, term)) return false;
+    }
+    for (const group of q.anyOf) {
+        if (!group.some((term) => containsTerm(t, term))) return false;
+    }
+    return true;
+}
+
+function quoteIf(term) {
+    return term.phrase ? `"${term.text.replace(/"/g, '')}"` : term.text;
+}
+
+// Provider queries can't nest AND inside OR: an { all } alternative widens to its words
+// (looser than the query; matchesQuery enforces the rest on titles)
+function flatWords(terms) {
+    return terms.flatMap((t) => (t.all ? t.all : [t]));
+}
+
+// Conjunction exclusions can't be expressed either; they are left to matchesQuery
+function simpleExcluded(q) {
+    return q.excluded.filter((t) => !t.all);
+}
+
+// Positive words only, for providers without boolean syntax (Etsy's relevance search);
+// OR alternatives are all included as plain words and the local filter does the rest
+function toKeywordQuery(q) {
+    const parts = [...q.terms, ...q.required];
+    for (const group of q.anyOf) parts.push(...flatWords(group));
+    return parts.map(quoteIf).join(' ').trim();
+}
+
+/**
+ * One keyword query per combination of OR alternatives, for providers that AND every word:
+ * "lens (canon OR nikon)" -> ["lens canon", "lens nikon"]. Capped at `max` combinations
+ * (in order); `truncated` says some were left out.
+ */
+function toKeywordQueries(q, { max = 4 } = {}) {
+    const base = [...q.terms, ...q.required];
+    let combos = [base];
+    let truncated = false;
+    for (const group of q.anyOf) {
+        const next = [];
+        for (const combo of combos) {
+            for (const alt of group) next.push([...combo, ...(alt.all ? alt.all : [alt])]);
+        }
+        if (next.length > max) truncated = true;
+        combos = next.slice(0, max);
+    }
+    const queries = combos.map((c) => c.map(quoteIf).join(' ').trim()).filter(Boolean);
+    return { queries: [...new Set(queries)], truncated };
+}
+
+// eBay Browse q: space = AND, (a,b) = OR, -x / -(a,b) = exclude
+function toEbayQuery(q) {
+    const parts = [...q.terms, ...q.required].map(quoteIf);
+    for (const group of q.anyOf) parts.push(`(${flatWords(group).map(quoteIf).join(',')})`);
+    const excluded = simpleExcluded(q);
+    if (excluded.length === 1) parts.push(`-${quoteIf(excluded[0])}`);
+    else if (excluded.length > 1) parts.push(`-(${excluded.map(quoteIf).join(',')})`);
+    return parts.join(' ').trim();
+}
+
+// Craigslist: space = AND, (a|b) = OR, -x = exclude, "..." = phrase
+function toCraigslistQuery(q) {
+    const parts = [...q.terms, ...q.required].map(quoteIf);
+    for (const group of q.anyOf) parts.push(`(${flatWords(group).map(quoteIf).join('|')})`);
+    for (const term of simpleExcluded(q)) parts.push(`-${quoteIf(term)}`);
+    return parts.join(' ').trim();
+}
+
+module.exports = {
+    parseQuery,
+    hasPositiveTerms,
+    matchesQuery,
+    toKeywordQuery,
+    toKeywordQueries,
+    toEbayQuery,
+    toCraigslistQuery,
+};
@@ -1,6 +1,8 @@
 // services/notifications.js
 // Supports separate SMTP identities for alerts and signup.
 
+const { CONDITION_LABELS } = require('./marketplaces/conditions');
+
 let nodemailer = null;
 try {
   nodemailer = require('nodemailer');
@@ -153,42 +155,239 @@ async function sendEmail({ to, subject, text, kind = "alerts" }) {
   return { ok: true, messageId: info.messageId };
 }
 
+function trackedAlertLink(searchId, a) {
+  const customid = `search-${searchId}-alert-${a.alert_id || "na"}-result-${a.result_id || "na"}`;
+
+  const normalizedDest = normalizeEbayUrl(a.listing_url, {
+    campid: process.env.EBAY_CAMPAIGN_ID,
+    customid,
+  });
+
+  return withClickTracking(normalizedDest, {
+    searchId,
+    resultId: a.result_id,
+    marketplace: a.marketplace,
+    customid,
+  });
+}
+
+// "in 42 minutes" / "in 2h 5m" / "now"
+function formatTimeLeft(endsAt) {
+  const t = endsAt ? new Date(endsAt).getTime() : NaN;
+  if (!Number.isFinite(t)) return '—';
+  const mins = Math.round((t - Date.now()) / 60000);
+  if (mins <= 0) return 'now';
+  if (mins < 60) return `in ${mins} minute${mins === 1 ? '' : 's'}`;
+  return `in ${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
 /**
  * Build ONE email that contains multiple alerts.
+ * Sections by alert kind: new listings, price drops ('price_drop'), auctions ending soon ('ending_soon').
  */
 function buildAlertEmail({ searchId, alerts }) {
-  const count = alerts.length;
-  const subject =
-    count === 1
-      ? `GoSnaggit: New listing found (Search ${searchId})`
-      : `GoSnaggit: ${count} new listings found (Search ${searchId})`;
+  const { newListings, priceDrops, endingSoon } = splitByKind(alerts);
+
+  if (endingSoon.length && !newListings.length && !priceDrops.length) {
+    return buildEndingSoonEmail({ searchId, alerts: endingSoon });
+  }
+
+  const count = newListings.length;
+  const drops = priceDrops.length;
+
+  let subject;
+  if (count === 1) subject = `GoSnaggit: New listing found (Search ${searchId})`;
+  else if (count > 1) subject = `GoSnaggit: ${count} new listings found (Search ${searchId})`;
+  else if (drops === 1) subject = `GoSnaggit: Price drop on a listing you're tracking (Search ${searchId})`;
+  else subject = `GoSnaggit: ${drops} price drops (Search ${searchId})`;
 
   const lines = [];
-  lines.push(`GoSnaggit found ${count} new listing${count === 1 ? '' : 's'} for Search ${searchId}:`);
+
+  if (count) {
+    lines.push(`GoSnaggit found ${count} new listing${count === 1 ? '' : 's'} for Search ${searchId}:`);
+    lines.push('');
+
+    lines.push(...newListingLines(searchId, newListings));
+  }
+
+  if (drops) {
+    lines.push(
+      count
+        ? 'Price drops:'
+        : `${drops === 1 ? 'A listing' : `${drops} listings`} you're tracking for Search ${searchId} just got cheaper:`
+    );
+    lines.push('');
+    lines.push(...priceDropLines(searchId, priceDrops));
+  }
+
+  if (endingSoon.length) {
+    lines.push('Auctions ending soon:');
+    lines.push('');
+    lines.push(...endingSoonLines(searchId, endingSoon));
+  }
+
+  return { subject, text: lines.join('\n') };
+}
+
+/**
+ * Build the per-user digest: ONE email for all of a user's searches.
+ * sections = [{ searchId, name, alerts }] (searches without alerts are left out), in display order.
+ * A summary header with counts per search comes first, then one section per search laid out like buildAlertEmail.
+ */
+function buildUserDigestEmail({ sections }) {
+  const withAlerts = sections
+    .filter((sec) => sec.alerts && sec.alerts.length)
+    .map((sec) => ({ ...sec, ...splitByKind(sec.alerts) }));
+
+  const total = (key) => withAlerts.reduce((sum, sec) => sum + sec[key].length, 0);
+  const count = total('newListings');
+  const drops = total('priceDrops');
+  const ending = total('endingSoon');
+  const searches = withAlerts.length;
+
+  const parts = [];
+  if (count) parts.push(`${count} new listing${count === 1 ? '' : 's'}`);
+  if (drops) parts.push(`${drops} price drop${drops === 1 ? '' : 's'}`);
+  if (ending) parts.push(`${ending} auction${ending === 1 ? '' : 's'} ending soon`);
+
+  const subject = `GoSnaggit digest: ${parts.join(', ')} across ${searches} search${searches === 1 ? '' : 'es'}`;
+
+  const lines = [];
+  lines.push(`Your GoSnaggit digest: ${parts.join(', ')} across ${searches} saved search${searches === 1 ? '' : 'es'}.`);
+  lines.push('');
+  withAlerts.forEach((sec) => {
+    const counts = [];
+    if (sec.newListings.length) counts.push(`${sec.newListings.length} new`);
+    if (sec.priceDrops.length) counts.push(`${sec.priceDrops.length} price drop${sec.priceDrops.length === 1 ? '' : 's'}`);
+    if (sec.endingSoon.length) counts.push(`${sec.endingSoon.length} ending soon`);
+    lines.push(`- ${searchLabel(sec)}: ${counts.join(', ')}`);
+  });
   lines.push('');
 
+  withAlerts.forEach((sec) => {
+    lines.push(`=== ${searchLabel(sec)} ===`);
+    lines.push('');
+    if (sec.newListings.length) {
+      lines.push('New listings:');
+      lines.push('');
+      lines.push(...newListingLines(sec.searchId, sec.newListings));
+    }
+    if (sec.priceDrops.length) {
+      lines.push('Price drops:');
+      lines.push('');
+      lines.push(...priceDropLines(sec.searchId, sec.priceDrops));
+    }
+    if (sec.endingSoon.length) {
+      lines.push('Auctions ending soon:');
+      lines.push('');
+      lines.push(...endingSoonLines(sec.searchId, sec.endingSoon));
+    }
+  });
+
+  return { subject, text: lines.join('\n') };
+}
+
+// "Vintage camera (Search 12)"
+function searchLabel({ searchId, name }) {
+  return name ? `${name} (Search ${searchId})` : `Search ${searchId}`;
+}
+
+// Alerts by section; new listings best deals first, unscored ones keep their arrival order after them
+function splitByKind(alerts) {
+  const endingSoon = alerts.filter((a) => a.kind === 'ending_soon');
+  const priceDrops = alerts.filter((a) => a.kind === 'price_drop');
+  const newListings = alerts
+    .filter((a) => a.kind !== 'ending_soon' && a.kind !== 'price_drop')
+    .map((a, idx) => ({ a, idx }))
+    .sort((x, y) => dealRank(y.a) - dealRank(x.a) || x.idx - y.idx)
+    .map(({ a }) => a);
+  return { newListings, priceDrops, endingSoon };
+}
+
+function newListingLines(searchId, alerts) {
+  const lines = [];
   alerts.forEach((a, idx) => {
     lines.push(`${idx + 1}) ${a.title || '—'}`);
     lines.push(`   Price: ${a.price ? `${a.price} ${a.currency || ''}` : '—'}`);
+    lines.push(`   Condition: ${conditionLabel(a)}`);
+    if (dealRank(a) >= 0) lines.push(`   Deal score: ${dealRank(a)}/100`);
     lines.push(`   Marketplace: ${a.marketplace || '—'}`);
-    const customid = `search-${searchId}-alert-${a.alert_id || "na"}-result-${a.result_id || "na"}`;
+    lines.push(`   Link: ${trackedAlertLink(searchId, a) || '—'}`);
+    lines.push(`   Alert ID: ${a.alert_id}`);
+    lines.push('');
+  });
+  return lines;
+}
+
+// results.deal_score (0-100), or -1 when the listing isn't scored
+function dealRank(a) {
+  const n = a.deal_score === null || a.deal_score === undefined ? NaN : Number(a.deal_score);
+  return Number.isFinite(n) ? n : -1;
+}
 
-    const normalizedDest = normalizeEbayUrl(a.listing_url, {
-      campid: process.env.EBAY_CAMPAIGN_ID,
-      customid,
-    });
+// Normalized condition, e.g. "Like new" (raw eBay/Etsy wording isn't consistent enough to show alone)
+function conditionLabel(a) {
+  return CONDITION_LABELS[a.condition_norm] || CONDITION_LABELS.unknown;
+}
 
-    const tracked = withClickTracking(normalizedDest, {
-      searchId,
-      resultId: a.result_id,
-      marketplace: a.marketplace,
-      customid,
-    });
+function priceDropLines(searchId, alerts) {
+  const lines = [];
+  alerts.forEach((a, idx) => {
+    const prev = Number(a.prev_total_price);
+    const next = Number(a.new_total_price);
+    const cur = a.currency || '';
+
+    lines.push(`${idx + 1}) ${a.title || '—'}`);
+    if (Number.isFinite(prev) && Number.isFinite(next) && prev > 0) {
+      const pct = Math.round(((prev - next) / prev) * 100);
+      lines.push(`   Total price: ${prev.toFixed(2)} → ${next.toFixed(2)} ${cur} (−${(prev - next).toFixed(2)}, ${pct}% off)`);
+    } else {
+      lines.push(`   Price: ${a.price ? `${a.price} ${cur}` : '—'}`);
+    }
+    lines.push(`   Condition: ${conditionLabel(a)}`);
+    lines.push(`   Marketplace: ${a.marketplace || '—'}`);
+    lines.push(`   Link: ${trackedAlertLink(searchId, a) || '—'}`);
+    lines.push(`   Alert ID: ${a.alert_id}`);
+    lines.push('');
+  });
+  return lines;
+}
 
-    lines.push(`   Link: ${tracked || '—'}`);
+function endingSoonLines(searchId, alerts) {
+  const lines = [];
+  alerts.forEach((a, idx) => {
+    const bid = a.current_bid_num != null ? a.current_bid_num : a.price;
+    lines.push(`${idx + 1}) ${a.title || '—'}`);
+    lines.push(`   Ends: ${formatTimeLeft(a.ends_at)}${a.ends_at ? ` (${new Date(a.ends_at).toUTCString()})` : ''}`);
+    lines.push(`   Current bid: ${bid ? `${bid} ${a.currency || ''}` : '—'}`);
+    if (a.bid_count != null) lines.push(`   Bids: ${a.bid_count}`);
+    lines.push(`   Marketplace: ${a.marketplace || '—'}`);
+    lines.push(`   Link: ${trackedAlertLink(searchId, a) || '—'}`);
     lines.push(`   Alert ID: ${a.alert_id}`);
     lines.push('');
   });
+  return lines;
+}
+
+/**
+ * Build the "auction ending soon" reminder email.
+ */
+function buildEndingSoonEmail({ searchId, alerts }) {
+  const count = alerts.length;
+  const subject =
+    count === 1
+      ? `GoSnaggit: Auction ending ${formatTimeLeft(alerts[0].ends_at)} (Search ${searchId})`
+      : `GoSnaggit: ${count} auctions ending soon (Search ${searchId})`;
+
+  const lines = [];
+  lines.push(
+    count === 1
+      ? `An auction you're tracking for Search ${searchId} is about to end:`
+      : `${count} auctions you're tracking for Search ${searchId} are about to end:`
+  );
+  lines.push('');
+  lines.push(...endingSoonLines(searchId, alerts));
+  lines.push('Place your bid before it closes.');
 
   return { subject, text: lines.join('\n') };
 }
@@ -240,6 +439,8 @@ function buildNewSignupNoticeEmail({ customerEmail, customerName, notes }) {
 module.exports = {
   sendEmail,
   buildAlertEmail,
+  buildUserDigestEmail,
+  buildEndingSoonEmail,
   buildSignupConfirmationEmail,
   buildNewSignupNoticeEmail,
 };
@@ -0,0 +1,120 @@
+// services/pricingStats.js
+//
+// Price distribution stats for a search's results (pure; app.js loads the rows).
+// Each row: { price, currency, marketplace, condition, found_at } where price is the total (item + shipping).
+//
+// - Stats never mix currencies: everything is computed per currency
+// - Outliers are trimmed with Tukey fences (outside Q1 - 1.5·IQR .. Q3 + 1.5·IQR) per group, so a
+//   $1 "box only" listing or a $9,999 placeholder doesn't drag the mean and percentiles
+// - Groups with fewer than MIN_TRIM_COUNT prices are left untrimmed (the fences mean nothing there)
+
+const MIN_TRIM_COUNT = 8;
+
+// Linear interpolation between closest ranks (same as Postgres percentile_cont)
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function round2(n) {
+  return n === null || n === undefined ? null : Math.round(n * 100) / 100;
+}
+
+function trimOutliers(sorted) {
+  if (sorted.length < MIN_TRIM_COUNT) return { kept: sorted, excluded: 0 };
+  const q1 = percentile(sorted, 0.25);
+  const q3 = percentile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  const kept = sorted.filter((p) => p >= q1 - fence && p <= q3 + fence);
+  return { kept, excluded: sorted.length - kept.length };
+}
+
+/**
+ * Summary of a list of prices.
+ * Returns { count, outliers_excluded, min, p10, p25, median, p75, p90, max, mean }.
+ */
+function summarize(prices, { trim = true } = {}) {
+  const sorted = prices.filter((p) => Number.isFinite(p)).sort((a, b) => a - b);
+  const { kept, excluded } = trim ? trimOutliers(sorted) : { kept: sorted, excluded: 0 };
+
+  const mean = kept.length ? kept.reduce((sum, p) => sum + p, 0) / kept.length : null;
+  return {
+    count: kept.length,
+    outliers_excluded: excluded,
+    min: round2(kept[0] ?? null),
+    p10: round2(percentile(kept, 0.1)),
+    p25: round2(percentile(kept, 0.25)),
+    median: round2(percentile(kept, 0.5)),
+    p75: round2(percentile(kept, 0.75)),
+    p90: round2(percentile(kept, 0.9)),
+    max: round2(kept.length ? kept[kept.length - 1] : null),
+    mean: round2(mean),
+  };
+}
+
+function groupBy(rows, keyFn) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = keyFn(r);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return groups;
+}
+
+// Monday 00:00 UTC of the row's week, as YYYY-MM-DD
+function weekStart(date) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return null;
+  const day = (d.getUTCDay() + 6) % 7;
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - day);
+  return d.toISOString().slice(0, 10);
+}
+
+function breakdown(rows, field, opts) {
+  return [...groupBy(rows, (r) => r[field] || 'unknown')]
+    .map(([key, list]) => ({ [field]: key, ...summarize(list.map((r) => r.price), opts) }))
+    .sort((a, b) => b.count - a.count || String(a[field]).localeCompare(String(b[field])));
+}
+
+// Median by week of first sighting (oldest first), limited to the last `weeks` weeks
+function weeklyMedians(rows, { weeks, trim }) {
+  const cutoff = weekStart(Date.now() - (weeks - 1) * 7 * 24 * 3600 * 1000);
+  return [...groupBy(rows.filter((r) => r.found_at), (r) => weekStart(r.found_at))]
+    .filter(([week]) => week && week >= cutoff)
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([week, list]) => {
+      const s = summarize(list.map((r) => r.price), { trim });
+      return { week_start: week, count: s.count, median: s.median };
+    });
+}
+
+/**
+ * Full breakdown per currency (most common currency first):
+ * [{ currency, overall, by_marketplace, by_condition, weekly }]
+ */
+function pricingBreakdown(rows, { trim = true, weeks = 26 } = {}) {
+  const priced = rows
+    .map((r) => ({ ...r, price: Number(r.price), currency: String(r.currency || 'USD').toUpperCase() }))
+    .filter((r) => Number.isFinite(r.price) && r.price > 0);
+
+  return [...groupBy(priced, (r) => r.currency)]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([currency, list]) => ({
+      currency,
+      overall: summarize(list.map((r) => r.price), { trim }),
+      by_marketplace: breakdown(list, 'marketplace', { trim }),
+      by_condition: breakdown(list, 'condition', { trim }),
+      weekly: weeklyMedians(list, { weeks, trim }),
+    }));
+}
+
+module.exports = {
+  percentile,
+  summarize,
+  pricingBreakdown,
+};
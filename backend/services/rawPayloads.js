@@ -0,0 +1,86 @@
+// backend/services/rawPayloads.js
+//
+// Raw marketplace payloads (result_raw_payloads): the adapter's `raw` JSON per result, gzip-compressed.
+// - Rewritten on every upsert, so it always matches the latest fetch of that listing
+// - Purged RAW_PAYLOAD_RETENTION_DAYS (default 30) after that fetch; 0 = don't keep payloads at all
+// - Source for re-normalization (services/renormalize.js)
+
+const zlib = require('zlib');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+function retentionDays() {
+    const raw = process.env.RAW_PAYLOAD_RETENTION_DAYS;
+    if (raw === undefined || raw === '') return DEFAULT_RETENTION_DAYS;
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_RETENTION_DAYS;
+}
+
+function compressPayload(raw) {
+    return zlib.gzipSync(Buffer.from(JSON.stringify(raw), 'utf8'));
+}
+
+function decompressPayload(buf) {
+    return JSON.parse(zlib.gunzipSync(buf).toString('utf8'));
+}
+
+/**
+ * Store payloads for freshly upserted results: rows = [{ resultId, raw }].
+ * Rows without a raw object are left alone (an older payload for them stays until it expires).
+ */
+async function storeRawPayloads(pool, { searchId, marketplace, rows }) {
+    if (!retentionDays()) return 0;
+
+    const kept = (rows || []).filter((r) => r.resultId != null && r.raw && typeof r.raw === 'object');
+    if (!kept.length) return 0;
+
+    const payloads = kept.map((r) => compressPayload(r.raw));
+
+    const res = await pool.query(
+        `
+    INSERT INTO result_raw_payloads (result_id, search_id, marketplace, payload, payload_bytes, captured_at)
+    SELECT t.result_id, $4::int, $5::text, t.payload, t.payload_bytes, NOW()
+    FROM UNNEST($1::bigint[], $2::bytea[], $3::int[]) AS t(result_id, payload, payload_bytes)
+    ON CONFLICT (result_id)
+    DO UPDATE SET
+      payload = EXCLUDED.payload,
+      payload_bytes = EXCLUDED.payload_bytes,
+      captured_at = EXCLUDED.captured_at
+    `,
+        [
+            kept.map((r) => r.resultId),
+            payloads,
+            payloads.map((b) => b.length),
+            searchId,
+            marketplace,
+        ]
+    );
+    return res.rowCount || 0;
+}
+
+/**
+ * Delete payloads older than the retention window, `limit` rows per call.
+ * Returns number deleted.
+ */
+async function purgeExpiredRawPayloads(pool, { limit = 5000 } = {}) {
+    const res = await pool.query(
+        `
+    DELETE FROM result_raw_payloads
+    WHERE result_id IN (
+      SELECT result_id
+      FROM result_raw_payloads
+      WHERE captured_at < NOW() - ($1 * INTERVAL '1 day')
+      LIMIT $2
+    )
+    `,
+        [retentionDays(), limit]
+    );
+    return res.rowCount || 0;
+}
+
+module.exports = {
+    compressPayload,
+    decompressPayload,
+    storeRawPayloads,
+    purgeExpiredRawPayloads,
+};
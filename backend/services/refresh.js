@@ -2,40 +2,41 @@
 
 const pool = require('../db');
 const { runMarketplaceSearches } = require('./marketplaces');
+const { parseQuery, matchesQuery } = require('./marketplaces/query');
+const { matchesConditions } = require('./marketplaces/conditions');
+const { searchConstraints, withinPriceRange } = require('./marketplaces/filters');
 const { insertResults } = require('./resultsStore');
-
-// Backfill: insert alert_events for ANY results missing alerts (search-wide, future-safe)
-async function insertMissingAlertEventsForSearch({ pool, searchId, limit = 5000 }) {
-    const sql = `
-    INSERT INTO alert_events (search_id, result_id, status, dedupe_key, created_at)
-    SELECT r.search_id, r.id, 'pending',
-       ('search:' || r.search_id::text || ':result:' || r.id::text),
-       NOW()
-    FROM results r
-    WHERE r.search_id = $1
-      AND NOT EXISTS (
-        SELECT 1
-        FROM alert_events a
-        WHERE a.search_id = r.search_id
-          AND a.result_id = r.id
-      )
-    ORDER BY r.found_at DESC NULLS LAST
-    LIMIT $2
-    RETURNING id
-  `;
-    const res = await pool.query(sql, [searchId, limit]);
-    return res.rowCount || 0;
+const { maxPagesForTier } = require('./tiers');
+const { createPriceDropAlerts } = require('./alerts');
+const { scoreResults } = require('./dealScore');
+const { markResultsSeen, reconcileListingStatus } = require('./listingStatus');
+
+// True when every external_id on a fetched page is already stored for this search
+async function allExternalIdsKnown({ pool, searchId, marketplace, externalIds }) {
+    const ids = Array.from(new Set((externalIds || []).map(String)));
+    if (ids.length === 0) return false;
+
+    const { rows } = await pool.query(
+        `
+    SELECT COUNT(DISTINCT external_id)::int AS n
+    FROM results
+    WHERE search_id = $1
+      AND marketplace = $2
+      AND external_id = ANY($3::text[])
+    `,
+        [searchId, marketplace, ids]
+    );
+    return (rows[0]?.n || 0) >= ids.length;
 }
 
-
 /**
- * Insert "missing" alert_events for results that match (search_id, marketplace, external_id IN externals)
- * and do NOT already have an alert_event row (search_id, result_id).
+ * Insert "missing" alert_events for the results just upserted (ids returned by insertResults)
+ * that do NOT already have a new_listing alert_event row (search_id, result_id).
  *
  * Returns number inserted.
  */
-async function insertMissingAlertEventsForBatch({ pool, searchId, marketplace, externals, limit = 1000 }) {
-    if (!Array.isArray(externals) || externals.length === 0) return 0;
+async function insertMissingAlertEventsForBatch({ pool, searchId, resultIds, limit = 1000 }) {
+    if (!Array.isArray(resultIds) || resultIds.length === 0) return 0;
 
     const sql = `
     INSERT INTO alert_events (search_id, result_id, status, dedupe_key, created_at)
@@ -44,27 +45,55 @@ async function insertMissingAlertEventsForBatch({ pool, searchId, marketplace, e
        NOW()
     FROM results r
     WHERE r.search_id = $1
-      AND r.marketplace = $2
-      AND r.external_id = ANY($3::text[])
+      AND r.id = ANY($2::bigint[])
       AND NOT EXISTS (
         SELECT 1
         FROM alert_events a
         WHERE a.search_id = r.search_id
           AND a.result_id = r.id
+          AND a.kind = 'new_listing'
       )
     ORDER BY r.found_at DESC NULLS LAST
-    LIMIT $4
+    LIMIT $3
     RETURNING id
   `;
 
-    const res = await pool.query(sql, [searchId, marketplace, externals, limit]);
+    const res = await pool.query(sql, [searchId, resultIds, limit]);
     return res.rowCount || 0;
 }
 
+// Adapter listing → insertResults item (defaults shared with re-normalization)
+function toStoredListing(it) {
+    return {
+        external_id: it.external_id,
+        title: it.title || 'Untitled',
+        price: it.price ?? null,
+        currency: it.currency || 'USD',
+        shipping_cost: it.shipping_cost ?? null,
+        listing_url: it.listing_url || null,
+
+        // optional extras
+        image_url: it.image_url || null,
+        location: it.location || null,
+        condition: it.condition || null,
+        condition_norm: it.condition_norm || 'unknown',
+        seller_username: it.seller_username || null,
+        buying_options: it.buying_options || null,
+        bid_count: it.bid_count ?? null,
+        current_bid: it.current_bid ?? null,
+        ends_at: it.ends_at || null,
+        found_at: it.found_at ?? null,
+
+        // provider payload → result_raw_payloads (compressed, retention-limited)
+        raw: it.raw ?? null,
+    };
+}
+
 async function refreshSearchNow({ searchId }) {
     // 1) Validate search
     const check = await pool.query(
-        'SELECT id, search_item, status FROM searches WHERE id = $1',
+        `SELECT id, search_item, status, marketplaces, location, category, min_price, max_price, plan_tier, craigslist_regions, conditions
+         FROM searches WHERE id = $1`,
         [searchId]
     );
     if (check.rowCount === 0) throw new Error('Search not found');
@@ -112,15 +141,54 @@ async function refreshSearchNow({ searchId }) {
     const q = (check.rows[0].search_item || '').trim();
     if (!q) throw new Error('Search has no search_item to query');
 
+    // DB clock: price-history points written from here on belong to this refresh
+    const { rows: clockRows } = await pool.query('SELECT NOW() AS now');
+    const refreshStartedAt = clockRows[0].now;
+
     // 2) Fetch from marketplaces (fail-soft happens inside runMarketplaceSearches)
-    const { results: listings, marketplaces } = await runMarketplaceSearches(check.rows[0]);
+    // Paging depth follows the plan tier; stop early once a page is all known listings
+    const ctx = {
+        maxPages: maxPagesForTier(check.rows[0].plan_tier),
+        allKnown: (marketplace, externalIds) =>
+            allExternalIdsKnown({ pool, searchId, marketplace, externalIds }),
+    };
+
+    const { results: fetchedListings, marketplaces } = await runMarketplaceSearches(check.rows[0], ctx);
+
+    // The provider still lists these, whether or not the filters below keep them: a stored listing
+    // that no longer matches (e.g. the search's price range changed) is not a miss
+    const fetchedByMarketplace = new Map();
+    for (const it of fetchedListings || []) {
+        const mp = String(it?.marketplace || '').toLowerCase().trim();
+        if (!mp || !it.external_id) continue;
+        if (!fetchedByMarketplace.has(mp)) fetchedByMarketplace.set(mp, []);
+        fetchedByMarketplace.get(mp).push(String(it.external_id));
+    }
+    for (const [marketplace, externals] of fetchedByMarketplace.entries()) {
+        await markResultsSeen({ pool, searchId, marketplace, externals });
+    }
+
+    // Enforce the query language on titles (phrases, +required, OR groups, -excluded) for every
+    // marketplace, so "for parts" / "replica" junk never gets stored or alerted.
+    // Required conditions (searches.conditions) and the price range are enforced the same way.
+    const parsedQuery = parseQuery(q);
+    const constraints = searchConstraints(check.rows[0]);
+    const listings = (fetchedListings || []).filter((it) =>
+        matchesQuery(it && it.title, parsedQuery)
+        && matchesConditions(it, check.rows[0].conditions)
+        && withinPriceRange(it, constraints));
+    const queryFiltered = (fetchedListings || []).length - listings.length;
 
     if (!Array.isArray(listings) || listings.length === 0) {
+        // An empty but fully-read feed still means every stored listing went missing (and auctions still expire)
+        const listingStatus = await reconcileListingStatus({ pool, searchId, marketplaces, since: refreshStartedAt });
+
         return {
             ok: true,
             searchId,
             query: q,
             fetched: 0,
+            queryFiltered,
 
             // back-compat:
             inserted: 0,
@@ -128,6 +196,7 @@ async function refreshSearchNow({ searchId }) {
             skipped: 0,
             touched: 0,
             alertsInserted: 0,
+            listingStatus,
 
             // new metrics:
             results: { ...zeroMetrics },
@@ -150,6 +219,7 @@ async function refreshSearchNow({ searchId }) {
     // Totals
     let fetchedTotal = 0;
     let alertsInsertedTotal = 0;
+    let priceDropAlertsTotal = 0;
 
     // Truthful metrics
     let createdTotal = 0;
@@ -166,21 +236,7 @@ async function refreshSearchNow({ searchId }) {
         fetchedTotal += items.length;
 
         const normalized = items
-            .map((it) => ({
-                external_id: it.external_id,
-                title: it.title || 'Untitled',
-                price: it.price ?? null,
-                currency: it.currency || 'USD',
-                listing_url: it.listing_url || null,
-
-                // optional extras
-                image_url: it.image_url || null,
-                location: it.location || null,
-                condition: it.condition || null,
-                seller_username: it.seller_username || null,
-                found_at: it.found_at ?? null,
-                raw: null,
-            }))
+            .map(toStoredListing)
             .filter((r) => r.external_id && r.listing_url);
 
         // Track raw incoming for metrics (even if normalization drops some)
@@ -199,27 +255,44 @@ async function refreshSearchNow({ searchId }) {
         // Back-compat: created + updated
         touchedTotal += (ins?.created || 0) + (ins?.updated || 0);
 
-        // Bulk insert missing alert_events for these results
         const externals = normalized.map((r) => r.external_id);
+        await markResultsSeen({ pool, searchId, marketplace, externals });
+
+        // Score before queueing alerts: dispatch sorts and gates new-listing emails on deal_score
+        await scoreResults({ pool, searchId, marketplace, externals });
+
+        // Bulk insert missing alert_events for these results
         const insertedAlerts = await insertMissingAlertEventsForBatch({
             pool,
             searchId,
-            marketplace,
-            externals,
+            resultIds: (ins?.rows || []).map((r) => r.id),
             limit: 1000,
         });
 
         alertsInsertedTotal += insertedAlerts;
+
+        // Already-seen listings whose total price just dropped enough
+        const priceDrops = await createPriceDropAlerts({
+            pool,
+            searchId,
+            marketplace,
+            externals,
+            since: refreshStartedAt,
+        });
+
+        alertsInsertedTotal += priceDrops;
+        priceDropAlertsTotal += priceDrops;
     }
 
-    const backfilled = await insertMissingAlertEventsForSearch({ pool, searchId, limit: 5000 });
-    alertsInsertedTotal += backfilled;
+    // Listings gone from fully-read feeds / expired auctions → ended or sold
+    const listingStatus = await reconcileListingStatus({ pool, searchId, marketplaces, since: refreshStartedAt });
 
     return {
         ok: true,
         searchId,
         query: q,
         fetched: fetchedTotal,
+        queryFiltered,
 
         marketplaces,
 
@@ -229,6 +302,8 @@ async function refreshSearchNow({ searchId }) {
         skipped: skippedTotal,
         touched: touchedTotal,
         alertsInserted: alertsInsertedTotal,
+        priceDropAlerts: priceDropAlertsTotal,
+        listingStatus,
 
         // Detailed metrics
         results: {
@@ -242,4 +317,4 @@ async function refreshSearchNow({ searchId }) {
     };
 }
 
-module.exports = { refreshSearchNow };
+module.exports = { refreshSearchNow, toStoredListing };
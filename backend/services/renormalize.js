@@ -0,0 +1,92 @@
+// services/renormalize.js
+//
+// Rebuild result columns from stored raw payloads (result_raw_payloads) without calling the marketplaces,
+// e.g. after an adapter learns to extract shipping or condition. Runs as a 'renormalize' job (worker).
+//
+// - Uses each adapter's normalizeRaw(raw); marketplaces without one are counted as unsupported
+// - Goes through insertResults so the derived columns (price_num, total_price, ...) match a refresh,
+//   but writes no price history (nothing new was observed) and leaves the payloads untouched
+// - Deal scores are recomputed for the rows it touched
+
+const { getAdapter } = require('./marketplaces');
+const { insertResults } = require('./resultsStore');
+const { decompressPayload } = require('./rawPayloads');
+const { toStoredListing } = require('./refresh');
+const { scoreResults } = require('./dealScore');
+
+const RENORMALIZE_BATCH_SIZE = 200;
+
+/**
+ * Re-normalize every result with a stored payload, for one search (searchId) or all of them (null).
+ * onBatch() is awaited between batches (the worker uses it to keep its job lease alive).
+ *
+ * Returns { scanned, updated, unchanged, unsupported, failed }.
+ */
+async function renormalizeResults({ pool, searchId = null, onBatch = null }) {
+  if (!pool) throw new Error('renormalizeResults requires { pool }');
+
+  const totals = { scanned: 0, updated: 0, unchanged: 0, unsupported: 0, failed: 0 };
+  let afterId = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `
+      SELECT p.result_id, p.payload, r.search_id, r.marketplace, r.external_id
+      FROM result_raw_payloads p
+      JOIN results r ON r.id = p.result_id
+      WHERE ($1::int IS NULL OR p.search_id = $1)
+        AND p.result_id > $2
+      ORDER BY p.result_id ASC
+      LIMIT $3
+      `,
+      [searchId, afterId, RENORMALIZE_BATCH_SIZE]
+    );
+    if (!rows.length) break;
+    afterId = rows[rows.length - 1].result_id;
+    totals.scanned += rows.length;
+
+    // insertResults works per (search, marketplace)
+    const groups = new Map();
+    for (const row of rows) {
+      const adapter = getAdapter(row.marketplace);
+      if (!adapter || typeof adapter.normalizeRaw !== 'function') {
+        totals.unsupported += 1;
+        continue;
+      }
+
+      let listing;
+      try {
+        listing = adapter.normalizeRaw(decompressPayload(row.payload));
+      } catch (err) {
+        totals.failed += 1;
+        console.warn(`[renormalize] result ${row.result_id} failed: ${err && err.message ? err.message : err}`);
+        continue;
+      }
+
+      // The payload must still describe this result (the upsert key is external_id)
+      if (!listing || String(listing.external_id) !== String(row.external_id)) {
+        totals.failed += 1;
+        continue;
+      }
+
+      const key = `${row.search_id}|${row.marketplace}`;
+      if (!groups.has(key)) groups.set(key, { searchId: row.search_id, marketplace: row.marketplace, items: [] });
+      groups.get(key).items.push(toStoredListing(listing));
+    }
+
+    for (const g of groups.values()) {
+      const ins = await insertResults(pool, g.searchId, g.marketplace, g.items, { history: false, storeRaw: false });
+      totals.updated += ins.updated || 0;
+      totals.unchanged += ins.skipped || 0;
+
+      const changed = (ins.rows || []).filter((r) => r.action === 'updated').map((r) => r.external_id);
+      await scoreResults({ pool, searchId: g.searchId, marketplace: g.marketplace, externals: changed });
+    }
+
+    if (onBatch) await onBatch(totals);
+  }
+
+  return totals;
+}
+
+module.exports = { renormalizeResults };
@@ -0,0 +1,88 @@
+// backend/services/resultStatesStore.js
+//
+// Per-user result states (result_states): hidden, favorite, purchased.
+// Hiding a result also dismisses its pending alerts; dispatch skips any that slip through.
+
+const STATE_FIELDS = ['hidden', 'favorite', 'purchased'];
+
+function normalizeStatePatch(input) {
+    const patch = {};
+    for (const k of STATE_FIELDS) {
+        if (!input || !Object.prototype.hasOwnProperty.call(input, k)) continue;
+        const v = input[k];
+        if (typeof v !== 'boolean') return { ok: false, error: `${k} must be true or false` };
+        patch[k] = v;
+    }
+    if (!Object.keys(patch).length) {
+        return { ok: false, error: `Provide at least one of: ${STATE_FIELDS.join(', ')}` };
+    }
+    return { ok: true, patch };
+}
+
+function toState(row) {
+    return {
+        result_id: Number(row.result_id),
+        hidden: !!row.hidden,
+        favorite: !!row.favorite,
+        purchased: !!row.purchased,
+        updated_at: row.updated_at || null,
+    };
+}
+
+/**
+ * Apply a partial state change ({ hidden?, favorite?, purchased? }) for one user + result.
+ * Fields not in the patch keep their stored value (FALSE for a new row).
+ */
+async function setResultState(pool, { userId, resultId, patch }) {
+    const has = (k) => Object.prototype.hasOwnProperty.call(patch, k);
+
+    const { rows } = await pool.query(
+        `
+    INSERT INTO result_states (user_id, result_id, hidden, favorite, purchased, updated_at)
+    VALUES ($1, $2, COALESCE($3, FALSE), COALESCE($4, FALSE), COALESCE($5, FALSE), NOW())
+    ON CONFLICT (user_id, result_id)
+    DO UPDATE SET
+      hidden = COALESCE($3, result_states.hidden),
+      favorite = COALESCE($4, result_states.favorite),
+      purchased = COALESCE($5, result_states.purchased),
+      updated_at = NOW()
+    RETURNING result_id, hidden, favorite, purchased, updated_at
+    `,
+        [
+            userId,
+            resultId,
+            has('hidden') ? patch.hidden : null,
+            has('favorite') ? patch.favorite : null,
+            has('purchased') ? patch.purchased : null,
+        ]
+    );
+
+    const state = toState(rows[0]);
+
+    let dismissedAlerts = 0;
+    // Only the search owner's hide silences alerts (an admin hiding a result must not touch the owner's email)
+    if (state.hidden) {
+        const r = await pool.query(
+            `
+      UPDATE alert_events ae
+      SET status = 'dismissed',
+          error_message = 'result hidden'
+      FROM search_ownership so
+      WHERE ae.result_id = $1
+        AND ae.status = 'pending'
+        AND so.search_id = ae.search_id
+        AND so.owner_user_id = $2
+      `,
+            [resultId, userId]
+        );
+        dismissedAlerts = r.rowCount || 0;
+    }
+
+    return { state, dismissedAlerts };
+}
+
+module.exports = {
+    STATE_FIELDS,
+    normalizeStatePatch,
+    setResultState,
+};
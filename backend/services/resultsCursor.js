@@ -0,0 +1,50 @@
+// services/resultsCursor.js
+//
+// Keyset (cursor) pagination for the results listing and export (app.js builds the rest of the query).
+// Each sort is a single key expression + id tiebreaker in the same direction, so
+// "rows after the cursor" is a plain row comparison; NULL keys sort last in every direction
+// (ORDER BY <expr> <dir> NULLS LAST, results.id <dir>).
+
+const RESULT_SORTS = {
+  newest: { expr: 'found_at', type: 'timestamptz', dir: 'DESC' },
+  oldest: { expr: 'found_at', type: 'timestamptz', dir: 'ASC' },
+  price_low: { expr: 'price_num', type: 'numeric', dir: 'ASC' },
+  price_high: { expr: 'price_num', type: 'numeric', dir: 'DESC' },
+  total_low: { expr: 'COALESCE(total_price, price_num)', type: 'numeric', dir: 'ASC' },
+  total_high: { expr: 'COALESCE(total_price, price_num)', type: 'numeric', dir: 'DESC' },
+  ending_soon: { expr: 'ends_at', type: 'timestamptz', dir: 'ASC' },
+  best_deal: { expr: 'deal_score', type: 'int', dir: 'DESC' },
+};
+
+// Opaque cursor: base64url JSON of { s: sort, k: last sort key (text, full precision), i: last id }
+function encodeResultsCursor(sort, row) {
+  const payload = { s: sort, k: row.cursor_key ?? null, i: Number(row.id) };
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+function decodeResultsCursor(raw, sort) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    if (!c || c.s !== sort || !Number.isInteger(c.i)) return null;
+    if (c.k !== null && typeof c.k !== 'string') return null;
+    return { key: c.k, id: c.i };
+  } catch {
+    return null;
+  }
+}
+
+// Rows strictly after { key, id } in this sort order (NULL keys sort last)
+function resultsAfterCursor({ expr, type, dir }, cursor, param) {
+  const cmp = dir === 'ASC' ? '>' : '<';
+  const idP = param(cursor.id);
+  if (cursor.key === null) return `(${expr} IS NULL AND results.id ${cmp} ${idP})`;
+  const keyP = param(cursor.key);
+  return `(${expr} ${cmp} ${keyP}::${type} OR (${expr} = ${keyP}::${type} AND results.id ${cmp} ${idP}) OR ${expr} IS NULL)`;
+}
+
+module.exports = {
+  RESULT_SORTS,
+  encodeResultsCursor,
+  decodeResultsCursor,
+  resultsAfterCursor,
+};
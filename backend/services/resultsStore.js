@@ -1,5 +1,6 @@
 // services/resultsStore.js
 const pool = require('../db');
+const { storeRawPayloads } = require('./rawPayloads');
 
 function parseMoneyToNum(v) {
   if (v === null || v === undefined) return null;
@@ -15,121 +16,171 @@ function parseMoneyToNum(v) {
   return Number.isFinite(n) ? n : null;
 }
 
+// Rows per statement: 18 bind params per row keeps us far below Postgres' 65535 limit
+const UPSERT_BATCH_SIZE = 200;
+
+const RESULT_COLUMNS = [
+  'search_id', 'marketplace', 'external_id', 'title', 'price', 'currency', 'listing_url',
+  'image_url', 'location', 'condition', 'seller_username', 'found_at',
+  'price_num', 'shipping_num', 'total_price',
+  'buying_options', 'bid_count', 'current_bid_num', 'ends_at', 'condition_norm',
+];
+// Position of found_at among the per-row values (search_id / marketplace are shared $1 / $2)
+const FOUND_AT_INDEX = RESULT_COLUMNS.indexOf('found_at') - 2;
+
+// Columns overwritten on conflict; a conflict where none of them changed is a no-op ("skipped")
+const UPDATED_COLUMNS = [
+  'title', 'price', 'currency', 'listing_url', 'image_url', 'location', 'condition', 'seller_username',
+  'price_num', 'shipping_num', 'total_price',
+  'buying_options', 'bid_count', 'current_bid_num', 'ends_at', 'condition_norm',
+];
+
+// One incoming item → column values (same order as RESULT_COLUMNS, minus search_id / marketplace)
+function toRowValues(it) {
+  const priceNum = parseMoneyToNum(it.price);
+  const shippingNum = parseMoneyToNum(it.shipping_cost);
+  // Unknown shipping counts as free; total stays null for unpriced listings
+  const totalPrice = priceNum === null ? null : priceNum + (shippingNum ?? 0);
+
+  const buyingOptions = Array.isArray(it.buying_options) && it.buying_options.length
+    ? it.buying_options.map((o) => String(o).toUpperCase())
+    : null;
+  const bidCount = it.bid_count !== null && it.bid_count !== undefined && Number.isFinite(Number(it.bid_count))
+    ? Math.trunc(Number(it.bid_count))
+    : null;
+  const currentBidNum = parseMoneyToNum(it.current_bid);
+  const endsAt = it.ends_at && !Number.isNaN(Date.parse(it.ends_at)) ? new Date(it.ends_at).toISOString() : null;
+
+  return [
+    it.external_id,
+    it.title ?? null,
+    it.price ?? null,
+    it.currency ?? null,
+    it.listing_url ?? null,
+    it.image_url ?? null,
+    it.location ?? null,
+    it.condition ?? null,
+    it.seller_username ?? null,
+    it.found_at ?? null,
+    priceNum,
+    shippingNum,
+    totalPrice,
+    buyingOptions,
+    bidCount,
+    currentBidNum,
+    endsAt,
+    it.condition_norm ?? null,
+  ];
+}
+
 /**
- * Upsert ONE result row and classify:
+ * Upsert a batch of results for one (search, marketplace) in ONE statement and classify each row:
  * - created: inserted new row
  * - updated: existing row changed
  * - skipped: conflict occurred but values were identical (no-op update prevented)
  *
- * Uniqueness: (search_id, marketplace, external_id)
+ * Price history (same statement, so it can't drift from the rows):
+ * - new row → first result_price_history entry
+ * - price_num / total_price changed → new entry; rows that predate history tracking
+ *   also get their previous price back-filled at found_at
+ *
+ * history: false skips the price-history entries (re-normalization rewrites columns, not prices seen)
+ *
+ * Uniqueness: (search_id, marketplace, external_id); `items` must not repeat an external_id.
+ * Raw payloads are not written here (see insertResults).
+ * Returns [{ id, external_id, action }].
  */
-async function upsertResultWithMetrics({
-  search_id,
-  marketplace,
-  external_id,
-  title,
-  price,
-  currency,
-  listing_url,
-  image_url,
-  location,
-  condition,
-  seller_username,
-  found_at,
-  raw,
-}) {
-  const priceNum = parseMoneyToNum(price);
-  const shippingNum = null;    // MVP: not wired yet
-  const totalPrice = priceNum; // MVP: equals item price
+async function upsertResultsBatch(searchId, marketplace, items, { history = true } = {}) {
+  if (!items.length) return [];
+
+  const params = [searchId, marketplace, items.map((it) => String(it.external_id))];
+  const tuples = items.map((it) => {
+    const placeholders = toRowValues(it).map((v, idx) => {
+      params.push(v);
+      return idx === FOUND_AT_INDEX ? `COALESCE($${params.length}, NOW())` : `$${params.length}`;
+    });
+    return `($1, $2, ${placeholders.join(', ')})`;
+  });
 
   const sql = `
-    WITH upserted AS (
-      INSERT INTO results
-        (search_id, marketplace, external_id, title, price, currency, listing_url,
-         image_url, location, condition, seller_username, found_at, raw,
-         price_num, shipping_num, total_price)
+    WITH existing AS (
+      SELECT id, external_id, price_num, shipping_num, total_price, currency, found_at
+      FROM results
+      WHERE search_id = $1 AND marketplace = $2 AND external_id = ANY($3::text[])
+    ),
+    upserted AS (
+      INSERT INTO results (${RESULT_COLUMNS.join(', ')})
       VALUES
-        ($1,$2,$3,$4,$5,$6,$7,
-         $8,$9,$10,$11, COALESCE($12, NOW()), $13,
-         $14,$15,$16)
+        ${tuples.join(',\n        ')}
       ON CONFLICT (search_id, marketplace, external_id)
       DO UPDATE SET
-        title           = EXCLUDED.title,
-        price           = EXCLUDED.price,
-        currency        = EXCLUDED.currency,
-        listing_url     = EXCLUDED.listing_url,
-        image_url       = EXCLUDED.image_url,
-        location        = EXCLUDED.location,
-        condition       = EXCLUDED.condition,
-        seller_username = EXCLUDED.seller_username,
-        price_num       = EXCLUDED.price_num,
-        shipping_num    = EXCLUDED.shipping_num,
-        total_price     = EXCLUDED.total_price
+        ${UPDATED_COLUMNS.map((c) => `${c} = EXCLUDED.${c}`).join(',\n        ')}
       WHERE
-        results.title           IS DISTINCT FROM EXCLUDED.title OR
-        results.price           IS DISTINCT FROM EXCLUDED.price OR
-        results.currency        IS DISTINCT FROM EXCLUDED.currency OR
-        results.listing_url     IS DISTINCT FROM EXCLUDED.listing_url OR
-        results.image_url       IS DISTINCT FROM EXCLUDED.image_url OR
-        results.location        IS DISTINCT FROM EXCLUDED.location OR
-        results.condition       IS DISTINCT FROM EXCLUDED.condition OR
-        results.seller_username IS DISTINCT FROM EXCLUDED.seller_username OR
-        results.price_num       IS DISTINCT FROM EXCLUDED.price_num OR
-        results.shipping_num    IS DISTINCT FROM EXCLUDED.shipping_num OR
-        results.total_price     IS DISTINCT FROM EXCLUDED.total_price
+        ${UPDATED_COLUMNS.map((c) => `results.${c} IS DISTINCT FROM EXCLUDED.${c}`).join(' OR\n        ')}
       RETURNING
         id,
-        (xmax = 0) AS inserted
+        external_id,
+        (xmax = 0) AS inserted,
+        price_num,
+        shipping_num,
+        total_price,
+        currency
+    )${history ? `,
+    price_changed AS (
+      SELECT u.*, e.id AS existing_id
+      FROM upserted u
+      LEFT JOIN existing e ON e.id = u.id
+      WHERE u.inserted
+         OR e.price_num IS DISTINCT FROM u.price_num
+         OR e.total_price IS DISTINCT FROM u.total_price
     ),
-    existing AS (
-      SELECT id
-      FROM results
-      WHERE search_id = $1 AND marketplace = $2 AND external_id = $3
-      LIMIT 1
-    )
-    SELECT
-      COALESCE(u.id, e.id) AS id,
-      u.inserted           AS inserted
+    history_baseline AS (
+      INSERT INTO result_price_history (result_id, search_id, price_num, shipping_num, total_price, currency, recorded_at)
+      SELECT e.id, $1, e.price_num, e.shipping_num, e.total_price, e.currency, COALESCE(e.found_at, NOW() - INTERVAL '1 second')
+      FROM price_changed pc
+      JOIN existing e ON e.id = pc.existing_id
+      WHERE NOT pc.inserted
+        AND NOT EXISTS (SELECT 1 FROM result_price_history h WHERE h.result_id = e.id)
+    ),
+    history AS (
+      INSERT INTO result_price_history (result_id, search_id, price_num, shipping_num, total_price, currency, recorded_at)
+      SELECT pc.id, $1, pc.price_num, pc.shipping_num, pc.total_price, pc.currency, NOW()
+      FROM price_changed pc
+    )` : ''}
+    SELECT id, external_id, inserted FROM upserted
+    UNION ALL
+    SELECT e.id, e.external_id, NULL::boolean AS inserted
     FROM existing e
-    LEFT JOIN upserted u ON TRUE
-    LIMIT 1
+    WHERE NOT EXISTS (SELECT 1 FROM upserted u WHERE u.id = e.id)
   `;
 
-  const params = [
-    search_id,
-    marketplace,
-    external_id,
-    title ?? null,
-    price ?? null,
-    currency ?? null,
-    listing_url ?? null,
-    image_url ?? null,
-    location ?? null,
-    condition ?? null,
-    seller_username ?? null,
-    found_at ?? null,
-    raw ?? null,
-    priceNum,
-    shippingNum,
-    totalPrice,
-  ];
-
   const { rows } = await pool.query(sql, params);
-  const row = rows[0];
 
-  const insertedFlag = row?.inserted; // true = inserted, false = updated, null/undefined = skipped
-  let action = 'skipped';
-  if (insertedFlag === true) action = 'created';
-  else if (insertedFlag === false) action = 'updated';
+  // inserted: true = created, false = updated, null = skipped (untouched existing row)
+  return rows.map((r) => ({
+    id: r.id,
+    external_id: r.external_id,
+    action: r.inserted === true ? 'created' : r.inserted === false ? 'updated' : 'skipped',
+  }));
+}
 
-  return { id: row?.id, action };
+/**
+ * Upsert ONE result row (see upsertResultsBatch). Returns { id, action }.
+ */
+async function upsertResultWithMetrics({ search_id, marketplace, ...item }) {
+  const [row] = await upsertResultsBatch(search_id, marketplace, [item]);
+  return { id: row?.id, action: row?.action || 'skipped' };
 }
 
 /**
- * Insert/Upsert MANY results.
- * Back-compat: returns { inserted } where inserted = created + updated
+ * Insert/Upsert MANY results, UPSERT_BATCH_SIZE rows per statement.
+ * Each item's `raw` goes to result_raw_payloads (compressed), not the results row.
+ * Back-compat: returns { inserted } where inserted = created + updated.
+ * `rows` lists every stored result ({ id, external_id, action }) so callers can follow up by id.
+ *
+ * Options: history (default true) as in upsertResultsBatch; storeRaw (default true).
  */
-async function insertResults(dbPool, searchId, marketplace, items) {
+async function insertResults(dbPool, searchId, marketplace, items, { history = true, storeRaw = true } = {}) {
   // dbPool kept for compatibility; module uses global pool
   const m = String(marketplace || '').trim().toLowerCase();
   if (!m) throw new Error('insertResults: marketplace is required');
@@ -137,44 +188,66 @@ async function insertResults(dbPool, searchId, marketplace, items) {
 
   const total_incoming = items.length;
 
-  let created = 0;
-  let updated = 0;
-  let skipped = 0;
-  let processed = 0;
+  // Same listing twice in one batch: the last copy wins (one statement can't update a row twice)
+  const byExternalId = new Map();
+  let duplicates = 0;
 
   for (const it of items) {
     const external_id = it?.external_id ?? it?.externalId ?? it?.itemId ?? null;
     const listing_url = it?.listing_url ?? it?.listingUrl ?? it?.url ?? null;
-    const title = it?.title ?? null;
 
     if (!external_id || !listing_url) continue;
 
-    const { action } = await upsertResultWithMetrics({
-      search_id: searchId,
-      marketplace: m,
-      external_id,
-      title,
+    const key = String(external_id);
+    if (byExternalId.has(key)) {
+      duplicates += 1;
+      byExternalId.delete(key);
+    }
+    byExternalId.set(key, {
+      external_id: key,
+      title: it?.title ?? null,
       price: it?.price ?? null,
       currency: it?.currency ?? null,
+      shipping_cost: it?.shipping_cost ?? it?.shipping ?? null,
       listing_url,
       image_url: it?.image_url ?? null,
       location: it?.location ?? null,
       condition: it?.condition ?? null,
+      condition_norm: it?.condition_norm ?? null,
       seller_username: it?.seller_username ?? null,
+      buying_options: it?.buying_options ?? null,
+      bid_count: it?.bid_count ?? null,
+      current_bid: it?.current_bid ?? null,
+      ends_at: it?.ends_at ?? null,
       found_at: it?.found_at ?? null,
       raw: it?.raw ?? null,
     });
+  }
 
-    processed += 1;
-
-    if (action === 'created') created += 1;
-    else if (action === 'updated') updated += 1;
-    else skipped += 1;
+  const unique = [...byExternalId.values()];
+  const rows = [];
+  for (let i = 0; i < unique.length; i += UPSERT_BATCH_SIZE) {
+    const chunk = unique.slice(i, i + UPSERT_BATCH_SIZE);
+    const stored = await upsertResultsBatch(searchId, m, chunk, { history });
+    rows.push(...stored);
+
+    if (storeRaw) {
+      const idByExternal = new Map(stored.map((r) => [String(r.external_id), r.id]));
+      await storeRawPayloads(pool, {
+        searchId,
+        marketplace: m,
+        rows: chunk.map((it) => ({ resultId: idByExternal.get(it.external_id), raw: it.raw })),
+      });
+    }
   }
 
+  const created = rows.filter((r) => r.action === 'created').length;
+  const updated = rows.filter((r) => r.action === 'updated').length;
+  const skipped = rows.length - created - updated + duplicates;
+  const processed = unique.length + duplicates;
   const inserted = created + updated;
 
-  return { inserted, created, updated, skipped, total_incoming, processed };
+  return { inserted, created, updated, skipped, total_incoming, processed, rows };
 }
 
-module.exports = { upsertResultWithMetrics, insertResults };
+module.exports = { upsertResultWithMetrics, upsertResultsBatch, insertResults };
@@ -0,0 +1,174 @@
+// services/schema.js
+//
+// Idempotent DDL for columns/tables added after the original Neon schema.
+// Runs on API startup and on worker startup; every statement is IF NOT EXISTS.
+
+const pool = require('../db');
+
+async function ensureSchema() {
+  // Craigslist: per-search list of region subdomains (e.g. {sfbay,sacramento})
+  await pool.query(`ALTER TABLE searches ADD COLUMN IF NOT EXISTS craigslist_regions TEXT[];`);
+
+  // Price floor (max_price already exists)
+  await pool.query(`ALTER TABLE searches ADD COLUMN IF NOT EXISTS min_price NUMERIC;`);
+
+  // Normalized condition: results keep the raw `condition` string alongside; searches may require some
+  await pool.query(`ALTER TABLE searches ADD COLUMN IF NOT EXISTS conditions TEXT[];`);
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS condition_norm TEXT;`);
+
+  // Auction metadata on results (eBay buyingOptions / bidCount / currentBidPrice / itemEndDate)
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS buying_options TEXT[];`);
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS bid_count INTEGER;`);
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS current_bid_num NUMERIC;`);
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_ends_at ON results(search_id, ends_at);`);
+
+  // Ending-soon auction reminders: per-search lead time (0/NULL = off) and alert kind
+  await pool.query(`ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS ending_soon_minutes INTEGER;`);
+  await pool.query(`ALTER TABLE alert_events ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'new_listing';`);
+
+  // Price-drop alerts: per-search thresholds, and the before/after totals captured on the alert
+  await pool.query(`ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS price_drop_enabled BOOLEAN NOT NULL DEFAULT FALSE;`);
+  await pool.query(`ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS price_drop_percent NUMERIC;`);
+  await pool.query(`ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS price_drop_amount NUMERIC;`);
+  await pool.query(`ALTER TABLE alert_events ADD COLUMN IF NOT EXISTS prev_total_price NUMERIC;`);
+  await pool.query(`ALTER TABLE alert_events ADD COLUMN IF NOT EXISTS new_total_price NUMERIC;`);
+
+  // Deal score (0-100, NULL = not enough comparables) and the per-search alert threshold (0/NULL = off)
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS deal_score SMALLINT;`);
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS deal_scored_at TIMESTAMPTZ;`);
+  await pool.query(`ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS min_deal_score SMALLINT;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_deal ON results(search_id, deal_score DESC NULLS LAST, id DESC);`);
+
+  // Digest schedule: daily/weekly digests go out at digest_hour (on digest_weekday, 0 = Sunday) in `timezone`
+  await pool.query(`ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS digest_hour SMALLINT;`);
+  await pool.query(`ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS digest_weekday SMALLINT;`);
+  await pool.query(`ALTER TABLE alert_settings ADD COLUMN IF NOT EXISTS timezone TEXT;`);
+
+  // Per-user consolidated digest: one email per period covering all of a user's searches
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_digest_settings (
+      user_id INTEGER PRIMARY KEY,
+      enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      mode TEXT NOT NULL DEFAULT 'daily',
+      digest_hour SMALLINT NULL,
+      digest_weekday SMALLINT NULL,
+      timezone TEXT NULL,
+      destination TEXT NULL,
+      last_digest_sent_at TIMESTAMPTZ NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+
+  // Listing lifecycle: last time the feed returned it, consecutive full refreshes it was absent, and outcome
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;`);
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS missed_refreshes INTEGER NOT NULL DEFAULT 0;`);
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS listing_status TEXT NOT NULL DEFAULT 'active';`);
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS ended_at TIMESTAMPTZ;`);
+  // Last provider status check for a listing absent from a partial run (rotates the sweep in listingStatus.js)
+  await pool.query(`ALTER TABLE results ADD COLUMN IF NOT EXISTS status_checked_at TIMESTAMPTZ;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_status ON results(search_id, listing_status);`);
+
+  // Results listing sorts (keyset pagination on sort key + id): newest first, item price, total price
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_found ON results(search_id, found_at DESC NULLS LAST, id DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_price ON results(search_id, price_num, id);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_total ON results(search_id, (COALESCE(total_price, price_num)), id);`);
+  // price_high / total_high sort DESC NULLS LAST; a backward scan of the ascending indexes puts NULLs first
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_price_desc ON results(search_id, price_num DESC NULLS LAST, id DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_total_desc ON results(search_id, (COALESCE(total_price, price_num)) DESC NULLS LAST, id DESC);`);
+
+  // Price history: one row per observed price/total change (first row = first sighting)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS result_price_history (
+      id BIGSERIAL PRIMARY KEY,
+      result_id BIGINT NOT NULL REFERENCES results(id) ON DELETE CASCADE,
+      search_id INTEGER NOT NULL,
+      price_num NUMERIC NULL,
+      shipping_num NUMERIC NULL,
+      total_price NUMERIC NULL,
+      currency TEXT NULL,
+      recorded_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_result_price_history_result ON result_price_history(result_id, recorded_at);`);
+
+  // Raw marketplace payloads (gzip JSON), kept for a retention window so results can be re-normalized
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS result_raw_payloads (
+      result_id BIGINT PRIMARY KEY REFERENCES results(id) ON DELETE CASCADE,
+      search_id INTEGER NOT NULL,
+      marketplace TEXT NOT NULL,
+      payload BYTEA NOT NULL,
+      payload_bytes INTEGER NOT NULL,
+      captured_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_result_raw_payloads_captured ON result_raw_payloads(captured_at);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_result_raw_payloads_search ON result_raw_payloads(search_id, result_id);`);
+
+  // Full-text search over collected results: title (weight A) + seller/location (weight C), all parsed
+  // with the 'english' config so one websearch_to_tsquery('english', ...) matches every part the same way
+  // (mixing configs lets "-excluded" words slip through when their stems differ).
+  // Older trees generated seller/location with 'simple': drop that column so it is rebuilt below.
+  await pool.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1
+        FROM pg_attrdef d
+        JOIN pg_attribute a ON a.attrelid = d.adrelid AND a.attnum = d.adnum
+        WHERE d.adrelid = 'results'::regclass
+          AND a.attname = 'search_tsv'
+          AND pg_get_expr(d.adbin, d.adrelid) LIKE '%simple%'
+      ) THEN
+        ALTER TABLE results DROP COLUMN search_tsv;
+      END IF;
+    END $$;
+  `);
+  await pool.query(`
+    ALTER TABLE results ADD COLUMN IF NOT EXISTS search_tsv tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(seller_username, '')), 'C') ||
+      setweight(to_tsvector('english', COALESCE(location, '')), 'C')
+    ) STORED;
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_results_search_tsv ON results USING GIN (search_tsv);`);
+
+  // Per-user result states (hidden / favorite / purchased). No FK to users: the worker can run
+  // ensureSchema() before the API has created the auth tables.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS result_states (
+      user_id INTEGER NOT NULL,
+      result_id BIGINT NOT NULL REFERENCES results(id) ON DELETE CASCADE,
+      hidden BOOLEAN NOT NULL DEFAULT FALSE,
+      favorite BOOLEAN NOT NULL DEFAULT FALSE,
+      purchased BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (user_id, result_id)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_result_states_result ON result_states(result_id);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_result_states_favorites ON result_states(user_id, updated_at DESC) WHERE favorite;`);
+
+  // Marketplace circuit breakers (shared by API + worker)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS marketplace_circuit_breakers (
+      marketplace TEXT PRIMARY KEY,
+      state TEXT NOT NULL DEFAULT 'closed',
+      consecutive_failures INTEGER NOT NULL DEFAULT 0,
+      open_count INTEGER NOT NULL DEFAULT 0,
+      opened_at TIMESTAMPTZ NULL,
+      open_until TIMESTAMPTZ NULL,
+      probe_started_at TIMESTAMPTZ NULL,
+      last_error TEXT NULL,
+      last_status INTEGER NULL,
+      last_failure_at TIMESTAMPTZ NULL,
+      last_success_at TIMESTAMPTZ NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+}
+
+module.exports = { ensureSchema };
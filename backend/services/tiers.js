@@ -27,11 +27,25 @@ function maxSearchesForTier(tier) {
     return 5; // free
 }
 
+// Marketplace pages fetched per adapter per refresh.
+// Override with MARKETPLACE_MAX_PAGES_FREE / _PRO / _POWER.
+function maxPagesForTier(tier) {
+    const t = normalizeTier(tier);
+
+    const fromEnv = Number(process.env[`MARKETPLACE_MAX_PAGES_${t.toUpperCase()}`]);
+    if (Number.isFinite(fromEnv) && fromEnv >= 1) return Math.floor(fromEnv);
+
+    if (t === 'power') return 10;
+    if (t === 'pro') return 3;
+    return 1; // free
+}
+
 
 module.exports = {
     normalizeTier,
     refreshIntervalMinutesForTier,
     dispatchIntervalMinutesForTier,
     maxSearchesForTier,
+    maxPagesForTier,
 };
 
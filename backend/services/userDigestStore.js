@@ -0,0 +1,134 @@
+// backend/services/userDigestStore.js
+//
+// Per-user consolidated digest (user_digest_settings): when enabled, the worker sends ONE email per
+// daily/weekly period with the pending alerts of all the user's searches, instead of one email per search.
+// The schedule fields (mode, digestHour, digestWeekday, timezone) mean the same as in alert_settings.
+
+const { normalizeAlertSettings } = require("./alertSettingsStore");
+
+const DEFAULTS = {
+    enabled: false,
+    mode: "daily",
+    digestHour: 8,
+    digestWeekday: 1,
+    timezone: "UTC",
+    email: null,          // destination; null = the account email
+    lastDigestSentAt: null,
+};
+
+function normalizeUserDigestSettings(input) {
+    const s = Object.assign({}, DEFAULTS, (input || {}));
+
+    // Reuse the per-search schedule rules; "immediate" makes no sense for a digest
+    const schedule = normalizeAlertSettings({
+        mode: s.mode,
+        digestHour: s.digestHour,
+        digestWeekday: s.digestWeekday,
+        timezone: s.timezone,
+        lastDigestSentAt: s.lastDigestSentAt,
+    });
+
+    const email = typeof s.email === "string" ? s.email.trim().toLowerCase() : "";
+
+    return {
+        enabled: !!s.enabled,
+        mode: schedule.mode === "weekly" ? "weekly" : "daily",
+        digestHour: schedule.digestHour,
+        digestWeekday: schedule.digestWeekday,
+        timezone: schedule.timezone,
+        email: email && email.includes("@") ? email : null,
+        lastDigestSentAt: schedule.lastDigestSentAt,
+    };
+}
+
+// user_digest_settings row → normalized settings; null row = defaults (digest off)
+function userDigestFromRow(r) {
+    if (!r) return normalizeUserDigestSettings(null);
+    return normalizeUserDigestSettings({
+        enabled: r.enabled,
+        mode: r.mode,
+        digestHour: r.digest_hour,
+        digestWeekday: r.digest_weekday,
+        timezone: r.timezone,
+        email: r.destination,
+        lastDigestSentAt: r.last_digest_sent_at ? new Date(r.last_digest_sent_at).toISOString() : null,
+    });
+}
+
+async function getUserDigestSettings(pool, userId) {
+    const id = Number(userId);
+    if (!Number.isFinite(id) || id <= 0) return normalizeUserDigestSettings(null);
+
+    const { rows } = await pool.query(
+        `
+    SELECT enabled, mode, digest_hour, digest_weekday, timezone, destination, last_digest_sent_at
+    FROM user_digest_settings
+    WHERE user_id = $1
+    `,
+        [id]
+    );
+
+    return userDigestFromRow(rows && rows[0]);
+}
+
+async function setUserDigestSettings(pool, userId, nextSettings) {
+    const id = Number(userId);
+    if (!Number.isFinite(id) || id <= 0) return false;
+
+    const next = normalizeUserDigestSettings(nextSettings);
+
+    await pool.query(
+        `
+    INSERT INTO user_digest_settings
+      (user_id, enabled, mode, digest_hour, digest_weekday, timezone, destination, last_digest_sent_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+    ON CONFLICT (user_id)
+    DO UPDATE SET
+      enabled = EXCLUDED.enabled,
+      mode = EXCLUDED.mode,
+      digest_hour = EXCLUDED.digest_hour,
+      digest_weekday = EXCLUDED.digest_weekday,
+      timezone = EXCLUDED.timezone,
+      destination = EXCLUDED.destination,
+      last_digest_sent_at = EXCLUDED.last_digest_sent_at,
+      updated_at = NOW()
+    `,
+        [
+            id,
+            next.enabled,
+            next.mode,
+            next.digestHour,
+            next.digestWeekday,
+            next.timezone,
+            next.email,
+            next.lastDigestSentAt,
+        ]
+    );
+
+    return true;
+}
+
+async function markUserDigestSent(pool, userId, whenIso) {
+    const id = Number(userId);
+    if (!Number.isFinite(id) || id <= 0) return false;
+
+    await pool.query(
+        `
+    UPDATE user_digest_settings
+    SET last_digest_sent_at = $2,
+        updated_at = NOW()
+    WHERE user_id = $1
+    `,
+        [id, whenIso || new Date().toISOString()]
+    );
+
+    return true;
+}
+
+module.exports = {
+    normalizeUserDigestSettings,
+    userDigestFromRow,
+    getUserDigestSettings,
+    setUserDigestSettings,
+    markUserDigestSent,
+};
@@ -0,0 +1,93 @@
+// Digest scheduling: local hour/weekday per timezone, periods, catch-up and duplicates
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeAlertSettings,
+    digestPeriodStart,
+    hasDigestBeenSentThisPeriod,
+    isDigestDue,
+} = require('../services/alertSettingsStore');
+
+const at = (iso) => new Date(iso);
+const daily = (extra = {}) => ({ mode: 'daily', digestHour: 8, timezone: 'UTC', ...extra });
+const weekly = (extra = {}) => ({ mode: 'weekly', digestHour: 8, digestWeekday: 1, timezone: 'UTC', ...extra });
+
+test('immediate mode is always due and never "already sent"', () => {
+    const s = { mode: 'immediate', lastDigestSentAt: '2024-03-04T08:00:00Z' };
+    assert.equal(isDigestDue(s, at('2024-03-04T08:01:00Z')), true);
+    assert.equal(hasDigestBeenSentThisPeriod(s, at('2024-03-04T08:01:00Z')), false);
+});
+
+test('daily: period starts at the local digest hour', () => {
+    const s = normalizeAlertSettings(daily());
+    assert.equal(digestPeriodStart(s, at('2024-03-04T07:59:00Z')), '2024-03-03');
+    assert.equal(digestPeriodStart(s, at('2024-03-04T08:00:00Z')), '2024-03-04');
+
+    // Never sent: waits for the first slot rather than firing on setup
+    assert.equal(isDigestDue(s, at('2024-03-04T07:59:00Z')), false);
+    assert.equal(isDigestDue(s, at('2024-03-04T08:00:00Z')), true);
+});
+
+test('weekly digest on the configured weekday, before and after the hour', () => {
+    // 2024-03-04 is a Monday
+    const s = weekly();
+    assert.equal(isDigestDue(s, at('2024-03-04T07:59:00Z')), false, 'Monday before the hour');
+    assert.equal(isDigestDue(s, at('2024-03-04T08:00:00Z')), true, 'Monday at the hour');
+    assert.equal(isDigestDue(s, at('2024-03-05T08:00:00Z')), false, 'Tuesday, never sent');
+
+    const sent = { ...s, lastDigestSentAt: '2024-03-04T08:01:00Z' };
+    assert.equal(isDigestDue(sent, at('2024-03-06T12:00:00Z')), false, 'later the same week');
+    assert.equal(isDigestDue(sent, at('2024-03-11T07:59:00Z')), false, 'next Monday before the hour');
+    assert.equal(isDigestDue(sent, at('2024-03-11T08:00:00Z')), true, 'next Monday at the hour');
+});
+
+test('weekday and hour are read in the configured timezone', () => {
+    // Monday 08:00 in Los Angeles (PST, UTC-8) is 16:00 UTC; 07:00 UTC Monday is still Sunday there
+    const s = weekly({ timezone: 'America/Los_Angeles' });
+    assert.equal(isDigestDue(s, at('2024-03-04T07:00:00Z')), false);
+    assert.equal(isDigestDue(s, at('2024-03-04T15:59:00Z')), false);
+    assert.equal(isDigestDue(s, at('2024-03-04T16:00:00Z')), true);
+});
+
+test('DST: spring-forward skips the digest hour without skipping the digest', () => {
+    // New York, 2024-03-10: 02:00 EST jumps to 03:00 EDT, so a 02:00 digest hour never happens
+    const s = daily({ digestHour: 2, timezone: 'America/New_York', lastDigestSentAt: '2024-03-09T07:00:00Z' });
+    assert.equal(isDigestDue(s, at('2024-03-10T06:30:00Z')), false, '01:30 EST, before the hour');
+    assert.equal(isDigestDue(s, at('2024-03-10T07:00:00Z')), true, '03:00 EDT, first instant past it');
+});
+
+test('DST: fall-back repeats the digest hour without a second digest', () => {
+    // New York, 2024-11-03: 01:00-01:59 happens twice (EDT, then EST)
+    const s = daily({ digestHour: 1, timezone: 'America/New_York', lastDigestSentAt: '2024-11-02T05:00:00Z' });
+    assert.equal(isDigestDue(s, at('2024-11-03T05:30:00Z')), true, '01:30 EDT');
+
+    const sent = { ...s, lastDigestSentAt: '2024-11-03T05:30:00Z' };
+    assert.equal(hasDigestBeenSentThisPeriod(sent, at('2024-11-03T06:30:00Z')), true);
+    assert.equal(isDigestDue(sent, at('2024-11-03T06:30:00Z')), false, '01:30 EST, the repeated hour');
+    assert.equal(isDigestDue(sent, at('2024-11-04T06:00:00Z')), true, 'next day 01:00 EST');
+});
+
+test('an invalid timezone falls back to UTC', () => {
+    const s = daily({ timezone: 'Mars/Olympus_Mons' });
+    assert.equal(normalizeAlertSettings(s).timezone, 'UTC');
+    assert.equal(isDigestDue(s, at('2024-03-04T07:59:00Z')), false);
+    assert.equal(isDigestDue(s, at('2024-03-04T08:00:00Z')), true);
+});
+
+test('an already-sent period is not sent again; a missed slot is caught up', () => {
+    const sent = daily({ lastDigestSentAt: '2024-03-04T08:05:00Z' });
+    assert.equal(hasDigestBeenSentThisPeriod(sent, at('2024-03-04T20:00:00Z')), true);
+    assert.equal(isDigestDue(sent, at('2024-03-04T20:00:00Z')), false);
+    assert.equal(isDigestDue(sent, at('2024-03-05T07:59:00Z')), false, 'still the same period');
+    assert.equal(isDigestDue(sent, at('2024-03-05T08:00:00Z')), true);
+
+    // Worker was down through the 8:00 slot: the period's digest still goes out later that day
+    const stale = daily({ lastDigestSentAt: '2024-03-03T08:05:00Z' });
+    assert.equal(isDigestDue(stale, at('2024-03-04T15:00:00Z')), true);
+});
+
+test('an unparseable lastDigestSentAt counts as never sent', () => {
+    const s = daily({ lastDigestSentAt: 'not a date' });
+    assert.equal(hasDigestBeenSentThisPeriod(s, at('2024-03-04T09:00:00Z')), false);
+});
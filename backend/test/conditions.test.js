@@ -0,0 +1,107 @@
+// Condition normalization per marketplace vocabulary
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeEbayCondition,
+    normalizeEtsyCondition,
+    normalizeConditionText,
+    normalizeConditionList,
+    toEbayConditionFilter,
+    matchesConditions,
+} = require('../services/marketplaces/conditions');
+
+function table(t, cases, fn) {
+    return Promise.all(cases.map(([input, want]) =>
+        t.test(JSON.stringify(input), () => assert.equal(fn(input), want))));
+}
+
+test('eBay conditionId wins over the condition name', async (t) => {
+    await table(t, [
+        [{ conditionId: '1000', condition: 'Used' }, 'new'],
+        [{ conditionId: '1500' }, 'new'],
+        [{ conditionId: '2750' }, 'like_new'],
+        [{ conditionId: '3000' }, 'used'],
+        [{ conditionId: '6000' }, 'used'],
+        [{ conditionId: '7000' }, 'for_parts'],
+        [{ conditionId: 1000 }, 'new'],
+    ], normalizeEbayCondition);
+});
+
+test('eBay condition names without an id', async (t) => {
+    await table(t, [
+        [{ condition: 'New' }, 'new'],
+        [{ condition: 'New with tags' }, 'new'],
+        [{ condition: 'New without box' }, 'new'],
+        [{ condition: 'New other (see details)' }, 'new'],
+        [{ condition: 'Open box' }, 'like_new'],
+        [{ condition: 'Certified - Refurbished' }, 'like_new'],
+        [{ condition: 'Seller refurbished' }, 'like_new'],
+        [{ condition: 'Like New' }, 'like_new'],
+        [{ condition: 'Used' }, 'used'],
+        [{ condition: 'Pre-owned' }, 'used'],
+        [{ condition: 'Very Good' }, 'used'],
+        [{ condition: 'Acceptable' }, 'used'],
+        [{ condition: 'For parts or not working' }, 'for_parts'],
+        [{ conditionId: '9999', condition: null }, 'unknown'],
+        [{}, 'unknown'],
+    ], normalizeEbayCondition);
+});
+
+test('Etsy: when_made first, title phrases for parts and as a fallback', async (t) => {
+    const year = new Date().getFullYear();
+    await table(t, [
+        [{ when_made: 'made_to_order', title: 'Custom ring' }, 'new'],
+        [{ when_made: `2020_${year}`, title: 'Hand-thrown mug' }, 'new'],
+        [{ when_made: '1980_1989', title: 'Ceramic vase' }, 'used'],
+        [{ when_made: 'before_2006', title: 'Brass lamp' }, 'used'],
+        [{ when_made: '1970s', title: 'Teak chair' }, 'used'],
+        [{ when_made: '1700s', title: 'Walnut chest' }, 'used'],
+        [{ when_made: '1970s', title: 'Teak chair, broken leg' }, 'for_parts'],
+        [{ when_made: '', title: 'Brand new knit hat' }, 'new'],
+        [{ when_made: '', title: 'Knit hat' }, 'unknown'],
+    ], normalizeEtsyCondition);
+});
+
+test('Craigslist titles and descriptions: known phrases only', async (t) => {
+    await table(t, [
+        ['Brand new KitchenAid mixer', 'new'],
+        ['Mixer, new in box', 'new'],
+        ['Dress NWT size 8', 'new'],
+        ['Factory sealed PS5', 'new'],
+        ['Stand mixer, never used', 'new'],
+        ['Bike - condition: new', 'new'],
+        ['Like new Canon 50mm lens', 'like_new'],
+        ['Sofa in excellent condition', 'like_new'],
+        ['Used Trek bike', 'used'],
+        ['Vintage oak rolltop desk', 'used'],
+        ['Lawn mower - condition: good', 'used'],
+        ['iPhone 12 for parts', 'for_parts'],
+        ['Washer not working', 'for_parts'],
+        ['Sold as-is, needs repair', 'for_parts'],
+        // A bare "new" is about something else
+        ['Laptop with new battery', 'unknown'],
+        ['New listing: oak desk', 'unknown'],
+        ['Used laptop, new battery', 'used'],
+        ['Newport bike', 'unknown'],
+        ['', 'unknown'],
+    ], (title) => normalizeConditionText(title));
+});
+
+test('later texts are only consulted when earlier ones say nothing', () => {
+    assert.equal(normalizeConditionText('Oak desk', 'Barely used, no scratches'), 'like_new');
+    assert.equal(normalizeConditionText('Oak desk for parts', 'Like new drawers'), 'for_parts');
+});
+
+test('condition selections: normalization, eBay filter and matching', () => {
+    assert.deepEqual(normalizeConditionList('New, like-new,bogus,new'), ['new', 'like_new']);
+    assert.deepEqual(normalizeConditionList(['For Parts']), ['for_parts']);
+
+    assert.equal(toEbayConditionFilter(['new', 'for_parts']), 'conditionIds:{1000|1500|1750|7000}');
+    assert.equal(toEbayConditionFilter(['new', 'unknown']), null, 'unknown cannot be pushed down');
+    assert.equal(toEbayConditionFilter([]), null);
+
+    assert.equal(matchesConditions({ condition_norm: 'used' }, []), true);
+    assert.equal(matchesConditions({ condition_norm: 'used' }, ['new']), false);
+    assert.equal(matchesConditions({}, ['unknown']), true);
+});
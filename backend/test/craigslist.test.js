@@ -0,0 +1,54 @@
+// Craigslist RSS parsing against a recorded feed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { parseCraigslistFeed, adapter } = require('../services/marketplaces/craigslist');
+
+const FEED = fs.readFileSync(path.join(__dirname, 'fixtures', 'craigslist-sfbay.rss'), 'utf8');
+
+test('parses every item of a recorded feed', () => {
+    const rows = parseCraigslistFeed(FEED, { region: 'sfbay' });
+    assert.deepEqual(rows.map((r) => r.external_id), ['7712345678', '7712340011', '7712339950']);
+    for (const r of rows) assert.equal(r.marketplace, 'craigslist');
+});
+
+test('splits price and neighbourhood out of the title', () => {
+    const [desk, antique] = parseCraigslistFeed(FEED, { region: 'sfbay' });
+
+    assert.equal(desk.title, 'Oak rolltop desk');
+    assert.equal(desk.price, 120);
+    assert.equal(desk.currency, 'USD');
+    assert.equal(desk.location, 'oakland');
+    assert.equal(desk.listing_url, 'https://sfbay.craigslist.org/eby/fuo/d/oakland-oak-rolltop-desk/7712345678.html');
+
+    assert.equal(antique.title, 'Antique rolltop desk & chair');
+    assert.equal(antique.price, 1250);
+    assert.equal(antique.location, 'inner sunset / UCSF');
+});
+
+test('falls back to the region when the title has no price or neighbourhood', () => {
+    const free = parseCraigslistFeed(FEED, { region: 'sfbay' })[2];
+    assert.equal(free.title, 'Rolltop desk - free, you haul');
+    assert.equal(free.price, null);
+    assert.equal(free.location, 'sfbay');
+});
+
+test('uses the enclosure as the image', () => {
+    const rows = parseCraigslistFeed(FEED, { region: 'sfbay' });
+    assert.equal(rows[0].image_url, 'https://images.craigslist.org/00x0x_4Yq1uXmB2Fz_0CI0t2_300x300.jpg');
+    assert.equal(rows[1].image_url, null);
+});
+
+test('keeps the feed fields in raw so stored results can be rebuilt', () => {
+    const [desk] = parseCraigslistFeed(FEED, { region: 'sfbay' });
+    assert.equal(desk.raw.posted_at, '2024-03-02T08:51:22-08:00');
+    assert.equal(desk.raw.region, 'sfbay');
+    assert.deepEqual(adapter.normalizeRaw(desk.raw), desk);
+});
+
+test('skips items without a link', () => {
+    const xml = '<rdf:RDF><item><title>No link (nowhere) $5</title></item></rdf:RDF>';
+    assert.deepEqual(parseCraigslistFeed(xml), []);
+});
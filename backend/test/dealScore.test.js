@@ -0,0 +1,178 @@
+// Deal score: rank-based scoring and the min_deal_score alert gate it drives
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const notifications = require('../services/notifications');
+const { buildReference, scoreListing, scoreResults } = require('../services/dealScore');
+
+// Capture outgoing alert emails instead of sending them (dispatchAlerts binds sendEmail on require)
+const sentEmails = [];
+notifications.sendEmail = async (msg) => {
+    sentEmails.push(msg);
+};
+const log = console.log;
+console.log = () => {};
+const { dispatchPendingAlertsForSearch } = require('../services/dispatchAlerts');
+console.log = log;
+
+const rows = (prices, extra = {}) => prices.map((price, i) => ({
+    id: i + 1, price, currency: 'USD', condition: 'used', listing_status: 'active', ...extra,
+}));
+
+test('scores run 0..100: cheapest 100, priciest 0, middle 50', () => {
+    const ref = buildReference(rows([10, 20, 30, 40, 50, 60, 70]));
+    const scores = rows([10, 20, 30, 40, 50, 60, 70]).map((r) => scoreListing(ref, r));
+
+    assert.deepEqual(scores, [100, 83, 67, 50, 33, 17, 0]);
+    for (const s of scores) assert.ok(Number.isInteger(s) && s >= 0 && s <= 100);
+});
+
+test('edge cases', async (t) => {
+    const cases = [
+        { name: 'no comparables', ref: [], listing: { id: 99, price: 10 }, want: null },
+        { name: 'too few comparables (4 besides itself)', ref: rows([10, 20, 30, 40, 50]), listing: rows([10])[0], want: null },
+        { name: 'all-equal prices land in the middle', ref: rows([25, 25, 25, 25, 25, 25]), listing: rows([25])[0], want: 50 },
+        { name: 'missing price (no total and no item price)', ref: rows([10, 20, 30, 40, 50]), listing: { id: 99, price: null }, want: null },
+        { name: 'zero price', ref: rows([10, 20, 30, 40, 50]), listing: { id: 99, price: 0 }, want: null },
+        { name: 'cheaper than everything (not yet in the reference)', ref: rows([10, 20, 30, 40, 50]), listing: { id: 99, price: 5 }, want: 100 },
+        { name: 'other currencies are not comparables', ref: rows([10, 20, 30, 40, 50]), listing: { id: 99, price: 5, currency: 'EUR' }, want: null },
+    ];
+    for (const c of cases) {
+        await t.test(c.name, () => {
+            assert.equal(scoreListing(buildReference(c.ref), { currency: 'USD', condition: 'used', ...c.listing }), c.want);
+        });
+    }
+});
+
+test('a thin condition group falls back to the whole currency', () => {
+    const ref = buildReference([
+        ...rows([10, 20, 30, 40, 50]),
+        { id: 50, price: 1000, currency: 'USD', condition: 'new', listing_status: 'active' },
+    ]);
+    // Only one "new" comparable: scored against all six USD prices instead
+    assert.equal(scoreListing(ref, { id: 99, price: 35, currency: 'USD', condition: 'new' }), 50);
+});
+
+test('sold comps count for half the score once there are enough', () => {
+    const ref = buildReference([
+        ...rows([10, 20, 30, 40, 50]),
+        ...rows([100, 110, 120], { listing_status: 'sold' }).map((r) => ({ ...r, id: r.id + 100 })),
+    ]);
+    // Cheaper than 3/5 asking prices (0.6) and every sold price (1.0)
+    assert.equal(scoreListing(ref, { id: 99, price: 25, currency: 'USD', condition: 'used' }), 80);
+});
+
+test('scoreResults writes NULL for listings it cannot score', async () => {
+    const calls = [];
+    const pool = {
+        async query(sql, params) {
+            calls.push({ sql, params });
+            if (/LIMIT \$2/.test(sql)) return { rows: rows([10, 20, 30, 40, 50, 60]) };
+            if (/external_id = ANY/.test(sql)) {
+                return { rows: [{ id: 1, price: 10, currency: 'USD', condition: 'used' }, { id: 7, price: null, currency: 'USD' }] };
+            }
+            return { rowCount: 2 };
+        },
+    };
+    assert.equal(await scoreResults({ pool, searchId: 3, marketplace: 'ebay', externals: ['a', 'b'] }), 2);
+
+    // Scores come from the total price, falling back to the item price
+    assert.match(calls[0].sql, /COALESCE\(total_price, price_num\) AS price/);
+    assert.deepEqual(calls[2].params, [[1, 7], [100, null]]);
+});
+
+// --------------------
+// min_deal_score gate in dispatch
+// --------------------
+
+// In-memory alert_events / results / alert_settings answering the statements dispatch issues
+function fakeAlertsPool({ alerts, results, minDealScore }) {
+    const byId = new Map(alerts.map((a) => [a.id, a]));
+    const resultOf = (a) => results.find((r) => r.id === a.result_id);
+
+    const client = {
+        async query(sql, params = []) {
+            if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) return { rows: [] };
+            if (/error_message = 'below deal score threshold'/.test(sql)) {
+                // Mirrors the WHERE clause: pending new_listing alerts on scored results under a positive threshold
+                let n = 0;
+                for (const a of alerts) {
+                    const score = resultOf(a)?.deal_score;
+                    if (a.status === 'pending' && a.kind === 'new_listing' && minDealScore > 0
+                        && score !== null && score !== undefined && score < minDealScore) {
+                        a.status = 'dismissed';
+                        n += 1;
+                    }
+                }
+                return { rows: [], rowCount: n };
+            }
+            if (/COUNT\(\*\)::int AS pending/.test(sql)) {
+                return { rows: [{ pending: alerts.filter((a) => a.status === 'pending').length }] };
+            }
+            if (/FOR UPDATE SKIP LOCKED/.test(sql)) {
+                return { rows: alerts.filter((a) => a.status === 'pending').slice(0, params[1]).map((a) => ({ id: a.id })) };
+            }
+            if (/SET status = 'sending'/.test(sql)) {
+                for (const id of params[0]) byId.get(id).status = 'sending';
+                return { rows: [] };
+            }
+            if (/LEFT JOIN results r ON r.id = ae.result_id/.test(sql)) {
+                return {
+                    rows: params[0].map((id) => {
+                        const a = byId.get(id);
+                        return { alert_id: a.id, search_id: 1, result_id: a.result_id, kind: a.kind, ...resultOf(a) };
+                    }),
+                };
+            }
+            if (/SET status = 'sent'/.test(sql)) {
+                for (const id of params[0]) byId.get(id).status = 'sent';
+                return { rows: [] };
+            }
+            // Stuck-row requeue and hidden-result dismissal: nothing to do in these fixtures
+            return { rows: [], rowCount: 0 };
+        },
+        release() {},
+    };
+    return { connect: async () => client };
+}
+
+test('alerts below min_deal_score are dismissed, not sent', async () => {
+    sentEmails.length = 0;
+    const alerts = [
+        { id: 1, result_id: 11, kind: 'new_listing', status: 'pending' },
+        { id: 2, result_id: 12, kind: 'new_listing', status: 'pending' },
+        { id: 3, result_id: 13, kind: 'new_listing', status: 'pending' },
+        { id: 4, result_id: 14, kind: 'price_drop', status: 'pending' },
+    ];
+    const results = [
+        { id: 11, title: 'Great deal', deal_score: 90, listing_url: 'https://example.com/11' },
+        { id: 12, title: 'Meh deal', deal_score: 20, listing_url: 'https://example.com/12' },
+        { id: 13, title: 'Unscored', deal_score: null, listing_url: 'https://example.com/13' },
+        { id: 14, title: 'Dropped price', deal_score: 10, listing_url: 'https://example.com/14' },
+    ];
+    const pool = fakeAlertsPool({ alerts, results, minDealScore: 60 });
+
+    const out = await dispatchPendingAlertsForSearch({ pool, searchId: 1, toEmail: 'a@example.com', limit: 10, ignoreCooldown: true });
+
+    assert.equal(out.sent, 3);
+    assert.deepEqual(alerts.map((a) => a.status), ['sent', 'dismissed', 'sent', 'sent']);
+    assert.equal(sentEmails.length, 1);
+    assert.ok(!sentEmails[0].text.includes('Meh deal'));
+    assert.ok(sentEmails[0].text.includes('Great deal'));
+});
+
+test('a zero threshold dismisses nothing', async () => {
+    sentEmails.length = 0;
+    const alerts = [{ id: 1, result_id: 11, kind: 'new_listing', status: 'pending' }];
+    const results = [{ id: 11, title: 'Any deal', deal_score: 0, listing_url: 'https://example.com/11' }];
+
+    const out = await dispatchPendingAlertsForSearch({
+        pool: fakeAlertsPool({ alerts, results, minDealScore: 0 }),
+        searchId: 1,
+        toEmail: 'a@example.com',
+        limit: 10,
+        ignoreCooldown: true,
+    });
+    assert.equal(out.sent, 1);
+    assert.equal(alerts[0].status, 'sent');
+});
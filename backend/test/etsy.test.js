@@ -0,0 +1,81 @@
+// Etsy adapter against a stubbed Open API
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { searchEtsy } = require('../services/marketplaces/etsy');
+
+const listing = (id, title) => ({
+    listing_id: id,
+    title,
+    url: `https://www.etsy.com/listing/${id}`,
+    price: { amount: 2000, divisor: 100, currency_code: 'USD' },
+    when_made: 'made_to_order',
+});
+
+// Keyword → listings; records each listings request
+function stubEtsy(catalog) {
+    const requested = [];
+    const original = global.fetch;
+    global.fetch = async (url) => {
+        const u = new URL(url);
+        if (u.pathname.endsWith('/listings/batch')) {
+            return new Response(JSON.stringify({ results: [] }), { status: 200 });
+        }
+        const keywords = u.searchParams.get('keywords');
+        requested.push(keywords);
+        const results = catalog[keywords] || [];
+        return new Response(JSON.stringify({ count: results.length, results }), { status: 200 });
+    };
+    return { requested, restore: () => { global.fetch = original; } };
+}
+
+test('OR alternatives are searched separately and merged', async () => {
+    process.env.ETSY_API_KEY = 'test-key';
+    const stub = stubEtsy({
+        'mug blue': [listing(1, 'Blue mug'), listing(3, 'Blue and green mug')],
+        'mug green': [listing(2, 'Green mug'), listing(3, 'Blue and green mug')],
+    });
+    const coverage = { complete: false };
+    try {
+        const rows = await searchEtsy({ search_item: 'mug (blue OR green)' }, { maxPages: 1, coverage });
+        assert.deepEqual(stub.requested, ['mug blue', 'mug green']);
+        assert.deepEqual(rows.map((r) => r.external_id), ['1', '3', '2']);
+        assert.equal(coverage.complete, true);
+    } finally {
+        stub.restore();
+        delete process.env.ETSY_API_KEY;
+    }
+});
+
+test('a capped set of alternatives never claims full coverage', async () => {
+    process.env.ETSY_API_KEY = 'test-key';
+    const stub = stubEtsy({});
+    const coverage = { complete: false };
+    try {
+        await searchEtsy({ search_item: '(a OR b OR c) (d OR e)' }, { maxPages: 1, coverage });
+        assert.equal(stub.requested.length, 4);
+        assert.equal(coverage.complete, false);
+    } finally {
+        stub.restore();
+        delete process.env.ETSY_API_KEY;
+    }
+});
+
+test('only max_price is pushed down to Etsy (min_price bounds the total)', async () => {
+    process.env.ETSY_API_KEY = 'test-key';
+    const urls = [];
+    const original = global.fetch;
+    global.fetch = async (url) => {
+        urls.push(new URL(url));
+        return new Response(JSON.stringify({ count: 0, results: [] }), { status: 200 });
+    };
+    try {
+        await searchEtsy({ search_item: 'mug', min_price: 10, max_price: 50 }, { maxPages: 1 });
+        const listings = urls.find((u) => u.searchParams.has('keywords'));
+        assert.equal(listings.searchParams.get('max_price'), '50');
+        assert.equal(listings.searchParams.has('min_price'), false);
+    } finally {
+        global.fetch = original;
+        delete process.env.ETSY_API_KEY;
+    }
+});
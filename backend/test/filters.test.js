@@ -0,0 +1,42 @@
+// Saved-search price bounds: the same total (item + shipping) on both ends, provider and post-fetch
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { searchConstraints, listingTotal, withinPriceRange } = require('../services/marketplaces/filters');
+const { buildBrowseParams } = require('../services/marketplaces/ebay');
+
+test('listingTotal adds known shipping to the item price', () => {
+    assert.equal(listingTotal({ price: 9.5, shipping_cost: 1 }), 10.5);
+    assert.equal(listingTotal({ price: 9.5, shipping_cost: null }), 9.5);
+    assert.equal(listingTotal({ price: null, shipping_cost: 5 }), null);
+});
+
+test('an item just under min_price whose shipping takes the total over it is kept', () => {
+    const c = searchConstraints({ min_price: '10', max_price: '50' });
+    assert.equal(withinPriceRange({ price: 9.5, shipping_cost: 1 }, c), true);
+    assert.equal(withinPriceRange({ price: 9.5, shipping_cost: null }, c), false);
+});
+
+test('both bounds apply to the total', async (t) => {
+    const c = searchConstraints({ min_price: 10, max_price: 50 });
+    const cases = [
+        [{ price: 10 }, true],
+        [{ price: 50 }, true],
+        [{ price: 45, shipping_cost: 5 }, true],
+        [{ price: 45, shipping_cost: 6 }, false],
+        [{ price: 9.99 }, false],
+        [{ price: 51 }, false],
+        [{ price: null }, false],
+    ];
+    for (const [listing, want] of cases) {
+        await t.test(JSON.stringify(listing), () => assert.equal(withinPriceRange(listing, c), want));
+    }
+
+    // Without a floor, unpriced listings are kept (they can't break a ceiling)
+    assert.equal(withinPriceRange({ price: null }, searchConstraints({ max_price: 50 })), true);
+});
+
+test('eBay gets only the max pushed down, so it never drops items the total would keep', () => {
+    assert.match(buildBrowseParams({ min_price: 10, max_price: 50 }).filter, /price:\[\.\.50\],priceCurrency:USD/);
+    assert.equal(buildBrowseParams({ min_price: 10 }).filter, null);
+});
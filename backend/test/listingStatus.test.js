@@ -0,0 +1,120 @@
+// Listing lifecycle reconciliation after a refresh (fake pool, stubbed provider checks)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getAdapter } = require('../services/marketplaces');
+const { reconcileListingStatus } = require('../services/listingStatus');
+
+// Answers by SQL shape; records every statement
+function fakePool({ missed = [], unseen = [] } = {}) {
+    const calls = [];
+    return {
+        calls,
+        async query(sql, params) {
+            calls.push({ sql, params });
+            if (/SET missed_refreshes = missed_refreshes \+ 1/.test(sql)) return { rows: missed, rowCount: missed.length };
+            if (/ORDER BY GREATEST\(last_seen_at, status_checked_at\)/.test(sql)) {
+                return { rows: unseen.slice(0, params[3]), rowCount: 0 };
+            }
+            if (/SET listing_status = \$2/.test(sql)) return { rows: [], rowCount: params[0].length };
+            return { rows: [], rowCount: 0 };
+        },
+    };
+}
+
+function stubEbayStatus(answers) {
+    const ebay = getAdapter('ebay');
+    const original = ebay.checkListingStatus;
+    const asked = [];
+    ebay.checkListingStatus = async (id) => {
+        asked.push(id);
+        const a = answers[id];
+        if (a instanceof Error) throw a;
+        return a ?? null;
+    };
+    return { asked, restore: () => { ebay.checkListingStatus = original; } };
+}
+
+const since = new Date('2024-03-02T10:00:00Z');
+const partialRun = { ebay: { ran: true, ok: true, complete: false } };
+
+test('a partial run confirms the longest-unseen listings with the provider', async () => {
+    const pool = fakePool({
+        unseen: [
+            { id: 1, external_id: 'v1|111|0' },
+            { id: 2, external_id: 'v1|222|0' },
+            { id: 3, external_id: 'v1|333|0' },
+        ],
+    });
+    const stub = stubEbayStatus({ 'v1|111|0': 'ended', 'v1|222|0': 'sold', 'v1|333|0': 'active' });
+    try {
+        const out = await reconcileListingStatus({ pool, searchId: 7, marketplaces: partialRun, since });
+        assert.deepEqual(out.marketplaces.ebay, {
+            partial: true, checked: 3, ended: 1, sold: 1, confirmed_active: 1, check_errors: 0,
+        });
+    } finally {
+        stub.restore();
+    }
+
+    // Partial runs never count misses
+    assert.ok(!pool.calls.some((c) => /missed_refreshes \+ 1/.test(c.sql)));
+    const stamp = pool.calls.find((c) => /SET status_checked_at = NOW\(\)/.test(c.sql));
+    assert.deepEqual(stamp.params, [[1, 2, 3]]);
+});
+
+test('the sweep stays within RESULTS_STATUS_SWEEP_LIMIT and survives check errors', async () => {
+    const pool = fakePool({
+        unseen: [{ id: 1, external_id: 'a' }, { id: 2, external_id: 'b' }, { id: 3, external_id: 'c' }],
+    });
+    const stub = stubEbayStatus({ a: new Error('HTTP 500'), b: 'active' });
+    const warn = console.warn;
+    console.warn = () => {};
+    process.env.RESULTS_STATUS_SWEEP_LIMIT = '2';
+    try {
+        const out = await reconcileListingStatus({ pool, searchId: 7, marketplaces: partialRun, since });
+        assert.deepEqual(stub.asked, ['a', 'b']);
+        assert.equal(out.marketplaces.ebay.check_errors, 1);
+        assert.equal(out.marketplaces.ebay.ended, 0);
+    } finally {
+        delete process.env.RESULTS_STATUS_SWEEP_LIMIT;
+        console.warn = warn;
+        stub.restore();
+    }
+});
+
+test('marketplaces without a status check are left alone on partial runs', async () => {
+    const pool = fakePool({ unseen: [{ id: 1, external_id: '42' }] });
+    const out = await reconcileListingStatus({
+        pool,
+        searchId: 7,
+        marketplaces: { etsy: { ran: true, ok: true, complete: false } },
+        since,
+    });
+    assert.equal(out.marketplaces.etsy.checked, 0);
+    assert.ok(!pool.calls.some((c) => /status_checked_at|missed_refreshes/.test(c.sql)));
+});
+
+test('a complete run counts misses and ends listings over the threshold', async () => {
+    const pool = fakePool({
+        missed: [{ id: 9, external_id: '900', missed_refreshes: 3 }, { id: 10, external_id: '901', missed_refreshes: 1 }],
+    });
+    const out = await reconcileListingStatus({
+        pool,
+        searchId: 7,
+        marketplaces: { craigslist: { ran: true, ok: true, complete: true } },
+        since,
+    });
+    assert.equal(out.marketplaces.craigslist.missed, 2);
+    assert.equal(out.marketplaces.craigslist.ended, 1);
+});
+
+test('failed runs are not reconciled at all', async () => {
+    const pool = fakePool();
+    const out = await reconcileListingStatus({
+        pool,
+        searchId: 7,
+        marketplaces: { ebay: { ran: true, ok: false, complete: false } },
+        since,
+    });
+    assert.deepEqual(out.marketplaces, {});
+});
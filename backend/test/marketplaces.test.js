@@ -0,0 +1,94 @@
+// Marketplace registry: MARKETPLACE_<KEY> toggles, required config and breaker bookkeeping
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The shared breaker lives in Postgres; record its calls instead
+const breakerCalls = [];
+require.cache[require.resolve('../services/circuitBreaker')] = {
+    exports: {
+        allowRequest: async (key) => {
+            breakerCalls.push(['allow', key]);
+            return { allowed: true, state: 'closed', probe: false, open_until: null };
+        },
+        recordSuccess: async (key) => breakerCalls.push(['success', key]),
+        recordFailure: async (key) => breakerCalls.push(['failure', key]),
+    },
+};
+
+const { getAdapter, adapterStatus, runMarketplaceSearches } = require('../services/marketplaces');
+
+function withEnv(vars, fn) {
+    const saved = {};
+    for (const k of Object.keys(vars)) {
+        saved[k] = process.env[k];
+        if (vars[k] === undefined) delete process.env[k];
+        else process.env[k] = vars[k];
+    }
+    try {
+        return fn();
+    } finally {
+        for (const k of Object.keys(saved)) {
+            if (saved[k] === undefined) delete process.env[k];
+            else process.env[k] = saved[k];
+        }
+    }
+}
+
+test('implemented marketplaces are enabled when the toggle is unset', () => {
+    for (const key of ['ebay', 'etsy', 'craigslist']) {
+        const st = withEnv({ [`MARKETPLACE_${key.toUpperCase()}`]: undefined }, () => adapterStatus(getAdapter(key)));
+        assert.equal(st.enabled, true, key);
+    }
+});
+
+test('toggles accept the usual true/false spellings', () => {
+    const etsy = getAdapter('etsy');
+    for (const v of ['false', 'FALSE', '0', 'no', 'off']) {
+        assert.equal(withEnv({ MARKETPLACE_ETSY: v }, () => adapterStatus(etsy).enabled), false, v);
+    }
+    for (const v of ['true', 'True', '1', 'yes', 'on']) {
+        assert.equal(withEnv({ MARKETPLACE_ETSY: v }, () => adapterStatus(etsy).enabled), true, v);
+    }
+    // Unrecognised values keep the adapter default rather than silently turning it off
+    assert.equal(withEnv({ MARKETPLACE_ETSY: 'maybe' }, () => adapterStatus(etsy).enabled), true);
+});
+
+test('an enabled marketplace is unavailable until its config is set', () => {
+    const etsy = getAdapter('etsy');
+    const off = withEnv({ MARKETPLACE_ETSY: undefined, ETSY_API_KEY: undefined }, () => adapterStatus(etsy));
+    assert.equal(off.available, false);
+    assert.deepEqual(off.missing_config, ['ETSY_API_KEY']);
+
+    const on = withEnv({ MARKETPLACE_ETSY: undefined, ETSY_API_KEY: 'key' }, () => adapterStatus(etsy));
+    assert.equal(on.available, true);
+});
+
+test('a search without Craigslist regions is skipped without touching the breaker', async () => {
+    breakerCalls.length = 0;
+    const out = await withEnv({ CRAIGSLIST_REGIONS: undefined }, () => runMarketplaceSearches({
+        search_item: 'rolltop desk',
+        marketplaces: { craigslist: true },
+        craigslist_regions: null,
+    }));
+
+    assert.equal(out.marketplaces.craigslist.ran, false);
+    assert.equal(out.marketplaces.craigslist.skipped, true);
+    assert.equal(out.marketplaces.craigslist.note, 'missing config: craigslist_regions');
+    assert.deepEqual(breakerCalls, []);
+});
+
+test('a run cancelled by the caller is not recorded on the breaker', async () => {
+    breakerCalls.length = 0;
+    const controller = new AbortController();
+    controller.abort(new Error('refresh cancelled'));
+
+    const out = await runMarketplaceSearches({
+        search_item: 'rolltop desk',
+        marketplaces: { craigslist: true },
+        craigslist_regions: ['sfbay'],
+    }, { signal: controller.signal });
+
+    assert.equal(out.marketplaces.craigslist.aborted, true);
+    assert.equal(out.marketplaces.craigslist.timed_out, false);
+    assert.deepEqual(breakerCalls, [['allow', 'craigslist']]);
+});
@@ -0,0 +1,131 @@
+// Price distribution stats: percentiles, outlier trimming, currency grouping, weekly medians
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { percentile, summarize, pricingBreakdown } = require('../services/pricingStats');
+
+const DAY = 24 * 3600 * 1000;
+
+test('percentile interpolates between closest ranks', () => {
+    const cases = [
+        { sorted: [], p: 0.5, want: null },
+        { sorted: [7], p: 0.9, want: 7 },
+        { sorted: [1, 2, 3, 4], p: 0.5, want: 2.5 },
+        { sorted: [1, 2, 3, 4], p: 0.25, want: 1.75 },
+        { sorted: [10, 20, 30], p: 0, want: 10 },
+        { sorted: [10, 20, 30], p: 1, want: 30 },
+    ];
+    for (const c of cases) assert.equal(percentile(c.sorted, c.p), c.want, JSON.stringify(c));
+});
+
+test('summarize', async (t) => {
+    const cases = [
+        {
+            name: 'no prices',
+            prices: [],
+            want: { count: 0, outliers_excluded: 0, min: null, p10: null, p25: null, median: null, p75: null, p90: null, max: null, mean: null },
+        },
+        {
+            name: 'single value',
+            prices: [42],
+            want: { count: 1, outliers_excluded: 0, min: 42, p10: 42, p25: 42, median: 42, p75: 42, p90: 42, max: 42, mean: 42 },
+        },
+        {
+            name: 'even-length median averages the middle pair',
+            prices: [4, 1, 3, 2],
+            want: { count: 4, outliers_excluded: 0, min: 1, p10: 1.3, p25: 1.75, median: 2.5, p75: 3.25, p90: 3.7, max: 4, mean: 2.5 },
+        },
+        {
+            name: 'fewer than 4 points are never trimmed',
+            prices: [1, 2, 1000],
+            want: { count: 3, outliers_excluded: 0, min: 1, max: 1000, median: 2 },
+        },
+        {
+            name: 'small groups (under 8 points) keep their outliers',
+            prices: [10, 11, 12, 13, 14, 15, 1000],
+            want: { count: 7, outliers_excluded: 0, max: 1000 },
+        },
+        {
+            name: 'outliers outside the Tukey fences are trimmed from 8 points up',
+            prices: [10, 11, 12, 13, 14, 15, 16, 1000],
+            want: { count: 7, outliers_excluded: 1, min: 10, max: 16, median: 13 },
+        },
+        {
+            name: 'trim can be turned off',
+            prices: [10, 11, 12, 13, 14, 15, 16, 1000],
+            opts: { trim: false },
+            want: { count: 8, outliers_excluded: 0, max: 1000 },
+        },
+        {
+            name: 'non-numeric entries are ignored',
+            prices: [NaN, 5, null, undefined, Infinity, 15],
+            want: { count: 2, min: 5, max: 15, median: 10 },
+        },
+        {
+            name: 'results are rounded to cents',
+            prices: [1.005, 2.333, 3.667],
+            want: { mean: 2.34, median: 2.33 },
+        },
+    ];
+
+    for (const c of cases) {
+        await t.test(c.name, () => {
+            const got = summarize(c.prices, c.opts);
+            for (const [k, v] of Object.entries(c.want)) assert.equal(got[k], v, k);
+        });
+    }
+});
+
+test('pricingBreakdown never mixes currencies', () => {
+    const rows = [
+        { price: 10, currency: 'USD', marketplace: 'ebay', condition: 'used' },
+        { price: 30, currency: 'usd', marketplace: 'etsy', condition: 'new' },
+        { price: 20, currency: null, marketplace: 'ebay', condition: null },
+        { price: 500, currency: 'EUR', marketplace: 'ebay', condition: 'used' },
+        { price: 700, currency: 'EUR', marketplace: 'ebay', condition: 'used' },
+    ];
+    const out = pricingBreakdown(rows, { trim: false });
+
+    // Most common currency first; missing currency counts as USD, codes are upper-cased
+    assert.deepEqual(out.map((g) => g.currency), ['USD', 'EUR']);
+    assert.deepEqual([out[0].overall.count, out[0].overall.median], [3, 20]);
+    assert.deepEqual([out[1].overall.count, out[1].overall.median], [2, 600]);
+
+    assert.deepEqual(out[0].by_marketplace.map((m) => [m.marketplace, m.count]), [['ebay', 2], ['etsy', 1]]);
+    assert.deepEqual(out[0].by_condition.map((m) => [m.condition, m.count]), [['new', 1], ['unknown', 1], ['used', 1]]);
+});
+
+test('pricingBreakdown drops null, zero and unparseable prices', () => {
+    const rows = [
+        { price: null, currency: 'USD' },
+        { price: '', currency: 'USD' },
+        { price: 'n/a', currency: 'USD' },
+        { price: 0, currency: 'USD' },
+        { price: -5, currency: 'USD' },
+        { price: '12.50', currency: 'USD' },
+    ];
+    const [usd] = pricingBreakdown(rows);
+    assert.equal(usd.overall.count, 1);
+    assert.equal(usd.overall.median, 12.5);
+
+    assert.deepEqual(pricingBreakdown([{ price: null, currency: 'USD' }]), []);
+});
+
+test('weekly medians group by week of first sighting within the window', () => {
+    const now = Date.now();
+    const rows = [
+        { price: 10, currency: 'USD', found_at: new Date(now) },
+        { price: 30, currency: 'USD', found_at: new Date(now) },
+        { price: 50, currency: 'USD', found_at: new Date(now - 7 * DAY) },
+        { price: 99, currency: 'USD', found_at: new Date(now - 60 * DAY) },
+        { price: 70, currency: 'USD', found_at: null },
+    ];
+    const [usd] = pricingBreakdown(rows, { weeks: 2, trim: false });
+
+    assert.equal(usd.weekly.length, 2);
+    assert.ok(usd.weekly[0].week_start < usd.weekly[1].week_start, 'oldest week first');
+    assert.deepEqual(usd.weekly.map((w) => [w.count, w.median]), [[1, 50], [2, 20]]);
+    for (const w of usd.weekly) {
+        assert.equal(new Date(`${w.week_start}T00:00:00Z`).getUTCDay(), 1, 'weeks start on Monday');
+    }
+});
@@ -0,0 +1,125 @@
+// Saved-search query language: parsing, title enforcement and provider compilation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseQuery,
+    matchesQuery,
+    toEbayQuery,
+    toCraigslistQuery,
+    toKeywordQuery,
+} = require('../services/marketplaces/query');
+
+const w = (text, phrase = false) => ({ text, phrase });
+
+function matches(query, title) {
+    return matchesQuery(title, parseQuery(query));
+}
+
+test('plain words are provider terms, not enforced locally', () => {
+    assert.deepEqual(parseQuery('canon 50mm'), { terms: [w('canon'), w('50mm')], required: [], anyOf: [], excluded: [] });
+    assert.equal(matches('canon 50mm', 'Nikon body'), true);
+});
+
+test('quoted phrase is required as an exact phrase', () => {
+    const q = parseQuery('lens "image stabilizer"');
+    assert.deepEqual(q.required, [w('image stabilizer', true)]);
+    assert.equal(matches('lens "image stabilizer"', 'Canon lens with Image Stabilizer'), true);
+    assert.equal(matches('lens "image stabilizer"', 'Canon stabilizer image lens'), false);
+});
+
+test('OR group needs at least one alternative', () => {
+    for (const query of ['lens OR glass', 'lens | glass', '(lens OR glass)']) {
+        assert.deepEqual(parseQuery(query).anyOf, [[w('lens'), w('glass')]], query);
+        assert.equal(matches(query, 'Vintage glass'), true, query);
+        assert.equal(matches(query, 'Vintage body'), false, query);
+    }
+});
+
+test('OR binds tighter than AND', () => {
+    const q = parseQuery('a OR b c');
+    assert.deepEqual(q.anyOf, [[w('a'), w('b')]]);
+    assert.deepEqual(q.terms, [w('c')]);
+});
+
+test('parenthesised words without OR mean AND', () => {
+    assert.deepEqual(parseQuery('(leica m3)'), parseQuery('leica m3'));
+    assert.deepEqual(parseQuery('+(leica m3)').required, [w('leica'), w('m3')]);
+    assert.equal(matches('+(leica m3)', 'Leica M3 body'), true);
+    assert.equal(matches('+(leica m3)', 'Leica M6 body'), false);
+});
+
+test('an AND group can be one side of an OR', () => {
+    const query = '(leica m3) OR contax';
+    assert.deepEqual(parseQuery(query).anyOf, [[{ all: [w('leica'), w('m3')] }, w('contax')]]);
+    assert.equal(matches(query, 'Leica M3 body'), true);
+    assert.equal(matches(query, 'Contax G2'), true);
+    assert.equal(matches(query, 'Leica M6 body'), false);
+});
+
+test('exclusions reject titles containing the word or phrase', () => {
+    const query = 'camera -replica -"for parts"';
+    assert.deepEqual(parseQuery(query).excluded, [w('replica'), w('for parts', true)]);
+    assert.equal(matches(query, 'Camera, for parts'), false);
+    assert.equal(matches(query, 'Camera replica'), false);
+    assert.equal(matches(query, 'Camera parts kit'), true);
+});
+
+test('-(a OR b) excludes each, -(a b) excludes only both together', () => {
+    assert.deepEqual(parseQuery('lens -(box OR case)').excluded, [w('box'), w('case')]);
+    assert.equal(matches('lens -(box OR case)', 'Lens with case'), false);
+
+    assert.deepEqual(parseQuery('lens -(box only)').excluded, [{ all: [w('box'), w('only')] }]);
+    assert.equal(matches('lens -(box only)', 'Lens box only'), false);
+    assert.equal(matches('lens -(box only)', 'Lens with box'), true);
+});
+
+test('an OR next to an exclusion joins the positive terms around it', () => {
+    const q = parseQuery('a -b OR c');
+    assert.deepEqual(q.anyOf, [[w('a'), w('c')]]);
+    assert.deepEqual(q.excluded, [w('b')]);
+    assert.equal(matches('a -b OR c', 'c only'), true);
+    assert.equal(matches('a -b OR c', 'a and b'), false);
+});
+
+test('phrases combine with OR and exclusions', () => {
+    const query = '"for parts" OR broken -"as is"';
+    const q = parseQuery(query);
+    assert.deepEqual(q.anyOf, [[w('for parts', true), w('broken')]]);
+    assert.deepEqual(q.excluded, [w('as is', true)]);
+    assert.equal(matches(query, 'Broken flash'), true);
+    assert.equal(matches(query, 'Broken flash, sold as is'), false);
+    assert.equal(matches(query, 'Parts for flash'), false);
+});
+
+test('dangling OR and stray parentheses are ignored', () => {
+    assert.deepEqual(parseQuery('a OR'), parseQuery('a'));
+    assert.deepEqual(parseQuery('OR a'), parseQuery('a'));
+    assert.deepEqual(parseQuery('a) (b'), parseQuery('a b'));
+});
+
+test('provider compilers widen what they cannot express', () => {
+    const q = parseQuery('(leica m3) OR contax -(box only) -replica');
+    assert.equal(toEbayQuery(q), '(leica,m3,contax) -replica');
+    assert.equal(toCraigslistQuery(q), '(leica|m3|contax) -replica');
+    assert.equal(toKeywordQuery(q), 'leica m3 contax');
+});
+
+test('keyword-only providers get one query per OR alternative', () => {
+    const { toKeywordQueries } = require('../services/marketplaces/query');
+
+    assert.deepEqual(toKeywordQueries(parseQuery('lens')), { queries: ['lens'], truncated: false });
+    assert.deepEqual(toKeywordQueries(parseQuery('a OR b')), { queries: ['a', 'b'], truncated: false });
+    assert.deepEqual(
+        toKeywordQueries(parseQuery('lens (canon OR nikon) -broken')),
+        { queries: ['lens canon', 'lens nikon'], truncated: false }
+    );
+    assert.deepEqual(
+        toKeywordQueries(parseQuery('(leica m3) OR "contax g2"')),
+        { queries: ['leica m3', '"contax g2"'], truncated: false }
+    );
+    assert.deepEqual(
+        toKeywordQueries(parseQuery('(a OR b) (c OR d OR e)'), { max: 4 }),
+        { queries: ['a c', 'a d', 'a e', 'b c'], truncated: true }
+    );
+});
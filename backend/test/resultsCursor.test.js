@@ -0,0 +1,162 @@
+// Keyset pagination over nullable, mixed-direction sort keys
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    RESULT_SORTS,
+    encodeResultsCursor,
+    decodeResultsCursor,
+    resultsAfterCursor,
+} = require('../services/resultsCursor');
+
+const b64 = (obj) => Buffer.from(JSON.stringify(obj), 'utf8').toString('base64url');
+
+// SQL three-valued comparison on numeric keys (NULL compares to nothing)
+function sqlCmp(op, a, b) {
+    if (a === null || b === null) return null;
+    if (op === '>') return a > b;
+    if (op === '<') return a < b;
+    return a === b;
+}
+const sqlOr = (...xs) => (xs.some((x) => x === true) ? true : xs.some((x) => x === null) ? null : false);
+const sqlAnd = (...xs) => (xs.some((x) => x === false) ? false : xs.some((x) => x === null) ? null : true);
+
+/**
+ * Evaluate the clause resultsAfterCursor generated against one row ({ id, key }).
+ * Only the two shapes it produces are understood; anything else fails the test.
+ */
+function evalAfter(clause, values, spec, row) {
+    const e = spec.expr.replace(/[()]/g, '\\$&');
+    const v = (n) => values[Number(n) - 1];
+    const num = (x) => (x === null ? null : Number(x));
+
+    let m = clause.match(new RegExp(`^\\(${e} IS NULL AND results\\.id ([<>]) \\$(\\d+)\\)$`));
+    if (m) return sqlAnd(row.key === null, sqlCmp(m[1], row.id, v(m[2])));
+
+    m = clause.match(new RegExp(
+        `^\\(${e} ([<>]) \\$(\\d+)::\\w+ OR \\(${e} = \\$(\\d+)::\\w+ AND results\\.id ([<>]) \\$(\\d+)\\) OR ${e} IS NULL\\)$`
+    ));
+    assert.ok(m, `unexpected cursor clause: ${clause}`);
+    const key = num(v(m[2]));
+    return sqlOr(
+        sqlCmp(m[1], row.key, key),
+        sqlAnd(sqlCmp('=', row.key, num(v(m[3]))), sqlCmp(m[4], row.id, v(m[5]))),
+        row.key === null
+    );
+}
+
+// ORDER BY key <dir> NULLS LAST, id <dir>
+function sortRows(rows, dir) {
+    const s = dir === 'ASC' ? 1 : -1;
+    return rows.slice().sort((a, b) => {
+        if (a.key === null || b.key === null) {
+            if (a.key === b.key) return s * (a.id - b.id);
+            return a.key === null ? 1 : -1;
+        }
+        return s * (a.key - b.key) || s * (a.id - b.id);
+    });
+}
+
+// Walk every page through an encoded cursor, as the API and the results page do
+function paginate(rows, sort, pageSize) {
+    const spec = RESULT_SORTS[sort];
+    const ordered = sortRows(rows, spec.dir);
+    const seen = [];
+    let cursor = null;
+
+    for (let guard = 0; guard < rows.length + 2; guard++) {
+        let candidates = ordered;
+        if (cursor) {
+            const decoded = decodeResultsCursor(cursor, sort);
+            assert.ok(decoded, 'cursor must decode');
+            const values = [];
+            const clause = resultsAfterCursor(spec, decoded, (x) => {
+                values.push(x);
+                return `$${values.length}`;
+            });
+            candidates = ordered.filter((r) => evalAfter(clause, values, spec, r) === true);
+        }
+
+        const page = candidates.slice(0, pageSize + 1);
+        const hasMore = page.length > pageSize;
+        const rowsOut = hasMore ? page.slice(0, pageSize) : page;
+        seen.push(...rowsOut);
+        if (!hasMore) return { ordered, seen };
+
+        const last = rowsOut[rowsOut.length - 1];
+        cursor = encodeResultsCursor(sort, { id: last.id, cursor_key: last.key === null ? null : String(last.key) });
+    }
+    assert.fail('pagination did not terminate');
+}
+
+const ROWS = [
+    { id: 1, key: 20 },
+    { id: 2, key: null },
+    { id: 3, key: 10 },
+    { id: 4, key: 20 },
+    { id: 5, key: 20 },
+    { id: 6, key: null },
+    { id: 7, key: 5.5 },
+    { id: 8, key: 20 },
+    { id: 9, key: null },
+    { id: 10, key: 10 },
+];
+
+test('cursor round trip keeps the sort key text and id', () => {
+    const c = encodeResultsCursor('total_high', { id: 42, cursor_key: '19.990000000000001' });
+    assert.deepEqual(decodeResultsCursor(c, 'total_high'), { key: '19.990000000000001', id: 42 });
+
+    const n = encodeResultsCursor('ending_soon', { id: 7, cursor_key: null });
+    assert.deepEqual(decodeResultsCursor(n, 'ending_soon'), { key: null, id: 7 });
+});
+
+test('tampered or foreign cursors are rejected', () => {
+    const good = encodeResultsCursor('price_low', { id: 3, cursor_key: '10' });
+    assert.equal(decodeResultsCursor(good, 'price_high'), null, 'cursor from another sort');
+    assert.equal(decodeResultsCursor('not-a-cursor', 'price_low'), null);
+    assert.equal(decodeResultsCursor(good.slice(0, -3), 'price_low'), null, 'truncated');
+    assert.equal(decodeResultsCursor(b64({ s: 'price_low', k: '10', i: '3' }), 'price_low'), null, 'string id');
+    assert.equal(decodeResultsCursor(b64({ s: 'price_low', k: '10', i: 3.5 }), 'price_low'), null, 'fractional id');
+    assert.equal(decodeResultsCursor(b64({ s: 'price_low', k: 10, i: 3 }), 'price_low'), null, 'numeric key');
+    assert.equal(decodeResultsCursor(b64({ s: 'price_low', k: { $gt: 1 }, i: 3 }), 'price_low'), null, 'object key');
+    assert.equal(decodeResultsCursor(b64(['price_low', '10', 3]), 'price_low'), null, 'array payload');
+});
+
+test('cursor values are bound as parameters, never inlined', () => {
+    const values = [];
+    const clause = resultsAfterCursor(RESULT_SORTS.total_high, { key: "1'; DROP TABLE results; --", id: 9 }, (v) => {
+        values.push(v);
+        return `$${values.length}`;
+    });
+    assert.ok(!clause.includes('DROP'));
+    assert.deepEqual(values, [9, "1'; DROP TABLE results; --"]);
+});
+
+test('a NULL-key cursor only continues within the NULL tail', () => {
+    const values = [];
+    const clause = resultsAfterCursor(RESULT_SORTS.best_deal, { key: null, id: 6 }, (v) => {
+        values.push(v);
+        return `$${values.length}`;
+    });
+    assert.equal(clause, '(deal_score IS NULL AND results.id < $1)');
+    assert.deepEqual(values, [6]);
+});
+
+for (const sort of ['price_low', 'price_high', 'total_low', 'total_high', 'best_deal']) {
+    for (const pageSize of [1, 2, 3, 4]) {
+        test(`${sort}: pages of ${pageSize} visit every row once, in order, NULLs last`, () => {
+            const { ordered, seen } = paginate(ROWS, sort, pageSize);
+            assert.deepEqual(seen.map((r) => r.id), ordered.map((r) => r.id));
+            assert.deepEqual(seen.slice(-3).map((r) => r.key), [null, null, null]);
+        });
+    }
+}
+
+test('ties on the sort key split across a page boundary by id', () => {
+    // Four rows share key 20: with pages of 2 the boundary falls inside the tie
+    const { seen } = paginate(ROWS, 'price_high', 2);
+    assert.deepEqual(seen.slice(0, 4).map((r) => r.id), [8, 5, 4, 1]);
+
+    const asc = paginate(ROWS, 'price_low', 2).seen;
+    assert.deepEqual(asc.slice(3, 7).map((r) => r.id), [1, 4, 5, 8]);
+});
@@ -38,8 +38,15 @@ const {
 } = require('../services/jobs');
 
 
+const { ensureSchema } = require('../services/schema');
 const { refreshSearchNow } = require('../services/refresh');
-const { dispatchAllEnabledEmailAlerts } = require('../services/dispatchAlerts');
+const { dispatchAllEnabledEmailAlerts, dispatchAllUserDigests } = require('../services/dispatchAlerts');
+const { createEndingSoonAlerts } = require('../services/alerts');
+const { renormalizeResults } = require('../services/renormalize');
+const { purgeExpiredRawPayloads } = require('../services/rawPayloads');
+
+const RAW_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastRawPurgeAt = 0;
 
 
 const WID = workerId();
@@ -149,8 +156,14 @@ async function processDispatchJobs() {
     }, hbIntervalMs);
 
     try {
-      const limitPerSearch = envInt('DISPATCH_LIMIT_PER_SEARCH', 25);
-      const result = await dispatchAllEnabledEmailAlerts({ pool, limitPerSearch });
+      // Queue auction reminders first so they ride along in this dispatch pass
+      const endingSoonQueued = await createEndingSoonAlerts({ pool });
+      if (endingSoonQueued) log('ending_soon.queued', { count: endingSoonQueued });
+
+      // Per-search limits and digest schedules come from alert_settings;
+      // searches of users on the per-user digest go out in that digest instead
+      const result = await dispatchAllEnabledEmailAlerts({ pool });
+      result.user_digests = await dispatchAllUserDigests({ pool });
 
       clearInterval(hbTimer);
 
@@ -177,6 +190,53 @@ async function processDispatchJobs() {
   }
 }
 
+async function processRenormalizeJobs() {
+  const leaseMinutes = 5;
+  const batchSize = 1;
+
+  const jobs = await claimJobs({ jobType: 'renormalize', batchSize, workerId: WID, leaseMinutes });
+
+  for (const job of jobs) {
+    if (shuttingDown) return;
+
+    log('job.start', { jobType: job.job_type, jobId: job.id, search_id: job.search_id });
+
+    // Long job: renew the lease between batches instead of on a timer
+    let hbOk = true;
+    const onBatch = async () => {
+      const ok = await heartbeatJob({ jobId: job.id, workerId: WID, leaseMinutes }).catch(() => false);
+      if (!ok) hbOk = false;
+    };
+
+    try {
+      const searchId = job.search_id == null ? null : Number(job.search_id);
+      const result = await renormalizeResults({ pool, searchId, onBatch });
+
+      if (!hbOk) {
+        log('job.lease_lost', { jobId: job.id });
+        continue;
+      }
+
+      const finalized = await finalizeJobSuccess({ jobId: job.id, workerId: WID });
+      log('job.ok', { jobId: job.id, finalized, result });
+    } catch (e) {
+      const msg = String(e?.stack || e?.message || e).slice(0, 2000);
+      log('job.fail', { jobId: job.id, error: msg });
+
+      await failJobAndRequeue({ job, workerId: WID, errorMessage: msg, retryCap: 3 });
+    }
+  }
+}
+
+// Raw payloads past RAW_PAYLOAD_RETENTION_DAYS (at most hourly)
+async function purgeRawPayloadsIfDue() {
+  if (Date.now() - lastRawPurgeAt < RAW_PURGE_INTERVAL_MS) return;
+  lastRawPurgeAt = Date.now();
+
+  const purged = await purgeExpiredRawPayloads(pool);
+  if (purged) log('raw_payloads.purged', { count: purged });
+}
+
 
 async function main() {
   log('worker.start');
@@ -189,6 +249,12 @@ async function main() {
   }
   log('worker.leader_acquired');
 
+  try {
+    await ensureSchema();
+  } catch (e) {
+    log('worker.schema_error', { error: String(e?.message || e) });
+  }
+
   const shutdown = async (sig) => {
     if (shuttingDown) return;
     shuttingDown = true;
@@ -217,6 +283,8 @@ async function main() {
       // work the queue
       await processRefreshJobs();
       await processDispatchJobs();
+      await processRenormalizeJobs();
+      await purgeRawPayloadsIfDue();
 
 
       // clean up expired leases
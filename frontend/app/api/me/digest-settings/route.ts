@@ -0,0 +1,10 @@
+import { NextRequest } from "next/server";
+import { proxy } from "../../_proxy/proxy";
+
+export async function GET(request: NextRequest) {
+  return proxy(request, "/me/digest-settings");
+}
+
+export async function POST(request: NextRequest) {
+  return proxy(request, "/me/digest-settings", { method: "POST" });
+}
@@ -0,0 +1,5 @@
+import { proxy } from "../../_proxy/proxy";
+
+export async function GET(request: Request) {
+  return proxy(request, "/api/results/search");
+}
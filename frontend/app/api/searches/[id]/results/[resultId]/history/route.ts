@@ -0,0 +1,10 @@
+import { NextRequest } from "next/server";
+import { proxy } from "../../../../../_proxy/proxy";
+
+export async function GET(
+  request: NextRequest,
+  context: { params: Promise<{ id: string; resultId: string }> }
+) {
+  const { id, resultId } = await context.params;
+  return proxy(request, `/api/searches/${id}/results/${resultId}/history`);
+}
@@ -0,0 +1,146 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { api, isAuthedClient, WEEKDAY_LABELS, type UserDigestSettings } from "../../lib/api";
+
+// Per-user digest: one email per day/week for all saved searches (GET/POST /api/me/digest-settings)
+export default function DigestSettingsCard() {
+  const [settings, setSettings] = useState<UserDigestSettings | null>(null);
+  const [accountEmail, setAccountEmail] = useState("");
+  const [email, setEmail] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState<{ kind: "ok" | "bad"; text: string } | null>(null);
+
+  useEffect(() => {
+    if (!isAuthedClient()) return;
+    let alive = true;
+    api
+      .getDigestSettings()
+      .then((r) => {
+        if (!alive || !r?.ok) return;
+        setSettings(r.settings);
+        setAccountEmail(r.account_email || "");
+        setEmail(r.settings.email || "");
+      })
+      .catch(() => null);
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  if (!settings) return null;
+
+  function patch(next: Partial<UserDigestSettings>) {
+    setSettings((cur) => (cur ? { ...cur, ...next } : cur));
+  }
+
+  async function onSave() {
+    if (!settings) return;
+    setBusy(true);
+    setMsg(null);
+    try {
+      const r = await api.saveDigestSettings({
+        enabled: settings.enabled,
+        mode: settings.mode,
+        digestHour: settings.digestHour,
+        digestWeekday: settings.digestWeekday,
+        timezone: settings.timezone.trim() || "UTC",
+        email: email.trim() || null,
+      });
+      setSettings(r.settings);
+      setEmail(r.settings.email || "");
+      setMsg({ kind: "ok", text: "Digest settings saved." });
+    } catch (e: any) {
+      setMsg({ kind: "bad", text: String(e?.message || e) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="card" style={{ marginTop: 14, padding: 16 }}>
+      <div className="rowTop">
+        <div>
+          <div style={{ fontWeight: 750 }}>Email digest</div>
+          <div className="muted" style={{ marginTop: 4 }}>
+            One email per {settings.mode === "weekly" ? "week" : "day"} with new alerts from all your searches, instead
+            of one email per search. Each search still sends at most its “max alerts per email”.
+          </div>
+        </div>
+        <button
+          className={"btn" + (settings.enabled ? " primary" : "")}
+          type="button"
+          onClick={() => patch({ enabled: !settings.enabled })}
+          disabled={busy}
+        >
+          Digest: {settings.enabled ? "ON" : "OFF"}
+        </button>
+      </div>
+
+      {settings.enabled ? (
+        <div className="rowActions" style={{ marginTop: 12, flexWrap: "wrap" }}>
+          <select
+            value={settings.mode}
+            onChange={(e) => patch({ mode: e.target.value === "weekly" ? "weekly" : "daily" })}
+            disabled={busy}
+          >
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+          {settings.mode === "weekly" ? (
+            <select
+              value={settings.digestWeekday}
+              onChange={(e) => patch({ digestWeekday: Number(e.target.value) })}
+              disabled={busy}
+            >
+              {WEEKDAY_LABELS.map((d, i) => (
+                <option key={d} value={i}>{d}</option>
+              ))}
+            </select>
+          ) : null}
+          <select
+            value={settings.digestHour}
+            onChange={(e) => patch({ digestHour: Number(e.target.value) })}
+            disabled={busy}
+          >
+            {Array.from({ length: 24 }, (_, h) => (
+              <option key={h} value={h}>{String(h).padStart(2, "0")}:00</option>
+            ))}
+          </select>
+          <input
+            value={settings.timezone}
+            onChange={(e) => patch({ timezone: e.target.value })}
+            placeholder="Timezone, e.g. America/New_York"
+            disabled={busy}
+          />
+          <button
+            className="btn"
+            type="button"
+            onClick={() => patch({ timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC" })}
+            disabled={busy}
+          >
+            Use mine
+          </button>
+          <input
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder={accountEmail ? `Send to ${accountEmail}` : "Email address"}
+            style={{ flex: 1, minWidth: 220 }}
+            disabled={busy}
+          />
+        </div>
+      ) : null}
+
+      <div className="rowActions" style={{ marginTop: 12 }}>
+        <button className="btn primary" type="button" onClick={onSave} disabled={busy}>
+          {busy ? "Saving…" : "Save digest settings"}
+        </button>
+        {settings.lastDigestSentAt ? (
+          <span className="muted">Last digest: {new Date(settings.lastDigestSentAt).toLocaleString()}</span>
+        ) : null}
+      </div>
+
+      {msg ? <div className={`flash ${msg.kind}`} style={{ marginTop: 10 }}>{msg.text}</div> : null}
+    </div>
+  );
+}
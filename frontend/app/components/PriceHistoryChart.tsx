@@ -0,0 +1,102 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { api, type PriceHistoryPoint } from "../../lib/api";
+
+const W = 260;
+const H = 64;
+const PAD = 4;
+
+function pointValue(p: PriceHistoryPoint) {
+  const n = Number(p.total_price ?? p.price_num);
+  return Number.isFinite(n) ? n : null;
+}
+
+function fmtMoney(n: number, currency?: string | null) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: (currency || "USD").toUpperCase() }).format(n);
+  } catch {
+    return `$${n.toFixed(2)}`;
+  }
+}
+
+/**
+ * Small step chart of a result's total price over time (loads on mount).
+ */
+export default function PriceHistoryChart({ searchId, resultId }: { searchId: string | number; resultId: number }) {
+  const [points, setPoints] = useState<PriceHistoryPoint[] | null>(null);
+  const [err, setErr] = useState<string | null>(null);
+
+  useEffect(() => {
+    let alive = true;
+    api
+      .getResultPriceHistory(searchId, resultId)
+      .then((r) => {
+        if (alive) setPoints(r?.history || []);
+      })
+      .catch((e: any) => {
+        if (alive) setErr(String(e?.message || e));
+      });
+    return () => {
+      alive = false;
+    };
+  }, [searchId, resultId]);
+
+  if (err) return <div className="muted">Price history unavailable</div>;
+  if (!points) return <div className="muted">Loading price history…</div>;
+
+  const series = points
+    .map((p) => ({ t: Date.parse(p.recorded_at), v: pointValue(p), currency: p.currency }))
+    .filter((p): p is { t: number; v: number; currency: string | null } => Number.isFinite(p.t) && p.v !== null);
+
+  if (series.length < 2) {
+    return <div className="muted">No price changes recorded yet.</div>;
+  }
+
+  // Extend the last price to "now" so a flat tail reads as "still this price"
+  const now = Date.now();
+  const last = series[series.length - 1];
+  const tail = now > last.t ? [...series, { ...last, t: now }] : series;
+
+  const t0 = tail[0].t;
+  const t1 = tail[tail.length - 1].t;
+  const vals = tail.map((p) => p.v);
+  const min = Math.min(...vals);
+  const max = Math.max(...vals);
+
+  const x = (t: number) => PAD + ((t - t0) / Math.max(1, t1 - t0)) * (W - PAD * 2);
+  const y = (v: number) => (max === min ? H / 2 : PAD + (1 - (v - min) / (max - min)) * (H - PAD * 2));
+
+  // Step path: price holds until the next change
+  let d = `M ${x(tail[0].t).toFixed(1)} ${y(tail[0].v).toFixed(1)}`;
+  for (let i = 1; i < tail.length; i++) {
+    d += ` H ${x(tail[i].t).toFixed(1)} V ${y(tail[i].v).toFixed(1)}`;
+  }
+
+  const first = series[0];
+  const change = last.v - first.v;
+
+  return (
+    <div className="priceHistory">
+      <svg viewBox={`0 0 ${W} ${H}`} width="100%" height={H} role="img" aria-label="Price history">
+        <path d={d} fill="none" stroke="currentColor" strokeWidth={2} />
+        {series.map((p, i) => (
+          <circle key={i} cx={x(p.t)} cy={y(p.v)} r={2.5} fill="currentColor">
+            <title>{`${new Date(p.t).toLocaleString()} — ${fmtMoney(p.v, p.currency)}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="muted">
+        {fmtMoney(first.v, first.currency)} → {fmtMoney(last.v, last.currency)}
+        {change !== 0 ? ` (${change < 0 ? "−" : "+"}${fmtMoney(Math.abs(change), last.currency)})` : ""}
+        {` • ${series.length} price point${series.length === 1 ? "" : "s"}`}
+      </div>
+      <style jsx>{`
+        .priceHistory {
+          margin-top: 8px;
+          opacity: 0.9;
+        }
+      `}</style>
+    </div>
+  );
+}
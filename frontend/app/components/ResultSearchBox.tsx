@@ -0,0 +1,151 @@
+"use client";
+
+import { useState } from "react";
+import { api, isAuthedClient, type HighlightSegment, type ResultSearchHit } from "../../lib/api";
+
+const PAGE_SIZE = 25;
+
+function Highlighted({ segments, fallback }: { segments: HighlightSegment[] | null; fallback: string }) {
+  if (!segments || !segments.length) return <>{fallback}</>;
+  return (
+    <>
+      {segments.map((seg, i) => (seg.match ? <mark key={i}>{seg.text}</mark> : <span key={i}>{seg.text}</span>))}
+    </>
+  );
+}
+
+function fmtPrice(price: any, currency?: string | null) {
+  const n = Number(price);
+  if (!Number.isFinite(n) || n <= 0) return "—";
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: (currency || "USD").toUpperCase() }).format(n);
+  } catch {
+    return `$${n.toFixed(2)}`;
+  }
+}
+
+// Search box over every listing the user's searches have collected (GET /api/results/search)
+export default function ResultSearchBox() {
+  const [q, setQ] = useState("");
+  const [lastQ, setLastQ] = useState("");
+  const [hits, setHits] = useState<ResultSearchHit[]>([]);
+  const [total, setTotal] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function run(query: string, offset: number) {
+    setBusy(true);
+    setErr(null);
+    try {
+      const r = await api.searchAllResults(query, { limit: PAGE_SIZE, offset });
+      setHits((prev) => (offset ? [...prev, ...(r.results || [])] : r.results || []));
+      setTotal(r.total || 0);
+      setLastQ(query);
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function onSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    const query = q.trim();
+    if (!query) return;
+    if (!isAuthedClient()) {
+      window.dispatchEvent(
+        new CustomEvent("gs-auth-required", { detail: { reason: "Log in to search your collected results." } })
+      );
+      return;
+    }
+    run(query, 0);
+  }
+
+  function onClear() {
+    setQ("");
+    setLastQ("");
+    setHits([]);
+    setTotal(0);
+    setErr(null);
+  }
+
+  return (
+    <div className="card" style={{ marginTop: 14, padding: 16 }}>
+      <form className="rowActions" onSubmit={onSubmit}>
+        <input
+          value={q}
+          onChange={(e) => setQ(e.target.value)}
+          placeholder='Search all results, e.g. blue "first edition" -reprint'
+          style={{ flex: 1, minWidth: 220 }}
+        />
+        <button className="btn primary" type="submit" disabled={busy || !q.trim()}>
+          {busy && !hits.length ? "Searching…" : "Search results"}
+        </button>
+        {lastQ ? (
+          <button className="btn" type="button" onClick={onClear}>
+            Clear
+          </button>
+        ) : null}
+      </form>
+
+      {err ? <div className="flash bad" style={{ marginTop: 10 }}>{err}</div> : null}
+
+      {lastQ ? (
+        <div style={{ marginTop: 12 }}>
+          <div className="muted" style={{ marginBottom: 8 }}>
+            {total} result{total === 1 ? "" : "s"} for “{lastQ}”
+          </div>
+
+          <div style={{ display: "grid", gap: 8 }}>
+            {hits.map((h) => (
+              <div key={h.id} className="rowCard">
+                <div className="rowTop">
+                  <div className="rowTitle">
+                    <span className="pill neutral">{(h.marketplace || "source").toUpperCase()}</span>
+                    <span style={{ fontWeight: 750 }}>
+                      <Highlighted segments={h.highlights.title} fallback={h.title || "Untitled listing"} />
+                    </span>
+                    {h.listing_status && h.listing_status !== "active" ? (
+                      <span className="pill bad">{h.listing_status.toUpperCase()}</span>
+                    ) : null}
+                  </div>
+                  <div className="rowBtns">
+                    {h.listing_url ? (
+                      <a className="btn" href={h.listing_url} target="_blank" rel="noreferrer">
+                        Open listing
+                      </a>
+                    ) : null}
+                  </div>
+                </div>
+                <div className="rowMeta">
+                  <div className="muted">
+                    <span>{fmtPrice(h.total_price ?? h.price_num ?? h.price, h.currency)}</span>
+                    {h.highlights.context ? (
+                      <span>
+                        {" "}
+                        • <Highlighted segments={h.highlights.context} fallback="" />
+                      </span>
+                    ) : null}
+                    <span>
+                      {" "}
+                      • From <a href={`/saved-searches/${h.search_id}/results`}>{h.search_item}</a>
+                    </span>
+                    {h.found_at ? <span> • Found {new Date(h.found_at).toLocaleDateString()}</span> : null}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {hits.length < total ? (
+            <div className="rowActions" style={{ marginTop: 10 }}>
+              <button className="btn" type="button" disabled={busy} onClick={() => run(lastQ, hits.length)}>
+                {busy ? "Loading…" : `Load more (${total - hits.length} left)`}
+              </button>
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
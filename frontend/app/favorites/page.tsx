@@ -0,0 +1,179 @@
+"use client";
+
+export const dynamic = "force-dynamic";
+
+import { useEffect, useState } from "react";
+import { api, isAuthedClient, CONDITION_LABELS, type FavoriteRow } from "../../lib/api";
+
+const PAGE_SIZE = 50;
+
+function fmtPrice(price: any, currency?: string | null) {
+  const n = Number(price);
+  if (!Number.isFinite(n) || n <= 0) return "—";
+  const cur = (currency || "USD").toUpperCase();
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: cur }).format(n);
+  } catch {
+    return `$${n.toFixed(2)}`;
+  }
+}
+
+export default function FavoritesPage() {
+  const [rows, setRows] = useState<FavoriteRow[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [err, setErr] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isAuthedClient()) {
+      window.dispatchEvent(
+        new CustomEvent("gs-auth-required", { detail: { reason: "Log in to see your favorites." } })
+      );
+      setLoading(false);
+      return;
+    }
+
+    let alive = true;
+    (async () => {
+      try {
+        const r = await api.getFavorites(PAGE_SIZE, 0);
+        if (!alive) return;
+        setRows(r.results || []);
+        setTotal(r.total || 0);
+      } catch (e: any) {
+        if (alive) setErr(String(e?.message || e));
+      } finally {
+        if (alive) setLoading(false);
+      }
+    })();
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  async function loadMore() {
+    setLoadingMore(true);
+    try {
+      const r = await api.getFavorites(PAGE_SIZE, rows.length);
+      setRows((prev) => [...prev, ...(r.results || [])]);
+      setTotal(r.total || 0);
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  async function onUnfavorite(r: FavoriteRow) {
+    setBusyId(r.id);
+    try {
+      await api.setResultState(r.search_id, r.id, { favorite: false });
+      setRows((prev) => prev.filter((x) => x.id !== r.id));
+      setTotal((t) => Math.max(0, t - 1));
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function onTogglePurchased(r: FavoriteRow) {
+    setBusyId(r.id);
+    try {
+      const res = await api.setResultState(r.search_id, r.id, { purchased: !r.purchased });
+      setRows((prev) => prev.map((x) => (x.id === r.id ? { ...x, purchased: res.state.purchased } : x)));
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <main className="section">
+      <div className="shell">
+        <h1>Favorites</h1>
+        <p className="muted">Listings you starred, across all of your saved searches.</p>
+
+        {err ? <div className="flash bad">{err}</div> : null}
+
+        {loading ? (
+          <div className="card" style={{ marginTop: 14 }}>
+            Loading…
+          </div>
+        ) : rows.length === 0 ? (
+          <div className="card" style={{ marginTop: 14, padding: 16 }}>
+            <h3 style={{ marginTop: 0 }}>No favorites yet</h3>
+            <p className="muted" style={{ marginBottom: 12 }}>
+              Use ☆ Favorite on any result to keep it here.
+            </p>
+            <a className="btn primary" href="/saved-searches">
+              Go to saved searches
+            </a>
+          </div>
+        ) : (
+          <>
+            <div className="grid" style={{ marginTop: 14 }}>
+              {rows.map((r) => {
+                const ended = r.listing_status === "ended" || r.listing_status === "sold";
+                const busy = busyId === r.id;
+                return (
+                  <div key={r.id} className="rowCard">
+                    <div className="rowTop">
+                      <div className="rowTitle">
+                        <span className="pill neutral">{(r.marketplace || "source").toUpperCase()}</span>
+                        <span style={{ fontWeight: 850 }}>{r.title || "Untitled listing"}</span>
+                        {r.purchased ? <span className="pill ok">PURCHASED</span> : null}
+                        {ended ? (
+                          <span className="pill bad">{r.listing_status === "sold" ? "SOLD" : "ENDED"}</span>
+                        ) : null}
+                        {r.condition_norm && r.condition_norm !== "unknown" ? (
+                          <span className="pill neutral">{CONDITION_LABELS[r.condition_norm]}</span>
+                        ) : null}
+                      </div>
+
+                      <div className="rowBtns">
+                        {r.listing_url ? (
+                          <a className="btn primary" href={r.listing_url} target="_blank" rel="noreferrer">
+                            Open listing
+                          </a>
+                        ) : null}
+                        <button className="btn" disabled={busy} onClick={() => onTogglePurchased(r)}>
+                          {r.purchased ? "Not purchased" : "Purchased"}
+                        </button>
+                        <button className="btn danger" disabled={busy} onClick={() => onUnfavorite(r)}>
+                          Unfavorite
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="rowMeta">
+                      <div className="muted">
+                        <span>{fmtPrice(r.total_price ?? r.price_num ?? r.price, r.currency)}</span>
+                        {r.location ? <span> • 📍 {r.location}</span> : null}
+                        <span>
+                          {" "}
+                          • From <a href={`/saved-searches/${r.search_id}/results`}>{r.search_item}</a>
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {rows.length < total ? (
+              <div className="rowActions" style={{ marginTop: 12, justifyContent: "center" }}>
+                <button className="btn" type="button" onClick={loadMore} disabled={loadingMore}>
+                  {loadingMore ? "Loading…" : `Load more (${total - rows.length} left)`}
+                </button>
+              </div>
+            ) : null}
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
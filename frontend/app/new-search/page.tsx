@@ -118,6 +118,10 @@ export default function NewSearch() {
           onChange={(e) => setItem(e.target.value)}
           placeholder="e.g., 67051 decorator 2 piece secretary desk"
         />
+        <div className="muted" style={{ marginTop: 4, fontSize: 13 }}>
+          Use <code>&quot;exact phrase&quot;</code>, <code>+required</code>, <code>a OR b</code> and{" "}
+          <code>-excluded</code> (e.g. <code>-&quot;for parts&quot; -replica</code>).
+        </div>
 
         <div className="grid2">
           <div>
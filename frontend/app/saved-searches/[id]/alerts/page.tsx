@@ -199,7 +199,11 @@ export default function AlertsPage({ params }: { params: { id: string } }) {
                         <span className={pillClass(statusLabel)}>{statusLabel.toUpperCase()}</span>
                       </td>
                       <td style={{ padding: "10px 8px", borderTop: "1px solid rgba(38,43,63,0.7)" }}>
-                        <div style={{ fontWeight: 800 }}>{a.title || "—"}</div>
+                        <div style={{ fontWeight: 800 }}>
+                          {a.kind === "ending_soon" ? <span className="pill warn" style={{ marginRight: 6 }}>ENDING SOON</span> : null}
+                          {a.kind === "price_drop" ? <span className="pill ok" style={{ marginRight: 6 }}>PRICE DROP</span> : null}
+                          {a.title || "—"}
+                        </div>
                         <div className="muted" style={{ marginTop: 4 }}>
                           {mp ? `(${mp}) ` : ""}
                           {a.external_id ? <span className="mono">{a.external_id}</span> : null}
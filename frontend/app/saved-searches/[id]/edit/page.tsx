@@ -1,7 +1,7 @@
 "use client";
 
 import { useEffect, useMemo, useState } from "react";
-import { api, type SearchRow } from "../../../../lib/api";
+import { api, CONDITION_LABELS, WEEKDAY_LABELS, type AlertMode, type Condition, type SearchRow } from "../../../../lib/api";
 import { useRouter } from "next/navigation";
 
 type MpKey = "ebay" | "etsy" | "facebook" | "craigslist";
@@ -30,15 +30,27 @@ export default function EditSearch({ params }: { params: { id: string } }) {
   const [item, setItem] = useState("");
   const [loc, setLoc] = useState("");
   const [cat, setCat] = useState("");
+  const [min, setMin] = useState("");
   const [max, setMax] = useState("");
+  // required conditions; empty = any
+  const [conditions, setConditions] = useState<Condition[]>([]);
 
   // marketplaces
   const [mps, setMps] = useState<Record<MpKey, boolean>>(normalizeMarketplaces(null));
+  const [clRegions, setClRegions] = useState("");
 
   // alert settings (server-side file store)
   const [alertsEnabled, setAlertsEnabled] = useState(true);
-  const [alertMode, setAlertMode] = useState<"immediate" | "daily">("immediate");
+  const [alertMode, setAlertMode] = useState<AlertMode>("immediate");
   const [maxPerEmail, setMaxPerEmail] = useState(25);
+  const [digestHour, setDigestHour] = useState(8);
+  const [digestWeekday, setDigestWeekday] = useState(1);
+  const [timezone, setTimezone] = useState("UTC");
+  const [endingSoonMinutes, setEndingSoonMinutes] = useState(0);
+  const [priceDropEnabled, setPriceDropEnabled] = useState(false);
+  const [priceDropPercent, setPriceDropPercent] = useState(10);
+  const [priceDropAmount, setPriceDropAmount] = useState(0);
+  const [minDealScore, setMinDealScore] = useState(0);
 
   // email notifications (db)
   const [emailEnabled, setEmailEnabled] = useState(false);
@@ -68,9 +80,12 @@ export default function EditSearch({ params }: { params: { id: string } }) {
         setItem(search.search_item || "");
         setLoc(search.location || "");
         setCat(search.category || "");
+        setMin(search.min_price != null ? String(search.min_price) : "");
         setMax(search.max_price != null ? String(search.max_price) : "");
+        setConditions(search.conditions || []);
 
         setMps(normalizeMarketplaces((search as any).marketplaces));
+        setClRegions((search.craigslist_regions || []).join(", "));
 
         if (notif?.ok) {
           setEmailEnabled(!!notif.email_enabled);
@@ -79,9 +94,21 @@ export default function EditSearch({ params }: { params: { id: string } }) {
 
         if (a?.ok && a.settings) {
           setAlertsEnabled(!!a.settings.enabled);
-          setAlertMode(a.settings.mode === "daily" ? "daily" : "immediate");
+          setAlertMode(a.settings.mode === "daily" || a.settings.mode === "weekly" ? a.settings.mode : "immediate");
+          setDigestHour(Number.isInteger(a.settings.digestHour) ? Number(a.settings.digestHour) : 8);
+          setDigestWeekday(Number.isInteger(a.settings.digestWeekday) ? Number(a.settings.digestWeekday) : 1);
+          setTimezone(a.settings.timezone || "UTC");
           const mpe = Number(a.settings.maxPerEmail);
           setMaxPerEmail(Number.isFinite(mpe) && mpe > 0 ? Math.min(200, Math.max(1, Math.floor(mpe))) : 25);
+          const esm = Number(a.settings.endingSoonMinutes);
+          setEndingSoonMinutes(Number.isFinite(esm) && esm > 0 ? Math.floor(esm) : 0);
+          setPriceDropEnabled(!!a.settings.priceDropEnabled);
+          const pdp = Number(a.settings.priceDropPercent);
+          setPriceDropPercent(Number.isFinite(pdp) && pdp >= 0 ? pdp : 10);
+          const pda = Number(a.settings.priceDropAmount);
+          setPriceDropAmount(Number.isFinite(pda) && pda > 0 ? pda : 0);
+          const mds = Number(a.settings.minDealScore);
+          setMinDealScore(Number.isFinite(mds) && mds > 0 ? Math.min(100, Math.floor(mds)) : 0);
         }
       } catch (e: any) {
         alert(e?.message || "Failed to load search");
@@ -94,6 +121,10 @@ export default function EditSearch({ params }: { params: { id: string } }) {
     setMps((cur) => ({ ...cur, [key]: !cur[key] }));
   }
 
+  function toggleCondition(c: Condition) {
+    setConditions((cur) => (cur.includes(c) ? cur.filter((x) => x !== c) : [...cur, c]));
+  }
+
   async function onSave() {
     if (!item.trim()) { alert("Search item is required."); return; }
 
@@ -103,19 +134,27 @@ export default function EditSearch({ params }: { params: { id: string } }) {
       return;
     }
 
+    const min_price = min.trim() ? Number(min) : null;
+    const max_price = max.trim() ? Number(max) : null;
+    if (min_price != null && max_price != null && min_price > max_price) {
+      alert("Min price can't be greater than max price.");
+      return;
+    }
+
     try {
       setBusy(true);
       setToast("Saving…");
 
-      const max_price = max.trim() ? Number(max) : null;
-
       // 1) save core search fields + marketplaces
       await api.patchSearch(id, {
         search_item: item.trim(),
         location: loc.trim() || null,
         category: cat.trim() || null,
+        min_price: Number.isFinite(min_price as any) ? min_price : null,
         max_price: Number.isFinite(max_price as any) ? max_price : null,
         marketplaces: mps,
+        craigslist_regions: clRegions,
+        conditions: conditions.length ? conditions : null,
       });
 
       // 2) save alert settings (enabled/mode/maxPerEmail)
@@ -123,6 +162,14 @@ export default function EditSearch({ params }: { params: { id: string } }) {
         enabled: !!alertsEnabled,
         mode: alertMode,
         maxPerEmail: Math.min(200, Math.max(1, Math.floor(Number(maxPerEmail) || 25))),
+        digestHour,
+        digestWeekday,
+        timezone: timezone.trim() || "UTC",
+        endingSoonMinutes: Math.min(1440, Math.max(0, Math.floor(Number(endingSoonMinutes) || 0))),
+        priceDropEnabled: !!priceDropEnabled,
+        priceDropPercent: Math.min(95, Math.max(0, Number(priceDropPercent) || 0)),
+        priceDropAmount: Math.max(0, Number(priceDropAmount) || 0),
+        minDealScore: Math.min(100, Math.max(0, Math.floor(Number(minDealScore) || 0))),
       });
 
       // 3) save email notification destination (DB)
@@ -164,6 +211,10 @@ export default function EditSearch({ params }: { params: { id: string } }) {
 
         <label>Search item</label>
         <input value={item} onChange={(e) => setItem(e.target.value)} />
+        <div className="muted" style={{ marginTop: 4, fontSize: 13 }}>
+          Use <code>&quot;exact phrase&quot;</code>, <code>+required</code>, <code>a OR b</code> and{" "}
+          <code>-excluded</code> (e.g. <code>-&quot;for parts&quot; -replica</code>).
+        </div>
 
         <div className="grid2">
           <div>
@@ -176,8 +227,38 @@ export default function EditSearch({ params }: { params: { id: string } }) {
           </div>
         </div>
 
-        <label>Max price</label>
-        <input value={max} onChange={(e) => setMax(e.target.value)} placeholder="Optional" />
+        <div className="grid2">
+          <div>
+            <label>Min price</label>
+            <input value={min} onChange={(e) => setMin(e.target.value)} placeholder="Optional" />
+          </div>
+          <div>
+            <label>Max price</label>
+            <input value={max} onChange={(e) => setMax(e.target.value)} placeholder="Optional" />
+          </div>
+        </div>
+
+        <div style={{ marginTop: 12 }}>
+          <label>Condition</label>
+          <div className="rowActions" style={{ marginTop: 6, flexWrap: "wrap" }}>
+            {(Object.keys(CONDITION_LABELS) as Condition[]).map((c) => (
+              <button
+                key={c}
+                className={"btn" + (conditions.includes(c) ? " primary" : "")}
+                type="button"
+                onClick={() => toggleCondition(c)}
+                disabled={busy}
+              >
+                {CONDITION_LABELS[c]}
+              </button>
+            ))}
+          </div>
+          <div className="muted" style={{ marginTop: 6 }}>
+            {conditions.length
+              ? "Only listings in the selected conditions are kept. Select Unknown to keep listings whose condition can't be determined."
+              : "Any condition. Select one or more to only keep those listings."}
+          </div>
+        </div>
 
         <hr style={{ margin: "18px 0", opacity: 0.2 }} />
 
@@ -199,11 +280,26 @@ export default function EditSearch({ params }: { params: { id: string } }) {
           ))}
         </div>
 
+        {mps.craigslist ? (
+          <div style={{ marginTop: 12 }}>
+            <label>Craigslist regions</label>
+            <input
+              value={clRegions}
+              onChange={(e) => setClRegions(e.target.value)}
+              placeholder="e.g., sfbay, sacramento"
+              disabled={busy}
+            />
+            <div className="muted" style={{ marginTop: 6 }}>
+              Comma-separated Craigslist region names (the part before .craigslist.org).
+            </div>
+          </div>
+        ) : null}
+
         <hr style={{ margin: "18px 0", opacity: 0.2 }} />
 
         <h2 className="h2">Alerts</h2>
         <p className="muted" style={{ marginTop: 6 }}>
-          Control whether alerts can send, and whether they send immediately or as a daily digest.
+          Control whether alerts can send, and whether they send immediately or as a daily or weekly digest.
         </p>
 
         <div className="rowActions" style={{ marginTop: 10, flexWrap: "wrap" }}>
@@ -233,8 +329,66 @@ export default function EditSearch({ params }: { params: { id: string } }) {
           >
             Daily digest
           </button>
+
+          <button
+            className={"btn" + (alertMode === "weekly" ? " primary" : "")}
+            type="button"
+            onClick={() => setAlertMode("weekly")}
+            disabled={busy || !alertsEnabled}
+          >
+            Weekly digest
+          </button>
         </div>
 
+        {alertMode !== "immediate" ? (
+          <div className="grid2" style={{ marginTop: 12 }}>
+            <div>
+              <label>Send digest at</label>
+              <div className="rowActions" style={{ flexWrap: "wrap" }}>
+                {alertMode === "weekly" ? (
+                  <select
+                    value={digestWeekday}
+                    onChange={(e) => setDigestWeekday(Number(e.target.value))}
+                    disabled={busy || !alertsEnabled}
+                  >
+                    {WEEKDAY_LABELS.map((d, i) => (
+                      <option key={d} value={i}>{d}</option>
+                    ))}
+                  </select>
+                ) : null}
+                <select
+                  value={digestHour}
+                  onChange={(e) => setDigestHour(Number(e.target.value))}
+                  disabled={busy || !alertsEnabled}
+                >
+                  {Array.from({ length: 24 }, (_, h) => (
+                    <option key={h} value={h}>{String(h).padStart(2, "0")}:00</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div>
+              <label>Timezone</label>
+              <div className="rowActions" style={{ flexWrap: "wrap" }}>
+                <input
+                  value={timezone}
+                  onChange={(e) => setTimezone(e.target.value)}
+                  disabled={busy || !alertsEnabled}
+                  placeholder="e.g., America/New_York"
+                />
+                <button
+                  className="btn"
+                  type="button"
+                  onClick={() => setTimezone(Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC")}
+                  disabled={busy || !alertsEnabled}
+                >
+                  Use mine
+                </button>
+              </div>
+            </div>
+          </div>
+        ) : null}
+
         <div className="grid2" style={{ marginTop: 12 }}>
           <div>
             <label>Max alerts per email</label>
@@ -248,7 +402,69 @@ export default function EditSearch({ params }: { params: { id: string } }) {
           <div>
             <label className="muted">Tip</label>
             <div className="muted" style={{ paddingTop: 10 }}>
-              “Daily digest” sends at most once per day (unless forced).
+              Digests send once per day or week at the chosen local hour.
+            </div>
+          </div>
+          <div>
+            <label>Auction ending reminder (minutes before end, 0 = off)</label>
+            <input
+              value={String(endingSoonMinutes)}
+              onChange={(e) => setEndingSoonMinutes(Number(e.target.value))}
+              disabled={busy || !alertsEnabled}
+              placeholder="0"
+            />
+          </div>
+        </div>
+
+        <div className="rowActions" style={{ marginTop: 12, flexWrap: "wrap" }}>
+          <button
+            className={"btn" + (priceDropEnabled ? " primary" : "")}
+            type="button"
+            onClick={() => setPriceDropEnabled(v => !v)}
+            disabled={busy || !alertsEnabled}
+          >
+            Price-drop alerts: {priceDropEnabled ? "ON" : "OFF"}
+          </button>
+        </div>
+
+        <div className="grid2" style={{ marginTop: 12 }}>
+          <div>
+            <label>Drop of at least (%)</label>
+            <input
+              value={String(priceDropPercent)}
+              onChange={(e) => setPriceDropPercent(Number(e.target.value))}
+              disabled={busy || !alertsEnabled || !priceDropEnabled}
+              placeholder="10"
+            />
+          </div>
+          <div>
+            <label>…or at least (amount, 0 = off)</label>
+            <input
+              value={String(priceDropAmount)}
+              onChange={(e) => setPriceDropAmount(Number(e.target.value))}
+              disabled={busy || !alertsEnabled || !priceDropEnabled}
+              placeholder="0"
+            />
+          </div>
+        </div>
+        <p className="muted" style={{ marginTop: 6 }}>
+          Also alerts the first time a listing&apos;s total price (incl. shipping) drops under your max price.
+        </p>
+
+        <div className="grid2" style={{ marginTop: 12 }}>
+          <div>
+            <label>Minimum deal score for new listings (0–100, 0 = off)</label>
+            <input
+              value={String(minDealScore)}
+              onChange={(e) => setMinDealScore(Number(e.target.value))}
+              disabled={busy || !alertsEnabled}
+              placeholder="0"
+            />
+          </div>
+          <div>
+            <label className="muted">Tip</label>
+            <div className="muted" style={{ paddingTop: 10 }}>
+              75 = cheaper than three quarters of similar listings. Listings without enough comparables still alert.
             </div>
           </div>
         </div>
@@ -2,7 +2,7 @@
 
 import { useEffect, useMemo, useState } from "react";
 import { useParams } from "next/navigation";
-import { api, isAuthedClient, type AlertSummary, type SearchRow } from "../../../lib/api";
+import { api, isAuthedClient, type AlertMode, type AlertSummary, type SearchRow } from "../../../lib/api";
 import Link from "next/link";
 
 function num(x: any) {
@@ -60,7 +60,7 @@ export default function SearchDetail() {
 
   // Alert settings
   const [alertEnabled, setAlertEnabled] = useState<boolean>(true);
-  const [alertMode, setAlertMode] = useState<"immediate" | "daily">("immediate");
+  const [alertMode, setAlertMode] = useState<AlertMode>("immediate");
   const [maxPerEmail, setMaxPerEmail] = useState<number>(25);
   const [alertLoading, setAlertLoading] = useState<boolean>(true);
   const [alertSaving, setAlertSaving] = useState<boolean>(false);
@@ -119,7 +119,7 @@ export default function SearchDetail() {
       const res = await api.getAlertSettings(id);
       const settings = res?.settings || { enabled: true, mode: "immediate", maxPerEmail: 25 };
       setAlertEnabled(!!settings.enabled);
-      setAlertMode(settings.mode === "daily" ? "daily" : "immediate");
+      setAlertMode(settings.mode === "daily" || settings.mode === "weekly" ? settings.mode : "immediate");
       setMaxPerEmail(Number(settings.maxPerEmail) || 25);
     } catch {
       // assume enabled (legacy default)
@@ -257,6 +257,7 @@ export default function SearchDetail() {
             <span className={pill(search.status)}>{(search.status || "—").toUpperCase()}</span>
             {search.location ? <span className="pill neutral">{search.location}</span> : null}
             {search.category ? <span className="pill neutral">{search.category}</span> : null}
+            {search.min_price != null ? <span className="pill neutral">Min ${search.min_price}</span> : null}
             {search.max_price != null ? <span className="pill neutral">Max ${search.max_price}</span> : null}
           </div>
         </div>
@@ -367,11 +368,17 @@ export default function SearchDetail() {
             <label>Delivery</label>
             <select
               value={alertMode}
-              onChange={(e) => setAlertMode(e.target.value === "daily" ? "daily" : "immediate")}
+              onChange={(e) => setAlertMode(e.target.value === "daily" || e.target.value === "weekly" ? e.target.value : "immediate")}
             >
               <option value="immediate">Immediate</option>
               <option value="daily">Daily digest</option>
+              <option value="weekly">Weekly digest</option>
             </select>
+            {alertMode !== "immediate" ? (
+              <div className="muted" style={{ marginTop: 6 }}>
+                Set the digest hour and timezone on the Edit page.
+              </div>
+            ) : null}
           </div>
 
           <div style={{ marginTop: 10 }}>
@@ -4,9 +4,25 @@ export const dynamic = "force-dynamic";
 
 import { useEffect, useMemo, useState } from "react";
 import { useParams, useSearchParams } from "next/navigation";
-import { api, isAuthedClient, type SearchRow, type ResultRow } from "../../../../lib/api";
+import {
+  api,
+  isAuthedClient,
+  CONDITION_LABELS,
+  type Condition,
+  type SearchRow,
+  type ResultRow,
+  type ResultsQuery,
+  type ResultsSort,
+  type ExportFormat,
+  type PricingSummary,
+} from "../../../../lib/api";
+import PriceHistoryChart from "../../../components/PriceHistoryChart";
 
 function numPrice(r: any) {
+  // Total (item + shipping) is what the buyer actually pays
+  const n0 = Number(r?.total_price);
+  if (r?.total_price != null && Number.isFinite(n0) && n0 > 0) return n0;
+
   // Prefer indexed numeric column
   const n1 = Number(r?.price_num);
   if (Number.isFinite(n1) && n1 > 0) return n1;
@@ -74,6 +90,13 @@ function fmtPrice(price: any, currency?: string | null) {
   }
 }
 
+function fmtShipping(r: ResultRow) {
+  if (r.shipping_num == null) return "";
+  const n = Number(r.shipping_num);
+  if (!Number.isFinite(n)) return "";
+  return n <= 0 ? "Free shipping" : `+ ${fmtPrice(n, r.currency)} shipping`;
+}
+
 function fmtWhen(iso?: string | null) {
   if (!iso) return "";
   const t = Date.parse(iso);
@@ -82,6 +105,56 @@ function fmtWhen(iso?: string | null) {
   return d.toLocaleString();
 }
 
+function isAuction(r: ResultRow) {
+  if (r.is_auction != null) return !!r.is_auction;
+  return Array.isArray(r.buying_options) && r.buying_options.includes("AUCTION");
+}
+
+function fmtEndsIn(iso?: string | null) {
+  if (!iso) return "";
+  const t = Date.parse(iso);
+  if (!Number.isFinite(t)) return "";
+  const ms = t - Date.now();
+  if (ms <= 0) return "Ended";
+  const mins = Math.floor(ms / 60000);
+  if (mins < 60) return `Ends in ${mins}m`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 48) return `Ends in ${hours}h ${mins % 60}m`;
+  return `Ends in ${Math.floor(hours / 24)}d`;
+}
+
+const PAGE_SIZE = 50;
+const MARKETPLACES = ["ebay", "etsy", "craigslist"];
+
+const SORT_OPTIONS: { key: ResultsSort; label: string }[] = [
+  { key: "newest", label: "Newest" },
+  { key: "price_low", label: "Price ↑" },
+  { key: "price_high", label: "Price ↓" },
+  { key: "total_low", label: "Total ↑" },
+  { key: "total_high", label: "Total ↓" },
+  { key: "ending_soon", label: "Ending soon" },
+  { key: "best_deal", label: "Best deals" },
+];
+
+function toggleIn<T>(list: T[], v: T): T[] {
+  return list.includes(v) ? list.filter((x) => x !== v) : [...list, v];
+}
+
+// A group needs this many priced listings before its p25 is worth comparing against
+const DEAL_MIN_SAMPLE = 5;
+
+// Good deal = total below the 25th percentile for the same currency, using the listing's
+// condition group when it has enough data (a "for parts" price says nothing about "new")
+function goodDealThreshold(summary: PricingSummary | null, r: ResultRow): number | null {
+  if (!summary) return null;
+  const cur = (r.currency || "USD").toUpperCase();
+  const group = summary.currencies.find((c) => c.currency === cur);
+  if (!group) return null;
+  const cond = group.by_condition.find((c) => c.condition === (r.condition_norm || "unknown"));
+  if (cond && cond.count >= DEAL_MIN_SAMPLE) return cond.p25;
+  return group.overall.count >= DEAL_MIN_SAMPLE ? group.overall.p25 : null;
+}
+
 function pillClass(kind: "ok" | "warn" | "bad" | "neutral" = "neutral") {
   return `pill ${kind}`;
 }
@@ -91,10 +164,25 @@ export default function ResultsPage() {
   const id = String((params as any)?.id ?? "");
 
   const [rows, setRows] = useState<ResultRow[]>([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [search, setSearch] = useState<SearchRow | null>(null);
-  const [sortBy, setSortBy] = useState<"newest" | "price_low" | "price_high">(
-    "newest",
-  );
+  const [sortBy, setSortBy] = useState<ResultsSort>("newest");
+  const [auctionsOnly, setAuctionsOnly] = useState(false);
+  const [mpFilter, setMpFilter] = useState<string[]>([]);
+  const [condFilter, setCondFilter] = useState<Condition[]>([]);
+  // Text/price inputs are applied on submit so typing doesn't refetch every keystroke
+  const [textInput, setTextInput] = useState("");
+  const [minInput, setMinInput] = useState("");
+  const [maxInput, setMaxInput] = useState("");
+  const [applied, setApplied] = useState<{ q: string; min: number | null; max: number | null }>({
+    q: "",
+    min: null,
+    max: null,
+  });
+  const [historyOpen, setHistoryOpen] = useState<number[]>([]);
+  const [showEnded, setShowEnded] = useState(false);
 
   const searchParams = useSearchParams();
   const backendBase = (
@@ -105,41 +193,156 @@ export default function ResultsPage() {
   ).replace(/\/+$/, "");
   const focusNew = (searchParams.get("focus") || "").toLowerCase() === "new";
 
-  const storageKey = `gosnaggit:hiddenResults:${id}`;
-  const [hiddenKeys, setHiddenKeys] = useState<string[]>([]);
+  // Hidden/favorite/purchased live server-side (per user); this key is only read to migrate old local hides
+  const legacyHiddenKey = `gosnaggit:hiddenResults:${id}`;
+  // Hidden this session, for Undo
+  const [recentlyHidden, setRecentlyHidden] = useState<number[]>([]);
+  const [hiddenView, setHiddenView] = useState(false);
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [reloadTick, setReloadTick] = useState(0);
+  const [exportFormat, setExportFormat] = useState<ExportFormat>("csv");
+  // Whole-search price distribution (server-side; not affected by the page filters)
+  const [pricing, setPricing] = useState<PricingSummary | null>(null);
 
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState<string | null>(null);
 
   const count = rows?.length ?? 0;
 
+  const hasFilters =
+    hiddenView || favoritesOnly || auctionsOnly || mpFilter.length > 0 || condFilter.length > 0 || !!applied.q || applied.min != null || applied.max != null;
+
+  const query: ResultsQuery = useMemo(
+    () => ({
+      sort: sortBy,
+      buying: auctionsOnly ? "auction" : undefined,
+      listing_status: showEnded ? "all" : "active",
+      marketplace: mpFilter,
+      condition: condFilter,
+      q: applied.q,
+      min_price: applied.min,
+      max_price: applied.max,
+      hidden: hiddenView ? "only" : "exclude",
+      state: favoritesOnly ? "favorite" : undefined,
+    }),
+    [sortBy, auctionsOnly, showEnded, mpFilter, condFilter, applied, hiddenView, favoritesOnly],
+  );
+
+  function applyInputs() {
+    const num = (v: string) => {
+      const n = Number(v);
+      return v.trim() && Number.isFinite(n) && n >= 0 ? n : null;
+    };
+    setApplied({ q: textInput.trim(), min: num(minInput), max: num(maxInput) });
+  }
+
+  function clearFilters() {
+    setHiddenView(false);
+    setFavoritesOnly(false);
+    setAuctionsOnly(false);
+    setMpFilter([]);
+    setCondFilter([]);
+    setTextInput("");
+    setMinInput("");
+    setMaxInput("");
+    setApplied({ q: "", min: null, max: null });
+  }
+
+  async function loadMore() {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const page = await api.getResults(id, PAGE_SIZE, { ...query, cursor: nextCursor });
+      setRows((prev) => [...prev, ...(page.results || [])]);
+      setNextCursor(page.next_cursor);
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  function requireAuth(reason: string) {
+    if (isAuthedClient()) return true;
+    window.dispatchEvent(new CustomEvent("gs-auth-required", { detail: { reason } }));
+    return false;
+  }
+
   useEffect(() => {
-    // Load per-search hidden (dismissed) results
+    // One-time migration: results hidden in this browser before states were stored server-side
+    if (!isAuthedClient()) return;
+    let ids: number[] = [];
     try {
-      const raw = localStorage.getItem(storageKey);
-      const arr = raw ? (JSON.parse(raw) as string[]) : [];
-      if (Array.isArray(arr)) setHiddenKeys(arr.map(String));
+      const raw = localStorage.getItem(legacyHiddenKey);
+      const arr = raw ? JSON.parse(raw) : [];
+      ids = Array.isArray(arr) ? arr.map(Number).filter((n) => Number.isInteger(n) && n > 0) : [];
     } catch {
       // ignore
     }
+    if (!ids.length) return;
+
+    (async () => {
+      const settled = await Promise.allSettled(ids.map((rid) => api.setResultState(id, rid, { hidden: true })));
+      // Keep whatever didn't save (offline, 401, 5xx) for the next visit
+      const failed = ids.filter((_, i) => settled[i].status === "rejected");
+      try {
+        if (failed.length) localStorage.setItem(legacyHiddenKey, JSON.stringify(failed));
+        else localStorage.removeItem(legacyHiddenKey);
+      } catch {
+        // ignore
+      }
+      if (failed.length < ids.length) setReloadTick((t) => t + 1);
+    })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [storageKey]);
+  }, [legacyHiddenKey]);
 
-  useEffect(() => {
-    // Persist hidden keys
+  async function updateState(r: ResultRow, patch: { hidden?: boolean; favorite?: boolean; purchased?: boolean }) {
     try {
-      localStorage.setItem(storageKey, JSON.stringify(hiddenKeys));
-    } catch {
-      // ignore
+      const res = await api.setResultState(id, r.id, patch);
+      const next = res.state;
+
+      // Drop rows that no longer belong in the current view, update the rest in place
+      const leavesView =
+        (next.hidden !== hiddenView) || (favoritesOnly && !next.favorite);
+      setRows((prev) =>
+        leavesView
+          ? prev.filter((x) => x.id !== r.id)
+          : prev.map((x) => (x.id === r.id ? { ...x, ...patch } : x)),
+      );
+      if (leavesView) setTotal((t) => Math.max(0, t - 1));
+      return true;
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+      return false;
+    }
+  }
+
+  async function hideResult(r: ResultRow) {
+    if (!requireAuth("Log in to hide results across your devices.")) return;
+    if (await updateState(r, { hidden: true })) {
+      setRecentlyHidden((prev) => (prev.includes(r.id) ? prev : [...prev, r.id]));
     }
-  }, [storageKey, hiddenKeys]);
+  }
+
+  async function undoHide() {
+    const ids = recentlyHidden;
+    setRecentlyHidden([]);
+    await Promise.allSettled(ids.map((rid) => api.setResultState(id, rid, { hidden: false })));
+    setReloadTick((t) => t + 1);
+  }
+
+  function toggleFavorite(r: ResultRow) {
+    if (!requireAuth("Log in to save favorites.")) return;
+    updateState(r, { favorite: !r.favorite });
+  }
 
-  function hideResult(k: string) {
-    setHiddenKeys((prev) => (prev.includes(k) ? prev : [...prev, k]));
+  function togglePurchased(r: ResultRow) {
+    if (!requireAuth("Log in to track purchases.")) return;
+    updateState(r, { purchased: !r.purchased });
   }
 
-  function undoHide() {
-    setHiddenKeys([]);
+  function toggleHistory(resultId: number) {
+    setHistoryOpen((prev) => (prev.includes(resultId) ? prev.filter((x) => x !== resultId) : [...prev, resultId]));
   }
 
   useEffect(() => {
@@ -149,32 +352,35 @@ export default function ResultsPage() {
 
     (async () => {
       try {
-        const [s, r0] = await Promise.all([
+        const [s, p0] = await Promise.all([
           api.getSearch(id),
-          api.getResults(id, 200, 0),
+          api.getResults(id, PAGE_SIZE, query),
         ]);
         if (!alive) return;
 
         setSearch(s || null);
 
-        // If results aren't ready yet, poll a few times (new searches often take a few seconds)
-        let r = r0;
-        if ((!r || r.length === 0) && alive) {
+        // If results aren't ready yet, poll a few times (new searches often take a few seconds).
+        // Only for the unfiltered view: an empty filtered page is a real answer.
+        let page = p0;
+        if (!hasFilters && (!page || page.results.length === 0) && alive) {
           const attempts = 10; // total tries
           const delayMs = 2000; // 2 seconds between tries
 
           for (let i = 0; i < attempts && alive; i++) {
             await new Promise((resolve) => setTimeout(resolve, delayMs));
-            const rNext = await api.getResults(id, 200, 0);
+            const pNext = await api.getResults(id, PAGE_SIZE, query);
             if (!alive) return;
 
-            r = rNext;
-            if (r && r.length > 0) break; // stop early as soon as we have results
+            page = pNext;
+            if (page && page.results.length > 0) break; // stop early as soon as we have results
           }
         }
 
         if (!alive) return;
-        setRows(r || []);
+        setRows(page?.results || []);
+        setNextCursor(page?.next_cursor ?? null);
+        setTotal(page?.total ?? 0);
         setLoading(false);
       } catch (e: any) {
         if (!alive) return;
@@ -186,51 +392,30 @@ export default function ResultsPage() {
     return () => {
       alive = false;
     };
-  }, [id]);
-
-  const sorted = useMemo(() => {
-    const copy = [...rows];
-
-    const isNewRow = (r: ResultRow) => isRecent(r.found_at || r.created_at, 48);
-
-    const cmpNewFirst = (a: ResultRow, b: ResultRow) => {
-      const na = isNewRow(a) ? 1 : 0;
-      const nb = isNewRow(b) ? 1 : 0;
-      return nb - na;
-    };
-
-    const cmpNewest = (a: ResultRow, b: ResultRow) => {
-      const ta = new Date(a.found_at || a.created_at || 0).getTime();
-      const tb = new Date(b.found_at || b.created_at || 0).getTime();
-      return tb - ta;
-    };
-
-    if (sortBy === "price_low") {
-      return copy.sort((a, b) => {
-        const p = cmpNewFirst(a, b);
-        if (p !== 0) return p;
-        return (numPrice(a) ?? Infinity) - (numPrice(b) ?? Infinity);
-      });
-    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, query, reloadTick]);
 
-    if (sortBy === "price_high") {
-      return copy.sort((a, b) => {
-        const p = cmpNewFirst(a, b);
-        if (p !== 0) return p;
-        return (numPrice(b) ?? -Infinity) - (numPrice(a) ?? -Infinity);
+  useEffect(() => {
+    if (!isAuthedClient()) return;
+    let alive = true;
+    api
+      .getPricingSummary(id)
+      .then((s) => {
+        if (alive) setPricing(s);
+      })
+      .catch(() => {
+        // Stats are a nice-to-have; the results list still works without them
       });
-    }
+    return () => {
+      alive = false;
+    };
+  }, [id, reloadTick]);
 
-    // Default: NEW first, then newest
-    return copy.sort((a, b) => {
-      const p = cmpNewFirst(a, b);
-      if (p !== 0) return p;
-      return cmpNewest(a, b);
-    });
-  }, [rows, sortBy]);
+  const pricingMain = pricing?.currencies[0] ?? null;
 
+  // Stats over the loaded pages (the server already applied sort + filters)
   const priceStats = useMemo(() => {
-    const nums = (sorted || [])
+    const nums = (rows || [])
       .map((r) => numPrice(r))
       .filter((n): n is number => n !== null)
       .sort((a, b) => a - b);
@@ -247,7 +432,7 @@ export default function ResultsPage() {
       maxPrice == null ? null : nums.filter((n) => n <= maxPrice).length;
 
     return { min, median, max, count: nums.length, maxPrice, underMax };
-  }, [sorted, search]);
+  }, [rows, search]);
 
   return (
     <main className="page">
@@ -256,7 +441,7 @@ export default function ResultsPage() {
           <h1 className="h1">Results for #{id}</h1>
           <p className="muted">
             Latest stored results from the backend{" "}
-            {loading ? "" : `• ${count} item${count === 1 ? "" : "s"}`}
+            {loading ? "" : `• ${total} item${total === 1 ? "" : "s"}${count < total ? ` (showing ${count})` : ""}`}
             {focusNew ? " • showing NEW first" : ""}
           </p>
         </div>
@@ -265,6 +450,23 @@ export default function ResultsPage() {
           <a className="btn" href={`/saved-searches/${id}`}>
             Details
           </a>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value as ExportFormat)}
+            aria-label="Export format"
+          >
+            <option value="csv">CSV (Excel)</option>
+            <option value="json">JSON</option>
+            <option value="ndjson">NDJSON</option>
+          </select>
+          <a
+            className="btn"
+            href={api.resultsExportUrl(id, exportFormat, query)}
+            download
+            title="Every result matching the current filters and sort, with price history"
+          >
+            Download
+          </a>
           <button
             className="btn"
             type="button"
@@ -285,10 +487,10 @@ export default function ResultsPage() {
         </div>
       </div>
 
-      {hiddenKeys.length ? (
+      {recentlyHidden.length ? (
         <div className="flash warn" style={{ marginBottom: 12 }}>
-          You hid {hiddenKeys.length} result
-          {hiddenKeys.length === 1 ? "" : "s"}.
+          You hid {recentlyHidden.length} result
+          {recentlyHidden.length === 1 ? "" : "s"}.
           <button
             className="btn"
             style={{ marginLeft: 10 }}
@@ -300,11 +502,72 @@ export default function ResultsPage() {
         </div>
       ) : null}
 
-      {priceStats ? (
-        <div className="card" style={{ marginBottom: 12 }}>
+      <div className="card" style={{ marginBottom: 12 }}>
+        {pricingMain && pricingMain.overall.count ? (
+          <div className="resultMeta" style={{ marginBottom: 6 }}>
+            <div>
+              <strong>
+                Price distribution (incl. shipping, {pricingMain.currency}, {pricingMain.overall.count} listing
+                {pricingMain.overall.count === 1 ? "" : "s"}):
+              </strong>{" "}
+              p10 {fmtPrice(pricingMain.overall.p10, pricingMain.currency)} • p25{" "}
+              {fmtPrice(pricingMain.overall.p25, pricingMain.currency)} • median{" "}
+              {fmtPrice(pricingMain.overall.median, pricingMain.currency)} • p75{" "}
+              {fmtPrice(pricingMain.overall.p75, pricingMain.currency)} • p90{" "}
+              {fmtPrice(pricingMain.overall.p90, pricingMain.currency)} • mean{" "}
+              {fmtPrice(pricingMain.overall.mean, pricingMain.currency)}
+            </div>
+            <div className="muted">
+              {pricingMain.overall.outliers_excluded
+                ? `${pricingMain.overall.outliers_excluded} outlier${pricingMain.overall.outliers_excluded === 1 ? "" : "s"} excluded`
+                : ""}
+              {pricing && pricing.currencies.length > 1
+                ? ` • also priced in ${pricing.currencies.slice(1).map((c) => c.currency).join(", ")}`
+                : ""}
+            </div>
+            <details className="pricingDetails">
+              <summary>Breakdown</summary>
+              <table className="pricingTable">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Listings</th>
+                    <th>p25</th>
+                    <th>Median</th>
+                    <th>p75</th>
+                    <th>Mean</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ...pricingMain.by_marketplace.map((g) => ({ label: g.marketplace.toUpperCase(), g })),
+                    ...pricingMain.by_condition.map((g) => ({ label: CONDITION_LABELS[g.condition] || g.condition, g })),
+                  ].map(({ label, g }, i) => (
+                    <tr key={i}>
+                      <td>{label}</td>
+                      <td>{g.count}</td>
+                      <td>{fmtPrice(g.p25, pricingMain.currency)}</td>
+                      <td>{fmtPrice(g.median, pricingMain.currency)}</td>
+                      <td>{fmtPrice(g.p75, pricingMain.currency)}</td>
+                      <td>{fmtPrice(g.mean, pricingMain.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {pricingMain.weekly.length ? (
+                <div className="muted" style={{ marginTop: 6 }}>
+                  <strong>Median by week found:</strong>{" "}
+                  {pricingMain.weekly
+                    .map((w) => `${w.week_start} ${fmtPrice(w.median, pricingMain.currency)} (${w.count})`)
+                    .join(" • ")}
+                </div>
+              ) : null}
+            </details>
+          </div>
+        ) : priceStats ? (
           <div className="resultMeta" style={{ marginBottom: 6 }}>
             <div>
-              <strong>Price stats:</strong> min {fmtPrice(priceStats.min)} •
+              <strong>Price stats (incl. shipping{count < total ? ", loaded results" : ""}):</strong> min {fmtPrice(priceStats.min)} •
               median {fmtPrice(priceStats.median)} • max{" "}
               {fmtPrice(priceStats.max)}
             </div>
@@ -314,34 +577,114 @@ export default function ResultsPage() {
                 : ""}
             </div>
           </div>
+        ) : null}
 
-          <div className="ctaRow">
+        <div className="ctaRow">
+          {SORT_OPTIONS.map((o) => (
             <button
-              className={`btn ${sortBy === "newest" ? "primary" : ""}`}
-              onClick={() => setSortBy("newest")}
+              key={o.key}
+              className={`btn ${sortBy === o.key ? "primary" : ""}`}
+              onClick={() => setSortBy(o.key)}
             >
-              Newest
+              {o.label}
             </button>
+          ))}
+          <button
+            className={`btn ${auctionsOnly ? "primary" : ""}`}
+            onClick={() => setAuctionsOnly((v) => !v)}
+          >
+            Auctions only
+          </button>
+          <button
+            className={`btn ${showEnded ? "primary" : ""}`}
+            onClick={() => setShowEnded((v) => !v)}
+          >
+            Show ended
+          </button>
+          <button
+            className={`btn ${favoritesOnly ? "primary" : ""}`}
+            onClick={() => setFavoritesOnly((v) => !v)}
+          >
+            ★ Favorites
+          </button>
+          <button
+            className={`btn ${hiddenView ? "primary" : ""}`}
+            onClick={() => setHiddenView((v) => !v)}
+          >
+            Hidden
+          </button>
+        </div>
+
+        <div className="ctaRow" style={{ marginTop: 8 }}>
+          {MARKETPLACES.map((mp) => (
             <button
-              className={`btn ${sortBy === "price_low" ? "primary" : ""}`}
-              onClick={() => setSortBy("price_low")}
+              key={mp}
+              className={`btn ${mpFilter.includes(mp) ? "primary" : ""}`}
+              onClick={() => setMpFilter((cur) => toggleIn(cur, mp))}
             >
-              Price ↑
+              {mp.toUpperCase()}
             </button>
+          ))}
+          {(Object.keys(CONDITION_LABELS) as Condition[]).map((c) => (
             <button
-              className={`btn ${sortBy === "price_high" ? "primary" : ""}`}
-              onClick={() => setSortBy("price_high")}
+              key={c}
+              className={`btn ${condFilter.includes(c) ? "primary" : ""}`}
+              onClick={() => setCondFilter((cur) => toggleIn(cur, c))}
             >
-              Price ↓
+              {CONDITION_LABELS[c]}
             </button>
-          </div>
+          ))}
         </div>
-      ) : null}
+
+        <form
+          className="ctaRow filterForm"
+          style={{ marginTop: 8 }}
+          onSubmit={(e) => {
+            e.preventDefault();
+            applyInputs();
+          }}
+        >
+          <input
+            value={textInput}
+            onChange={(e) => setTextInput(e.target.value)}
+            placeholder="Title contains…"
+          />
+          <input
+            value={minInput}
+            onChange={(e) => setMinInput(e.target.value)}
+            placeholder="Min total"
+            inputMode="decimal"
+          />
+          <input
+            value={maxInput}
+            onChange={(e) => setMaxInput(e.target.value)}
+            placeholder="Max total"
+            inputMode="decimal"
+          />
+          <button className="btn" type="submit">
+            Apply
+          </button>
+          {hasFilters ? (
+            <button className="btn" type="button" onClick={clearFilters}>
+              Clear filters
+            </button>
+          ) : null}
+        </form>
+      </div>
 
       {err ? <div className="flash bad">{err}</div> : null}
 
       {loading ? (
         <div className="card">Loading…</div>
+      ) : count === 0 && hasFilters ? (
+        <div className="card empty">
+          <div style={{ fontWeight: 800, marginBottom: 6 }}>No results match these filters</div>
+          <div className="ctaRow">
+            <button className="btn" type="button" onClick={clearFilters}>
+              Clear filters
+            </button>
+          </div>
+        </div>
       ) : count === 0 ? (
         <div className="card empty">
           <div style={{ fontWeight: 800, marginBottom: 6 }}>No results yet</div>
@@ -361,17 +704,23 @@ export default function ResultsPage() {
       ) : (
         <>
           <div className="resultsGrid">
-            {sorted.map((r) => {
+            {rows.map((r) => {
               const key = resultKey(r);
-              if (hiddenKeys.includes(key)) return null;
               const isNew = isRecent(r.found_at || r.created_at, 48);
 
               const mp = (r.marketplace || "").toLowerCase();
               const mpLabel = r.marketplace ? r.marketplace.toUpperCase() : "SOURCE";
               const priceLabel = fmtPrice(r.price_num ?? r.price, r.currency);
+              const shippingLabel = fmtShipping(r);
+              const totalLabel =
+                r.shipping_num != null && Number(r.shipping_num) > 0 && r.total_price != null
+                  ? fmtPrice(r.total_price, r.currency)
+                  : "";
               const p = numPrice(r);
 
               const isBest = priceStats && p != null && p === priceStats.min;
+              const dealBelow = goodDealThreshold(pricing, r);
+              const goodDeal = p != null && dealBelow != null && p < dealBelow;
               const underMax =
                 priceStats &&
                 p != null &&
@@ -379,6 +728,10 @@ export default function ResultsPage() {
                 p <= priceStats.maxPrice;
 
               const when = fmtWhen(r.found_at || r.created_at);
+              const auction = isAuction(r);
+              const endsIn = fmtEndsIn(r.ends_at);
+              const bids = r.bid_count != null ? Number(r.bid_count) : null;
+              const ended = r.listing_status === "ended" || r.listing_status === "sold";
               const imgUrl = getImageUrl(r);
               const hasImg = !!imgUrl;
               const destUrl =
@@ -440,20 +793,64 @@ export default function ResultsPage() {
                       {isBest ? (
                         <span className={`${pillClass("ok")} pillBest`}>🏷️ BEST PRICE</span>
                       ) : null}
+                      {goodDeal ? (
+                        <span
+                          className={`${pillClass("ok")} pillBest`}
+                          title={`Below the 25th percentile (${fmtPrice(dealBelow, r.currency)}) for similar listings`}
+                        >
+                          GOOD DEAL
+                        </span>
+                      ) : null}
+                      {r.deal_score != null ? (
+                        <span
+                          className={pillClass(r.deal_score >= 75 ? "ok" : "neutral")}
+                          title="Deal score: cheaper than this share of comparable listings and sold comps"
+                        >
+                          DEAL {r.deal_score}
+                        </span>
+                      ) : null}
                       {underMax ? (
                         <span className={`${pillClass("warn")} pillUnder`}>UNDER MAX</span>
                       ) : null}
-                      {r.condition ? <span className={pillClass("neutral")}>{r.condition}</span> : null}
+                      {r.favorite ? <span className={pillClass("ok")}>★ FAVORITE</span> : null}
+                      {r.purchased ? <span className={pillClass("ok")}>PURCHASED</span> : null}
+                      {ended ? (
+                        <span className={pillClass("bad")} title={r.ended_at ? `Since ${fmtWhen(r.ended_at)}` : undefined}>
+                          {r.listing_status === "sold" ? "SOLD" : "ENDED"}
+                        </span>
+                      ) : null}
+                      {auction ? (
+                        <span className={pillClass("warn")}>
+                          AUCTION{bids != null ? ` • ${bids} bid${bids === 1 ? "" : "s"}` : ""}
+                        </span>
+                      ) : r.buying_options?.includes("FIXED_PRICE") ? (
+                        <span className={pillClass("neutral")}>BUY IT NOW</span>
+                      ) : null}
+                      {r.condition_norm && r.condition_norm !== "unknown" ? (
+                        <span className={pillClass("neutral")} title={r.condition ? `Listed as: ${r.condition}` : undefined}>
+                          {CONDITION_LABELS[r.condition_norm]}
+                        </span>
+                      ) : r.condition ? (
+                        <span className={pillClass("neutral")}>{r.condition}</span>
+                      ) : null}
                       {r.location ? <span className={pillClass("neutral")}>{r.location}</span> : null}
                     </div>
 
                     <div className="resultTitle">{r.title || "Untitled listing"}</div>
 
                     <div className="resultMeta">
-                      <div className="resultPrice">{priceLabel}</div>
-                      <div className="muted">{when}</div>
+                      <div>
+                        <div className="resultPrice">{priceLabel}</div>
+                        {shippingLabel ? <div className="muted">{shippingLabel}</div> : null}
+                        {totalLabel ? <div className="muted">Total {totalLabel}</div> : null}
+                      </div>
+                      <div className="muted">{ended ? `Last seen ${fmtWhen(r.last_seen_at || r.found_at)}` : endsIn || when}</div>
                     </div>
 
+                    {r.id && historyOpen.includes(r.id) ? (
+                      <PriceHistoryChart searchId={id} resultId={r.id} />
+                    ) : null}
+
                     <div className="resultActions">
                       {r.listing_url ? (
                         <a
@@ -465,19 +862,44 @@ export default function ResultsPage() {
                           Open listing
                         </a>
                       ) : null}
-                      <button
-                        className="btn danger"
-                        type="button"
-                        onClick={() => hideResult(key)}
-                      >
-                        Delete
-                      </button>
+                      {r.id ? (
+                        <button className="btn" type="button" onClick={() => toggleHistory(r.id)}>
+                          {historyOpen.includes(r.id) ? "Hide history" : "Price history"}
+                        </button>
+                      ) : null}
+                      {r.id ? (
+                        <>
+                          <button className="btn" type="button" onClick={() => toggleFavorite(r)}>
+                            {r.favorite ? "★ Unfavorite" : "☆ Favorite"}
+                          </button>
+                          <button className="btn" type="button" onClick={() => togglePurchased(r)}>
+                            {r.purchased ? "Not purchased" : "Purchased"}
+                          </button>
+                          {r.hidden ? (
+                            <button className="btn" type="button" onClick={() => updateState(r, { hidden: false })}>
+                              Unhide
+                            </button>
+                          ) : (
+                            <button className="btn danger" type="button" onClick={() => hideResult(r)}>
+                              Hide
+                            </button>
+                          )}
+                        </>
+                      ) : null}
                     </div>
                   </div>
                 </div>
               );
             })}
           </div>
+
+          {nextCursor ? (
+            <div className="ctaRow" style={{ marginTop: 12, justifyContent: "center" }}>
+              <button className="btn" type="button" onClick={loadMore} disabled={loadingMore}>
+                {loadingMore ? "Loading…" : `Load more (${total - count} left)`}
+              </button>
+            </div>
+          ) : null}
         </>
       )}
 
@@ -517,6 +939,26 @@ export default function ResultsPage() {
           padding: 18px;
           opacity: 0.8;
         }
+        .filterForm input {
+          max-width: 180px;
+        }
+        .pricingDetails {
+          margin-top: 6px;
+        }
+        .pricingDetails summary {
+          cursor: pointer;
+          font-weight: 700;
+        }
+        .pricingTable {
+          margin-top: 6px;
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+        .pricingTable th,
+        .pricingTable td {
+          padding: 3px 10px 3px 0;
+          text-align: left;
+        }
         .resultsGrid {
           display: grid;
           gap: 12px;
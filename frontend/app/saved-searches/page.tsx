@@ -3,6 +3,8 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { api, type AlertSummary, type SearchRow } from "../../lib/api";
 import { useRouter } from "next/navigation";
+import ResultSearchBox from "../components/ResultSearchBox";
+import DigestSettingsCard from "../components/DigestSettingsCard";
 
 function pillClass(status: string | null) {
   const s = (status || "").toLowerCase();
@@ -231,6 +233,9 @@ export default function SavedSearchesPage() {
 
         {err ? <div className="flash bad">{err}</div> : null}
 
+        {!loading && active.length ? <ResultSearchBox /> : null}
+        {!loading && active.length ? <DigestSettingsCard /> : null}
+
         {loading ? (
           <div className="card" style={{ marginTop: 14 }}>
             Loading…
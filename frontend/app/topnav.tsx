@@ -88,6 +88,7 @@ export default function TopNav() {
     { href: "/", label: "Home" },
     { href: "/new-search", label: "New search" },
     { href: "/saved-searches", label: "Saved searches" },
+    { href: "/favorites", label: "Favorites" },
     { href: "/pricing", label: "Pricing" },
     { href: "/about", label: "About" },
     { href: "/privacy", label: "Privacy" },
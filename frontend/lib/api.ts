@@ -1,10 +1,28 @@
+// Normalized item condition shared by every marketplace (raw wording stays in ResultRow.condition)
+export type Condition = "new" | "like_new" | "used" | "for_parts" | "unknown";
+
+export const CONDITION_LABELS: Record<Condition, string> = {
+  new: "New",
+  like_new: "Like new",
+  used: "Used",
+  for_parts: "For parts",
+  unknown: "Unknown",
+};
+
+// Digest weekday labels; index = digestWeekday (0 = Sunday)
+export const WEEKDAY_LABELS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
 export type SearchRow = {
   id: number;
   search_item: string;
   location: string | null;
   category: string | null;
+  min_price?: number | null;
   max_price: number | null;
   marketplaces?: Record<string, boolean> | null;
+  craigslist_regions?: string[] | null;
+  // Required conditions; null/empty = any
+  conditions?: Condition[] | null;
   status: string | null;
   plan_tier: string | null;
   created_at: string | null;
@@ -25,11 +43,55 @@ export type AlertRow = {
   alert_id: number;
   search_id: number;
   status: string;
+  kind?: "new_listing" | "ending_soon" | "price_drop" | string;
+  prev_total_price?: number | string | null;
+  new_total_price?: number | string | null;
   alert_created_at: string;
   title: string;
   price: string | null;
   currency: string | null;
   listing_url: string | null;
+  ends_at?: string | null;
+};
+
+export type AlertMode = "immediate" | "daily" | "weekly";
+
+export type AlertSettings = {
+  enabled: boolean;
+  mode: AlertMode;
+  maxPerEmail: number;
+  // Daily/weekly digests go out at this local hour (0-23), on digestWeekday for weekly (0 = Sunday),
+  // in `timezone` (IANA name, e.g. "America/New_York")
+  digestHour?: number;
+  digestWeekday?: number;
+  timezone?: string;
+  // Minutes before an auction ends to send a reminder (0 = off)
+  endingSoonMinutes?: number;
+  // Alert when an already-seen listing's total price drops by >= percent or >= amount,
+  // or falls under max_price for the first time
+  priceDropEnabled?: boolean;
+  priceDropPercent?: number;
+  priceDropAmount?: number;
+  // Only alert new listings with a deal score >= this (0 = off; unscored listings always alert)
+  minDealScore?: number;
+};
+
+// One email per day/week covering all of the user's searches (replaces their per-search emails)
+export type UserDigestSettings = {
+  enabled: boolean;
+  mode: "daily" | "weekly";
+  digestHour: number;
+  digestWeekday: number;
+  timezone: string;
+  // Destination; null = the account email
+  email: string | null;
+  lastDigestSentAt?: string | null;
+};
+
+export type UserDigestSettingsResponse = {
+  ok: boolean;
+  settings: UserDigestSettings;
+  account_email: string;
 };
 
 // --------------------
@@ -119,10 +181,192 @@ export type ResultRow = {
 
   location: string | null;
   condition: string | null;
+  condition_norm?: Condition | null;
   seller_username: string | null;
+  // 0-100 vs. this search's other listings and sold comps (100 = cheapest); null = not enough data
+  deal_score?: number | null;
+
+  // Auction metadata (eBay); null for fixed-price-only marketplaces
+  buying_options?: string[] | null;
+  bid_count?: number | null;
+  current_bid_num?: number | string | null;
+  ends_at?: string | null;
+  is_auction?: boolean;
+
+  // Lifecycle: "ended"/"sold" once the listing left the marketplace feed
+  listing_status?: "active" | "ended" | "sold";
+  last_seen_at?: string | null;
+  ended_at?: string | null;
 
   found_at: string | null;
   created_at: string | null;
+
+  // Caller's own result states (false for guests)
+  hidden?: boolean;
+  favorite?: boolean;
+  purchased?: boolean;
+};
+
+export type PriceHistoryPoint = {
+  recorded_at: string;
+  price_num: number | string | null;
+  shipping_num: number | string | null;
+  total_price: number | string | null;
+  currency: string | null;
+};
+
+export type PriceHistoryResponse = {
+  ok: boolean;
+  search_id: number;
+  result_id: number;
+  result: Pick<ResultRow, "id" | "search_id" | "title" | "price_num" | "shipping_num" | "total_price" | "currency" | "found_at">;
+  history: PriceHistoryPoint[];
+};
+
+export type ResultsSort =
+  | "newest"
+  | "oldest"
+  | "price_low"
+  | "price_high"
+  | "total_low"
+  | "total_high"
+  | "ending_soon"
+  | "best_deal";
+
+export type ResultsQuery = {
+  sort?: ResultsSort;
+  buying?: "auction" | "fixed_price";
+  ending_within_hours?: number;
+  listing_status?: "active" | "ended" | "all";
+  // Bounds on total price (item + shipping)
+  min_price?: number | null;
+  max_price?: number | null;
+  marketplace?: string[];
+  condition?: Condition[];
+  // Words that must all appear in the title
+  q?: string;
+  // Caller's result states: hidden results are excluded by default
+  hidden?: "exclude" | "include" | "only";
+  state?: "favorite" | "purchased";
+  // next_cursor from the previous page
+  cursor?: string | null;
+};
+
+export type ResultState = {
+  result_id: number;
+  hidden: boolean;
+  favorite: boolean;
+  purchased: boolean;
+  updated_at: string | null;
+};
+
+export type FavoriteRow = ResultRow & {
+  search_item: string;
+  state_updated_at: string | null;
+};
+
+export type FavoritesResponse = {
+  ok: boolean;
+  results: FavoriteRow[];
+  total: number;
+};
+
+export type HighlightSegment = { text: string; match: boolean };
+
+export type ResultSearchHit = Pick<
+  ResultRow,
+  | "id"
+  | "search_id"
+  | "marketplace"
+  | "title"
+  | "price"
+  | "currency"
+  | "price_num"
+  | "total_price"
+  | "listing_url"
+  | "image_url"
+  | "location"
+  | "seller_username"
+  | "condition_norm"
+  | "listing_status"
+  | "found_at"
+> & {
+  search_item: string;
+  rank: number;
+  highlights: { title: HighlightSegment[] | null; context: HighlightSegment[] | null };
+};
+
+export type ResultSearchResponse = {
+  ok: boolean;
+  q: string;
+  total: number;
+  results: ResultSearchHit[];
+};
+
+export type ExportFormat = "csv" | "json" | "ndjson";
+
+function resultsQueryParams(query: ResultsQuery) {
+  const qs = new URLSearchParams();
+  if (query.sort) qs.set("sort", query.sort);
+  if (query.buying) qs.set("buying", query.buying);
+  if (query.ending_within_hours) qs.set("ending_within_hours", String(query.ending_within_hours));
+  if (query.listing_status) qs.set("listing_status", query.listing_status);
+  if (query.min_price != null) qs.set("min_price", String(query.min_price));
+  if (query.max_price != null) qs.set("max_price", String(query.max_price));
+  if (query.marketplace?.length) qs.set("marketplace", query.marketplace.join(","));
+  if (query.condition?.length) qs.set("condition", query.condition.join(","));
+  if (query.q?.trim()) qs.set("q", query.q.trim());
+  if (query.hidden) qs.set("hidden", query.hidden);
+  if (query.state) qs.set("state", query.state);
+  return qs;
+}
+
+export type ResultsPage = {
+  ok: boolean;
+  results: ResultRow[];
+  next_cursor: string | null;
+  // Only on the first page (request without a cursor)
+  total?: number;
+};
+
+export type PriceStats = {
+  count: number;
+  outliers_excluded: number;
+  min: number | null;
+  p10: number | null;
+  p25: number | null;
+  median: number | null;
+  p75: number | null;
+  p90: number | null;
+  max: number | null;
+  mean: number | null;
+};
+
+export type CurrencyPricing = {
+  currency: string;
+  overall: PriceStats;
+  by_marketplace: (PriceStats & { marketplace: string })[];
+  by_condition: (PriceStats & { condition: Condition })[];
+  weekly: { week_start: string; count: number; median: number | null }[];
+};
+
+// Headline fields describe the most common currency; `currencies` has the full breakdown
+export type PricingSummary = {
+  ok: boolean;
+  search_id: number;
+  price_basis: "total";
+  trimmed: boolean;
+  currency: string | null;
+  priced_count: number;
+  min_price: number | null;
+  max_price: number | null;
+  median_price: number | null;
+  mean_price: number | null;
+  p10: number | null;
+  p25: number | null;
+  p75: number | null;
+  p90: number | null;
+  currencies: CurrencyPricing[];
 };
 
 export const api = {
@@ -133,8 +377,10 @@ export const api = {
     search_item: string;
     location?: string | null;
     category?: string | null;
+    min_price?: number | null;
     max_price?: number | null;
     marketplaces?: Record<string, boolean>;
+    conditions?: Condition[] | null;
   }): Promise<CreateSearchResponse> =>
     apiFetch<SearchRow>(`/api/searches`, {
       method: "POST",
@@ -145,8 +391,10 @@ export const api = {
 
   patchSearch: (
     id: SearchId,
-    payload: Partial<Pick<SearchRow, "search_item" | "location" | "category" | "max_price">> & {
+    payload: Partial<Pick<SearchRow, "search_item" | "location" | "category" | "min_price" | "max_price">> & {
       marketplaces?: Record<string, boolean>;
+      craigslist_regions?: string[] | string | null;
+      conditions?: Condition[] | null;
     }
   ) =>
     apiFetch<{ ok: boolean; search: SearchRow }>(`/api/searches/${encodeSearchId(id)}`, {
@@ -166,8 +414,56 @@ export const api = {
   duplicateSearch: (id: SearchId) =>
     apiFetch<{ ok: boolean; id: number }>(`/api/searches/${encodeSearchId(id)}/duplicate`, { method: "POST" }),
 
-  getResults: (id: SearchId, limit = 50, offset = 0) =>
-    apiFetch<ResultRow[]>(`/api/searches/${encodeSearchId(id)}/results?limit=${limit}&offset=${offset}`),
+  getResults: (id: SearchId, limit = 50, query: ResultsQuery = {}) => {
+    const qs = resultsQueryParams(query);
+    qs.set("limit", String(limit));
+    if (query.cursor) qs.set("cursor", query.cursor);
+    return apiFetch<ResultsPage>(`/api/searches/${encodeSearchId(id)}/results?${qs.toString()}`);
+  },
+
+  // Download URL (same filters/sort as getResults); the browser streams the file directly
+  resultsExportUrl: (id: SearchId, format: ExportFormat, query: ResultsQuery = {}) => {
+    const qs = resultsQueryParams(query);
+    qs.set("format", format);
+    return `/api/searches/${encodeSearchId(id)}/results/export?${qs.toString()}`;
+  },
+
+  // Distribution stats over the same filters as getResults (listing_status defaults to all here)
+  getPricingSummary: (id: SearchId, query: ResultsQuery = {}, opts: { trim?: boolean; weeks?: number } = {}) => {
+    const qs = resultsQueryParams(query);
+    if (opts.trim === false) qs.set("trim", "0");
+    if (opts.weeks != null) qs.set("weeks", String(opts.weeks));
+    return apiFetch<PricingSummary>(`/api/searches/${encodeSearchId(id)}/pricing-summary?${qs.toString()}`);
+  },
+
+  setResultState: (
+    id: SearchId,
+    resultId: number,
+    patch: Partial<Pick<ResultState, "hidden" | "favorite" | "purchased">>
+  ) =>
+    apiFetch<{ ok: boolean; search_id: number; state: ResultState; dismissed_alerts: number }>(
+      `/api/searches/${encodeSearchId(id)}/results/${encodeURIComponent(String(resultId))}/state`,
+      { method: "PUT", body: JSON.stringify(patch) }
+    ),
+
+  // Full-text search across all of the user's results (web-search syntax: "phrase", OR, -word)
+  searchAllResults: (q: string, opts: { searchId?: SearchId; limit?: number; offset?: number } = {}) => {
+    const qs = new URLSearchParams({ q });
+    if (opts.searchId != null) qs.set("search_id", String(opts.searchId));
+    if (opts.limit != null) qs.set("limit", String(opts.limit));
+    if (opts.offset != null) qs.set("offset", String(opts.offset));
+    return apiFetch<ResultSearchResponse>(`/api/results/search?${qs.toString()}`);
+  },
+
+  getFavorites: (limit = 50, offset = 0) =>
+    apiFetch<FavoritesResponse>(
+      `/api/favorites?limit=${encodeURIComponent(String(limit))}&offset=${encodeURIComponent(String(offset))}`
+    ),
+
+  getResultPriceHistory: (id: SearchId, resultId: number, limit = 200) =>
+    apiFetch<PriceHistoryResponse>(
+      `/api/searches/${encodeSearchId(id)}/results/${encodeURIComponent(String(resultId))}/history?limit=${limit}`
+    ),
 
   getAlertSummary: async (id: SearchId) => {
     const raw = await apiFetch<any>(`/api/searches/${encodeSearchId(id)}/alerts/summary`);
@@ -195,16 +491,24 @@ export const api = {
     }),
 
   getAlertSettings: (id: SearchId) =>
-    apiFetch<{ ok: boolean; search_id: number; settings: { enabled: boolean; mode: "immediate" | "daily"; maxPerEmail: number } }>(
+    apiFetch<{ ok: boolean; search_id: number; settings: AlertSettings }>(
       `/api/searches/${encodeSearchId(id)}/alert-settings`
     ),
 
-  saveAlertSettings: (id: SearchId, settings: { enabled: boolean; mode: "immediate" | "daily"; maxPerEmail: number }) =>
+  saveAlertSettings: (id: SearchId, settings: AlertSettings) =>
     apiFetch<{ ok: boolean; search_id: number; settings: any }>(`/api/searches/${encodeSearchId(id)}/alert-settings`, {
       method: "POST",
       body: JSON.stringify(settings),
     }),
 
+  getDigestSettings: () => apiFetch<UserDigestSettingsResponse>("/api/me/digest-settings"),
+
+  saveDigestSettings: (settings: Partial<UserDigestSettings>) =>
+    apiFetch<UserDigestSettingsResponse>("/api/me/digest-settings", {
+      method: "POST",
+      body: JSON.stringify(settings),
+    }),
+
   getNotificationStatus: (id: SearchId) =>
     apiFetch<{ ok: boolean; search_id: number; email_enabled: boolean; email_destination: string | null }>(
       `/api/searches/${encodeSearchId(id)}/notification-status`